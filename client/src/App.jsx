@@ -1,11 +1,20 @@
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import Login from './pages/Login';
 import Signup from './pages/Signup';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import UnlockAccount from './pages/UnlockAccount';
+import OAuthCallback from './pages/OAuthCallback';
 import Upload from './pages/Upload';
 import ChatConfig from './pages/ChatConfig';
 import Chat from './pages/Chat';
+import MatchReport from './pages/MatchReport';
 import Sessions from './pages/Sessions';
 import Landing from './pages/Landing';
+import Team from './pages/Team';
+import Security from './pages/Security';
+import Profile from './pages/Profile';
 import PrivateRoute from './components/PrivateRoute';
 
 function App() {
@@ -15,6 +24,11 @@ function App() {
         <Route path="/" element={<Landing />} />
         <Route path="/login" element={<Login />} />
         <Route path="/signup" element={<Signup />} />
+        <Route path="/forgot-password" element={<ForgotPassword />} />
+        <Route path="/reset-password" element={<ResetPassword />} />
+        <Route path="/verify-email" element={<VerifyEmail />} />
+        <Route path="/unlock-account" element={<UnlockAccount />} />
+        <Route path="/oauth/callback" element={<OAuthCallback />} />
         <Route
           path="/upload"
           element={
@@ -39,6 +53,14 @@ function App() {
             </PrivateRoute>
           }
         />
+        <Route
+          path="/match/:sessionId"
+          element={
+            <PrivateRoute>
+              <MatchReport />
+            </PrivateRoute>
+          }
+        />
         <Route
           path="/sessions"
           element={
@@ -47,6 +69,30 @@ function App() {
             </PrivateRoute>
           }
         />
+        <Route
+          path="/team"
+          element={
+            <PrivateRoute>
+              <Team />
+            </PrivateRoute>
+          }
+        />
+        <Route
+          path="/settings/profile"
+          element={
+            <PrivateRoute>
+              <Profile />
+            </PrivateRoute>
+          }
+        />
+        <Route
+          path="/settings/security"
+          element={
+            <PrivateRoute>
+              <Security />
+            </PrivateRoute>
+          }
+        />
         <Route path="*" element={<Navigate to="/" replace />} />
       </Routes>
     </Router>
@@ -0,0 +1,119 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import api from '../utils/axios';
+
+// Accounts created through a sign-in provider have no password: a recent login stands in for it
+const AccountData = ({ twoFactorEnabled, hasPassword }) => {
+  const [exporting, setExporting] = useState(false);
+  const [deleting, setDeleting] = useState(false);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const navigate = useNavigate();
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const response = await api.get('/auth/me/export', { responseType: 'blob' });
+
+      // Save the ZIP using the name suggested by the server
+      const disposition = response.headers['content-disposition'] || '';
+      const fileName = /filename="?([^";]+)"?/.exec(disposition)?.[1] || 'interviewai-export.zip';
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      toast.success('Export downloaded');
+    } catch (error) {
+      console.error('Export error:', error);
+      toast.error('Error exporting your data');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    if (!window.confirm('Permanently delete your account, all interview sessions and uploaded documents? This cannot be undone.')) {
+      return;
+    }
+
+    setDeleting(true);
+    try {
+      const response = await api.delete('/auth/me', { data: { password, code } });
+      if (response.data.success) {
+        localStorage.removeItem('token');
+        localStorage.removeItem('user');
+        toast.success('Your account has been deleted');
+        navigate('/login');
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error deleting account');
+      setDeleting(false);
+    } finally {
+      setPassword('');
+      setCode('');
+    }
+  };
+
+  const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h2 className="text-xl font-bold text-gray-900 mb-2">Your Data</h2>
+      <p className="text-gray-600 mb-4">
+        Download a ZIP with your profile, every interview transcript and score, and your original uploads.
+      </p>
+      <button
+        onClick={handleExport}
+        disabled={exporting}
+        className="bg-indigo-600 text-white px-6 py-2 rounded-lg font-semibold hover:bg-indigo-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {exporting ? 'Preparing export...' : 'Export my data'}
+      </button>
+
+      <div className="mt-8 border-t border-gray-200 pt-6">
+        <h3 className="text-lg font-bold text-red-700 mb-2">Delete account</h3>
+        <p className="text-gray-600 mb-4">
+          Permanently removes your account, sessions, documents and stored files.
+          {!hasPassword && ' Your account has no password: sign in again with your provider shortly before deleting it.'}
+        </p>
+        <form onSubmit={handleDelete} className="space-y-3">
+          {hasPassword && (
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              className={inputClass}
+              placeholder="Current password"
+            />
+          )}
+          {twoFactorEnabled && (
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              required
+              autoComplete="one-time-code"
+              className={inputClass}
+              placeholder="Authenticator or backup code"
+            />
+          )}
+          <button
+            type="submit"
+            disabled={deleting}
+            className="px-6 py-2 rounded-lg font-semibold bg-red-600 text-white hover:bg-red-700 transition disabled:opacity-50"
+          >
+            {deleting ? 'Deleting...' : 'Delete my account'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default AccountData;
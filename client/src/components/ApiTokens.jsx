@@ -0,0 +1,173 @@
+import { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import api from '../utils/axios';
+
+const EXPIRY_OPTIONS = [7, 30, 90, 365];
+
+const ApiTokens = () => {
+  const [tokens, setTokens] = useState(null);
+  const [formData, setFormData] = useState({ name: '', write: false, expiresInDays: 90 });
+  const [newToken, setNewToken] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  useEffect(() => {
+    fetchTokens();
+  }, []);
+
+  const fetchTokens = async () => {
+    try {
+      const response = await api.get('/auth/tokens');
+      if (response.data.success) {
+        setTokens(response.data.tokens);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error loading API tokens');
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setWorking(true);
+    try {
+      const response = await api.post('/auth/tokens', {
+        name: formData.name,
+        scopes: formData.write ? ['read', 'write'] : ['read'],
+        expiresInDays: Number(formData.expiresInDays)
+      });
+      if (response.data.success) {
+        toast.success('API token created');
+        setNewToken(response.data.token);
+        setFormData({ name: '', write: false, expiresInDays: 90 });
+        fetchTokens();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error creating API token');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    if (!window.confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) {
+      return;
+    }
+
+    try {
+      const response = await api.delete(`/auth/tokens/${token.id}`);
+      if (response.data.success) {
+        toast.success('API token revoked');
+        setTokens(tokens.filter(t => t.id !== token.id));
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error revoking API token');
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newToken);
+      toast.success('Copied to clipboard');
+    } catch (error) {
+      console.error('Clipboard error:', error);
+      toast.error('Could not copy; select the token and copy it manually');
+    }
+  };
+
+  const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : 'Never');
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h2 className="text-xl font-bold text-gray-900 mb-2">API Tokens</h2>
+      <p className="text-gray-600 mb-4">
+        Use a token as <code className="font-mono bg-gray-100 px-1 rounded">Authorization: Bearer &lt;token&gt;</code> to
+        call the chat and document APIs from scripts. Read tokens can only make GET requests.
+      </p>
+
+      <form onSubmit={handleCreate} className="flex flex-col sm:flex-row gap-3 mb-4">
+        <input
+          type="text"
+          value={formData.name}
+          onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+          required
+          maxLength={100}
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+          placeholder="Token name, e.g. nightly-practice"
+        />
+        <select
+          value={formData.expiresInDays}
+          onChange={(e) => setFormData({ ...formData, expiresInDays: e.target.value })}
+          className="px-3 py-2 border border-gray-300 rounded-lg"
+        >
+          {EXPIRY_OPTIONS.map(days => (
+            <option key={days} value={days}>{days} days</option>
+          ))}
+        </select>
+        <label className="flex items-center gap-2 text-gray-700">
+          <input
+            type="checkbox"
+            checked={formData.write}
+            onChange={(e) => setFormData({ ...formData, write: e.target.checked })}
+          />
+          Write
+        </label>
+        <button
+          type="submit"
+          disabled={working}
+          className="bg-indigo-600 text-white px-6 py-2 rounded-lg font-semibold hover:bg-indigo-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {working ? 'Creating...' : 'Create'}
+        </button>
+      </form>
+
+      {/* Raw token is only available right after creation */}
+      {newToken && (
+        <div className="mb-4 bg-amber-50 border border-amber-200 rounded-xl p-4">
+          <p className="text-sm text-amber-800 font-semibold mb-2">
+            Copy your new token now. It will not be shown again.
+          </p>
+          <div className="flex gap-2">
+            <code className="flex-1 font-mono text-sm bg-white px-3 py-2 rounded border border-amber-200 break-all">{newToken}</code>
+            <button
+              onClick={handleCopy}
+              className="px-4 py-2 bg-amber-600 text-white text-sm font-semibold rounded-lg hover:bg-amber-700 transition"
+            >
+              Copy
+            </button>
+          </div>
+        </div>
+      )}
+
+      {!tokens ? (
+        <div className="text-center py-4">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600 mx-auto"></div>
+        </div>
+      ) : tokens.length === 0 ? (
+        <p className="text-gray-500 text-sm">No API tokens yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {tokens.map(token => (
+            <li key={token.id} className="py-3 flex items-center justify-between gap-4">
+              <div>
+                <p className="font-semibold text-gray-900">
+                  {token.name}{' '}
+                  <span className="ml-1 px-2 py-0.5 rounded-full text-xs bg-indigo-100 text-indigo-700">{token.scopes.join(' + ')}</span>
+                </p>
+                <p className="text-sm text-gray-500">
+                  <code className="font-mono">{token.tokenPreview}…</code> · Expires {formatDate(token.expiresAt)} · Last used {formatDate(token.lastUsedAt)}
+                </p>
+              </div>
+              <button
+                onClick={() => handleRevoke(token)}
+                className="text-red-600 text-sm font-semibold hover:underline"
+              >
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ApiTokens;
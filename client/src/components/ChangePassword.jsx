@@ -0,0 +1,97 @@
+import { useState } from 'react';
+import toast from 'react-hot-toast';
+import api from '../utils/axios';
+import PasswordStrength from './PasswordStrength';
+
+const EMPTY_FORM = { currentPassword: '', newPassword: '', confirmPassword: '' };
+
+const ChangePassword = ({ onChanged }) => {
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [working, setWorking] = useState(false);
+  const email = JSON.parse(localStorage.getItem('user') || 'null')?.email;
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    setWorking(true);
+    try {
+      const response = await api.post('/auth/change-password', {
+        currentPassword: formData.currentPassword,
+        newPassword: formData.newPassword
+      });
+      if (response.data.success) {
+        toast.success(response.data.message);
+        setFormData(EMPTY_FORM);
+        onChanged?.();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error changing password');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h2 className="text-xl font-bold text-gray-900 mb-2">Change Password</h2>
+      <p className="text-gray-600 mb-4">
+        Changing your password signs out every other device.
+      </p>
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <input
+          type="password"
+          name="currentPassword"
+          value={formData.currentPassword}
+          onChange={handleChange}
+          required
+          autoComplete="current-password"
+          className={inputClass}
+          placeholder="Current password"
+        />
+        <div>
+          <input
+            type="password"
+            name="newPassword"
+            value={formData.newPassword}
+            onChange={handleChange}
+            required
+            autoComplete="new-password"
+            className={inputClass}
+            placeholder="New password"
+          />
+          <PasswordStrength password={formData.newPassword} email={email} />
+        </div>
+        <input
+          type="password"
+          name="confirmPassword"
+          value={formData.confirmPassword}
+          onChange={handleChange}
+          required
+          autoComplete="new-password"
+          className={inputClass}
+          placeholder="Confirm new password"
+        />
+        <button
+          type="submit"
+          disabled={working}
+          className="bg-indigo-600 text-white px-6 py-2 rounded-lg font-semibold hover:bg-indigo-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {working ? 'Changing...' : 'Change password'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ChangePassword;
@@ -0,0 +1,159 @@
+import { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import api from '../utils/axios';
+
+// Version history of one document: download, restore and compare versions
+const DocumentVersions = ({ documentId, onRestored }) => {
+  const [versions, setVersions] = useState(null);
+  const [compare, setCompare] = useState({ from: '', to: '' });
+  const [diff, setDiff] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const fetchVersions = useCallback(async () => {
+    try {
+      const response = await api.get(`/documents/${documentId}/versions`);
+      if (response.data.success) {
+        const list = response.data.versions;
+        setVersions(list);
+        // Compare the previous version with the current one by default
+        setCompare({ from: list[1]?.version || '', to: list[0]?.version || '' });
+        setDiff(null);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error loading versions');
+    }
+  }, [documentId]);
+
+  useEffect(() => {
+    fetchVersions();
+  }, [fetchVersions]);
+
+  const handleDownload = async (version) => {
+    try {
+      const response = await api.get(`/documents/${documentId}/file`, { params: { version } });
+      if (response.data.success) {
+        window.open(response.data.url, '_blank', 'noopener');
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error downloading version');
+    }
+  };
+
+  const handleRestore = async (version) => {
+    if (!window.confirm(`Restore version ${version}? It becomes the current version; nothing is lost.`)) {
+      return;
+    }
+
+    setWorking(true);
+    try {
+      const response = await api.post(`/documents/${documentId}/versions/${version}/restore`);
+      if (response.data.success) {
+        toast.success(response.data.message);
+        fetchVersions();
+        onRestored?.();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error restoring version');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleCompare = async () => {
+    setWorking(true);
+    try {
+      const response = await api.get(`/documents/${documentId}/versions/diff`, { params: compare });
+      if (response.data.success) {
+        setDiff(response.data);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error comparing versions');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  if (!versions) {
+    return <p className="text-sm text-gray-500 py-2">Loading versions...</p>;
+  }
+
+  return (
+    <div className="mt-3 border-t border-gray-200 pt-3 space-y-3">
+      <ul className="space-y-1">
+        {versions.map((version) => (
+          <li key={version.version} className="flex items-center justify-between text-sm">
+            <span className="text-gray-700">
+              <span className="font-semibold">v{version.version}</span>
+              {version.isCurrent && <span className="ml-2 text-xs text-green-700 bg-green-100 px-2 py-0.5 rounded">Current</span>}
+              <span className="ml-2">{version.fileName}</span>
+              <span className="ml-2 text-gray-500">{new Date(version.createdAt).toLocaleString()}</span>
+            </span>
+            <span className="flex items-center space-x-3">
+              {version.hasFile && (
+                <button onClick={() => handleDownload(version.version)} className="text-indigo-600 hover:text-indigo-800 text-xs font-medium">
+                  Download
+                </button>
+              )}
+              {!version.isCurrent && (
+                <button
+                  onClick={() => handleRestore(version.version)}
+                  disabled={working}
+                  className="text-indigo-600 hover:text-indigo-800 text-xs font-medium disabled:opacity-50"
+                >
+                  Restore
+                </button>
+              )}
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      {versions.length > 1 && (
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <span className="text-gray-600">Compare</span>
+          {['from', 'to'].map((end) => (
+            <select
+              key={end}
+              value={compare[end]}
+              onChange={(e) => setCompare({ ...compare, [end]: Number(e.target.value) })}
+              className="border border-gray-300 rounded px-2 py-1 text-sm"
+              aria-label={`Compare ${end} version`}
+            >
+              {versions.map((version) => (
+                <option key={version.version} value={version.version}>v{version.version}</option>
+              ))}
+            </select>
+          ))}
+          <button
+            onClick={handleCompare}
+            disabled={working || compare.from === compare.to}
+            className="px-3 py-1 bg-indigo-600 text-white rounded font-medium hover:bg-indigo-700 disabled:opacity-50"
+          >
+            Show changes
+          </button>
+        </div>
+      )}
+
+      {diff && (
+        <div>
+          <p className="text-xs text-gray-500 mb-1">
+            v{diff.from} → v{diff.to}: <span className="text-green-700">+{diff.linesAdded}</span>{' '}
+            <span className="text-red-700">-{diff.linesRemoved}</span> lines
+          </p>
+          <pre className="max-h-80 overflow-auto bg-gray-50 border border-gray-200 rounded p-2 text-xs whitespace-pre-wrap">
+            {diff.changes.map((change, index) => (
+              <span
+                key={index}
+                className={change.added ? 'block bg-green-100 text-green-900' : change.removed ? 'block bg-red-100 text-red-900 line-through' : 'block text-gray-600'}
+              >
+                {change.value}
+              </span>
+            ))}
+          </pre>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DocumentVersions;
@@ -0,0 +1,256 @@
+import { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import api from '../utils/axios';
+
+const LEVELS = [
+  { value: '', label: 'Not specified' },
+  { value: 'intern', label: 'Intern' },
+  { value: 'junior', label: 'Junior' },
+  { value: 'mid', label: 'Mid-level' },
+  { value: 'senior', label: 'Senior' },
+  { value: 'lead', label: 'Lead' },
+  { value: 'principal', label: 'Principal' },
+];
+
+const SKILL_LISTS = [
+  { key: 'mustHaveSkills', label: 'Must-have skills' },
+  { key: 'niceToHaveSkills', label: 'Nice-to-have skills' },
+];
+
+// Analysis -> form state; responsibilities are edited one per line
+const toDraft = (analysis) => ({
+  title: analysis?.title || '',
+  seniority: analysis?.seniority || '',
+  domain: analysis?.domain || '',
+  summary: analysis?.summary || '',
+  mustHaveSkills: (analysis?.mustHaveSkills || []).map(skill => ({ ...skill })),
+  niceToHaveSkills: (analysis?.niceToHaveSkills || []).map(skill => ({ ...skill })),
+  responsibilities: (analysis?.responsibilities || []).join('\n'),
+});
+
+const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded';
+
+// Requirements parsed from one job description: view, correct or analyze it again
+const JdAnalysis = ({ documentId, onChanged }) => {
+  const [analysis, setAnalysis] = useState(undefined); // undefined: loading, null: none yet
+  const [draft, setDraft] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const fetchAnalysis = useCallback(async () => {
+    try {
+      const response = await api.get(`/documents/${documentId}/jd-analysis`);
+      if (response.data.success) {
+        setAnalysis(response.data.jdAnalysis);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error loading job requirements');
+      setAnalysis(null);
+    }
+  }, [documentId]);
+
+  useEffect(() => {
+    fetchAnalysis();
+  }, [fetchAnalysis]);
+
+  const handleExtract = async () => {
+    if (analysis && !window.confirm('Analyze the job description again? Your corrections will be replaced.')) {
+      return;
+    }
+
+    setWorking(true);
+    try {
+      const response = await api.post(`/documents/${documentId}/jd-analysis/extract`);
+      if (response.data.success) {
+        setAnalysis(response.data.jdAnalysis);
+        setDraft(null);
+        toast.success(response.data.message);
+        onChanged?.();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error analyzing job description');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setWorking(true);
+    try {
+      const response = await api.put(`/documents/${documentId}/jd-analysis`, draft);
+      if (response.data.success) {
+        setAnalysis(response.data.jdAnalysis);
+        setDraft(null);
+        toast.success(response.data.message);
+        onChanged?.();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error saving job requirements');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const updateSkill = (key, index, name, value) => {
+    setDraft({
+      ...draft,
+      [key]: draft[key].map((skill, i) => (i === index ? { ...skill, [name]: value } : skill)),
+    });
+  };
+
+  if (analysis === undefined) {
+    return <p className="text-sm text-gray-500 py-2">Loading requirements...</p>;
+  }
+
+  if (draft) {
+    return (
+      <form onSubmit={handleSave} className="mt-3 border-t border-gray-200 pt-3 space-y-4 text-sm">
+        <div className="grid sm:grid-cols-3 gap-2">
+          <label>
+            <span className="block text-xs text-gray-500">Role</span>
+            <input value={draft.title} onChange={(e) => setDraft({ ...draft, title: e.target.value })} className={inputClass} />
+          </label>
+          <label>
+            <span className="block text-xs text-gray-500">Seniority</span>
+            <select value={draft.seniority} onChange={(e) => setDraft({ ...draft, seniority: e.target.value })} className={inputClass}>
+              {LEVELS.map(level => (
+                <option key={level.value} value={level.value}>{level.label}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            <span className="block text-xs text-gray-500">Domain</span>
+            <input value={draft.domain} onChange={(e) => setDraft({ ...draft, domain: e.target.value })} className={inputClass} />
+          </label>
+        </div>
+        <label className="block">
+          <span className="block text-xs text-gray-500">Summary</span>
+          <textarea value={draft.summary} onChange={(e) => setDraft({ ...draft, summary: e.target.value })} rows={2} className={inputClass} />
+        </label>
+
+        {SKILL_LISTS.map(({ key, label }) => (
+          <fieldset key={key}>
+            <legend className="font-semibold text-gray-700 mb-1">{label}</legend>
+            <div className="space-y-1">
+              {draft[key].map((skill, index) => (
+                <div key={index} className="flex items-center gap-2">
+                  <input
+                    value={skill.name}
+                    onChange={(e) => updateSkill(key, index, 'name', e.target.value)}
+                    placeholder="Skill"
+                    aria-label="Skill"
+                    className={`${inputClass} sm:w-1/3`}
+                  />
+                  <input
+                    value={skill.detail}
+                    onChange={(e) => updateSkill(key, index, 'detail', e.target.value)}
+                    placeholder="What the role asks of it"
+                    aria-label="Detail"
+                    className={inputClass}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setDraft({ ...draft, [key]: draft[key].filter((_, i) => i !== index) })}
+                    className="text-xs text-red-600 hover:text-red-800"
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={() => setDraft({ ...draft, [key]: [...draft[key], { name: '', detail: '' }] })}
+              className="mt-1 text-xs text-indigo-600 hover:text-indigo-800 font-medium"
+            >
+              + Add skill
+            </button>
+          </fieldset>
+        ))}
+
+        <label className="block">
+          <span className="block font-semibold text-gray-700 mb-1">Responsibilities (one per line)</span>
+          <textarea
+            value={draft.responsibilities}
+            onChange={(e) => setDraft({ ...draft, responsibilities: e.target.value })}
+            rows={4}
+            className={inputClass}
+          />
+        </label>
+
+        <div className="flex space-x-3">
+          <button
+            type="submit"
+            disabled={working}
+            className="px-4 py-1.5 bg-indigo-600 text-white rounded font-medium hover:bg-indigo-700 disabled:opacity-50"
+          >
+            {working ? 'Saving...' : 'Save requirements'}
+          </button>
+          <button type="button" onClick={() => setDraft(null)} className="px-4 py-1.5 text-gray-700 hover:text-gray-900">
+            Cancel
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  const level = LEVELS.find(item => item.value === analysis?.seniority);
+
+  return (
+    <div className="mt-3 border-t border-gray-200 pt-3 space-y-3 text-sm">
+      {!analysis ? (
+        <p className="text-gray-600">This job description has not been analyzed yet.</p>
+      ) : (
+        <>
+          <p className="text-xs text-gray-500">
+            {analysis.source === 'user' ? `Corrected ${new Date(analysis.editedAt).toLocaleDateString()}` : 'Analyzed automatically; check it and correct anything wrong.'}
+            {' '}Interview questions are assigned must-have skills first, then nice-to-have ones.
+          </p>
+          <p className="text-gray-700">
+            <span className="font-medium">{analysis.title || 'Untitled role'}</span>
+            {[level?.value && level.label, analysis.domain].filter(Boolean).map(item => ` • ${item}`)}
+          </p>
+          {analysis.summary && <p className="text-gray-700">{analysis.summary}</p>}
+          {SKILL_LISTS.map(({ key, label }) => analysis[key].length > 0 && (
+            <div key={key}>
+              <h4 className="font-semibold text-gray-800">{label}</h4>
+              <ul className="list-disc ml-5 text-gray-700">
+                {analysis[key].map(skill => (
+                  <li key={skill.name}>
+                    <span className="font-medium">{skill.name}</span>
+                    {skill.detail && <span className="text-gray-600">: {skill.detail}</span>}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+          {analysis.responsibilities.length > 0 && (
+            <div>
+              <h4 className="font-semibold text-gray-800">Responsibilities</h4>
+              <ul className="list-disc ml-5 text-gray-700">
+                {analysis.responsibilities.map(responsibility => <li key={responsibility}>{responsibility}</li>)}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+
+      <div className="flex space-x-4">
+        {analysis && (
+          <button onClick={() => setDraft(toDraft(analysis))} className="text-xs text-indigo-600 hover:text-indigo-800 font-medium">
+            Edit requirements
+          </button>
+        )}
+        <button
+          onClick={handleExtract}
+          disabled={working}
+          className="text-xs text-indigo-600 hover:text-indigo-800 font-medium disabled:opacity-50"
+        >
+          {working ? 'Analyzing...' : analysis ? 'Analyze again' : 'Analyze job description'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default JdAnalysis;
@@ -0,0 +1,50 @@
+import { useState, useEffect } from 'react';
+import api from '../utils/axios';
+
+const OAuthButtons = () => {
+  const [providers, setProviders] = useState([]);
+
+  useEffect(() => {
+    const fetchProviders = async () => {
+      try {
+        const response = await api.get('/auth/oauth/providers');
+        if (response.data.success) {
+          setProviders(response.data.providers);
+        }
+      } catch (error) {
+        // No external sign-in is offered if the list can't be loaded
+        console.error('Error loading sign-in providers:', error);
+      }
+    };
+
+    fetchProviders();
+  }, []);
+
+  if (providers.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-6">
+      <div className="flex items-center gap-3 mb-4">
+        <div className="flex-1 border-t border-gray-200"></div>
+        <span className="text-sm text-gray-500">or</span>
+        <div className="flex-1 border-t border-gray-200"></div>
+      </div>
+      <div className="space-y-3">
+        {providers.map(provider => (
+          // Full-page navigation: the API redirects on to the provider
+          <a
+            key={provider.id}
+            href={`${api.defaults.baseURL}/auth/oauth/${provider.id}`}
+            className="block w-full text-center border-2 border-gray-300 text-gray-700 py-2 rounded-lg font-semibold hover:bg-gray-50 transition"
+          >
+            Continue with {provider.name}
+          </a>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default OAuthButtons;
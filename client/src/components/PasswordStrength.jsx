@@ -0,0 +1,92 @@
+import { useState, useEffect } from 'react';
+import api from '../utils/axios';
+
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/];
+
+const STRENGTH_LEVELS = [
+  { label: 'Too weak', color: 'bg-red-500', text: 'text-red-600' },
+  { label: 'Weak', color: 'bg-orange-500', text: 'text-orange-600' },
+  { label: 'Fair', color: 'bg-yellow-500', text: 'text-yellow-600' },
+  { label: 'Strong', color: 'bg-green-500', text: 'text-green-600' },
+];
+
+// Used until the server's policy has loaded
+const DEFAULT_POLICY = { minLength: 8, maxLength: 72, minCharacterClasses: 3, checksCommonPasswords: true };
+
+// Live feedback against the server's password policy. The common-password
+// check only runs on the server, so it is mentioned rather than evaluated.
+const PasswordStrength = ({ password, email }) => {
+  const [policy, setPolicy] = useState(DEFAULT_POLICY);
+
+  useEffect(() => {
+    const fetchPolicy = async () => {
+      try {
+        const response = await api.get('/auth/password-policy');
+        if (response.data.success) {
+          setPolicy(response.data.policy);
+        }
+      } catch (error) {
+        console.error('Error loading password policy:', error);
+      }
+    };
+    fetchPolicy();
+  }, []);
+
+  if (!password) {
+    return null;
+  }
+
+  const classCount = CHARACTER_CLASSES.filter(pattern => pattern.test(password)).length;
+  const emailName = (email || '').toLowerCase().split('@')[0];
+
+  const rules = [
+    {
+      label: `At least ${policy.minLength} characters`,
+      met: password.length >= policy.minLength && password.length <= policy.maxLength
+    },
+    {
+      label: `${policy.minCharacterClasses} of: lowercase, uppercase, numbers, symbols`,
+      met: classCount >= policy.minCharacterClasses
+    },
+    {
+      label: 'Does not contain your email',
+      met: emailName.length < 3 || !password.toLowerCase().includes(emailName)
+    },
+  ];
+
+  const allMet = rules.every(rule => rule.met);
+  // Meeting the policy is "Fair"; extra length and variety make it "Strong"
+  let score = allMet ? 2 : Math.min(1, rules.filter(rule => rule.met).length - 1);
+  if (allMet && password.length >= policy.minLength + 4 && classCount === 4) {
+    score = 3;
+  }
+  const level = STRENGTH_LEVELS[Math.max(0, score)];
+
+  return (
+    <div className="mt-2">
+      <div className="flex items-center gap-2">
+        <div className="flex-1 grid grid-cols-4 gap-1">
+          {STRENGTH_LEVELS.map((item, index) => (
+            <div
+              key={item.label}
+              className={`h-1.5 rounded-full ${index <= score ? level.color : 'bg-gray-200'}`}
+            ></div>
+          ))}
+        </div>
+        <span className={`text-xs font-semibold ${level.text}`}>{level.label}</span>
+      </div>
+      <ul className="mt-2 space-y-1 text-xs">
+        {rules.map(rule => (
+          <li key={rule.label} className={rule.met ? 'text-green-600' : 'text-gray-500'}>
+            {rule.met ? '✓' : '○'} {rule.label}
+          </li>
+        ))}
+        {policy.checksCommonPasswords && (
+          <li className="text-gray-500">Common or breached passwords are rejected</li>
+        )}
+      </ul>
+    </div>
+  );
+};
+
+export default PasswordStrength;
@@ -0,0 +1,51 @@
+// Progress of one uploaded document through the server's background processing
+const STAGES = {
+  queued: { label: 'Waiting to be processed', percent: 5 },
+  extracting: { label: 'Extracting text', percent: 20 },
+  embedding: { label: 'Embedding', percent: 35 },
+  ready: { label: 'Ready', percent: 100 },
+  failed: { label: 'Failed', percent: 100 },
+};
+
+const ProcessingProgress = ({ label, processing }) => {
+  if (!processing) return null;
+
+  const stage = STAGES[processing.status] || STAGES.queued;
+  const { progress, attempts, maxAttempts, error } = processing;
+  const failed = processing.status === 'failed';
+
+  let percent = stage.percent;
+  let detail = stage.label;
+  if (processing.status === 'embedding' && progress?.total) {
+    // Embedding takes most of the time: spread it over the rest of the bar
+    percent += Math.round((95 - percent) * (progress.done / progress.total));
+    detail = `Embedding ${progress.done} of ${progress.total} sections`;
+  }
+  if (!failed && attempts > 1) {
+    detail += ` (attempt ${attempts} of ${maxAttempts})`;
+  }
+
+  return (
+    <div className="text-sm" role="status">
+      <div className="flex justify-between mb-1">
+        <span className="font-medium text-gray-700">{label}</span>
+        <span className={failed ? 'text-red-600' : 'text-gray-500'}>{detail}</span>
+      </div>
+      <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+        <div
+          className={`h-full rounded-full transition-all duration-500 ${
+            failed ? 'bg-red-500' : processing.status === 'ready' ? 'bg-green-500' : 'bg-indigo-600'
+          }`}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+      {error && (
+        <p className={`mt-1 text-xs ${failed ? 'text-red-600' : 'text-amber-700'}`}>
+          {failed ? error : `Last attempt failed: ${error} Retrying...`}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ProcessingProgress;
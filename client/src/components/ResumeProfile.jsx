@@ -0,0 +1,286 @@
+import { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import api from '../utils/axios';
+
+// Editable sections of a resume profile. List fields are edited as text:
+// one entry per line, or comma separated for technologies.
+const SECTIONS = [
+  {
+    key: 'experience',
+    label: 'Experience',
+    fields: [
+      { name: 'title', label: 'Title' },
+      { name: 'company', label: 'Company' },
+      { name: 'startDate', label: 'From' },
+      { name: 'endDate', label: 'To' },
+      { name: 'highlights', label: 'Highlights (one per line)', list: '\n' },
+    ],
+  },
+  {
+    key: 'education',
+    label: 'Education',
+    fields: [
+      { name: 'degree', label: 'Degree' },
+      { name: 'field', label: 'Field' },
+      { name: 'institution', label: 'Institution' },
+      { name: 'startDate', label: 'From' },
+      { name: 'endDate', label: 'To' },
+    ],
+  },
+  {
+    key: 'skills',
+    label: 'Skills',
+    fields: [
+      { name: 'name', label: 'Skill' },
+      { name: 'category', label: 'Category' },
+      { name: 'evidence', label: 'Evidence from the resume (one per line)', list: '\n' },
+    ],
+  },
+  {
+    key: 'projects',
+    label: 'Projects',
+    fields: [
+      { name: 'name', label: 'Name' },
+      { name: 'technologies', label: 'Technologies (comma separated)', list: ', ' },
+      { name: 'url', label: 'URL' },
+      { name: 'description', label: 'Description', multiline: true },
+    ],
+  },
+];
+
+// Profile -> form state, with list fields joined into text
+const toDraft = (profile) => {
+  const draft = { summary: profile?.summary || '' };
+  SECTIONS.forEach(({ key, fields }) => {
+    draft[key] = (profile?.[key] || []).map((entry) => Object.fromEntries(
+      fields.map(({ name, list }) => [name, list ? (entry[name] || []).join(list) : entry[name] || ''])
+    ));
+  });
+  return draft;
+};
+
+const emptyEntry = (fields) => Object.fromEntries(fields.map(({ name }) => [name, '']));
+
+// Structured profile of one resume: view, correct or extract it again
+const ResumeProfile = ({ documentId, onChanged }) => {
+  const [profile, setProfile] = useState(undefined); // undefined: loading, null: none yet
+  const [draft, setDraft] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const fetchProfile = useCallback(async () => {
+    try {
+      const response = await api.get(`/documents/${documentId}/resume-profile`);
+      if (response.data.success) {
+        setProfile(response.data.resumeProfile);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error loading resume profile');
+      setProfile(null);
+    }
+  }, [documentId]);
+
+  useEffect(() => {
+    fetchProfile();
+  }, [fetchProfile]);
+
+  const handleExtract = async () => {
+    if (profile && !window.confirm('Extract the profile from the resume again? Your corrections will be replaced.')) {
+      return;
+    }
+
+    setWorking(true);
+    try {
+      const response = await api.post(`/documents/${documentId}/resume-profile/extract`);
+      if (response.data.success) {
+        setProfile(response.data.resumeProfile);
+        setDraft(null);
+        toast.success(response.data.message);
+        onChanged?.();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error extracting resume profile');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setWorking(true);
+    try {
+      // List fields are sent as text; the server splits them
+      const response = await api.put(`/documents/${documentId}/resume-profile`, draft);
+      if (response.data.success) {
+        setProfile(response.data.resumeProfile);
+        setDraft(null);
+        toast.success(response.data.message);
+        onChanged?.();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error saving resume profile');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const updateEntry = (key, index, name, value) => {
+    setDraft({
+      ...draft,
+      [key]: draft[key].map((entry, i) => (i === index ? { ...entry, [name]: value } : entry)),
+    });
+  };
+
+  if (profile === undefined) {
+    return <p className="text-sm text-gray-500 py-2">Loading profile...</p>;
+  }
+
+  if (draft) {
+    return (
+      <form onSubmit={handleSave} className="mt-3 border-t border-gray-200 pt-3 space-y-4 text-sm">
+        <div>
+          <label className="block font-semibold text-gray-700 mb-1">Summary</label>
+          <textarea
+            value={draft.summary}
+            onChange={(e) => setDraft({ ...draft, summary: e.target.value })}
+            rows={2}
+            className="w-full px-2 py-1 border border-gray-300 rounded"
+          />
+        </div>
+
+        {SECTIONS.map(({ key, label, fields }) => (
+          <fieldset key={key}>
+            <legend className="font-semibold text-gray-700 mb-1">{label}</legend>
+            <div className="space-y-2">
+              {draft[key].map((entry, index) => (
+                <div key={index} className="grid sm:grid-cols-2 gap-2 p-2 bg-white border border-gray-200 rounded">
+                  {fields.map(({ name, label: fieldLabel, list, multiline }) => (
+                    <label key={name} className={list === '\n' || multiline ? 'sm:col-span-2' : ''}>
+                      <span className="block text-xs text-gray-500">{fieldLabel}</span>
+                      {list === '\n' || multiline ? (
+                        <textarea
+                          value={entry[name]}
+                          onChange={(e) => updateEntry(key, index, name, e.target.value)}
+                          rows={3}
+                          className="w-full px-2 py-1 border border-gray-300 rounded"
+                        />
+                      ) : (
+                        <input
+                          value={entry[name]}
+                          onChange={(e) => updateEntry(key, index, name, e.target.value)}
+                          className="w-full px-2 py-1 border border-gray-300 rounded"
+                        />
+                      )}
+                    </label>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={() => setDraft({ ...draft, [key]: draft[key].filter((_, i) => i !== index) })}
+                    className="sm:col-span-2 justify-self-end text-xs text-red-600 hover:text-red-800"
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={() => setDraft({ ...draft, [key]: [...draft[key], emptyEntry(fields)] })}
+              className="mt-1 text-xs text-indigo-600 hover:text-indigo-800 font-medium"
+            >
+              + Add {label.toLowerCase()}
+            </button>
+          </fieldset>
+        ))}
+
+        <div className="flex space-x-3">
+          <button
+            type="submit"
+            disabled={working}
+            className="px-4 py-1.5 bg-indigo-600 text-white rounded font-medium hover:bg-indigo-700 disabled:opacity-50"
+          >
+            {working ? 'Saving...' : 'Save profile'}
+          </button>
+          <button type="button" onClick={() => setDraft(null)} className="px-4 py-1.5 text-gray-700 hover:text-gray-900">
+            Cancel
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <div className="mt-3 border-t border-gray-200 pt-3 space-y-3 text-sm">
+      {!profile ? (
+        <p className="text-gray-600">No structured profile has been extracted from this resume yet.</p>
+      ) : (
+        <>
+          <p className="text-xs text-gray-500">
+            {profile.source === 'user' ? `Corrected ${new Date(profile.editedAt).toLocaleDateString()}` : 'Extracted automatically; check it and correct anything wrong.'}
+          </p>
+          {profile.summary && <p className="text-gray-700">{profile.summary}</p>}
+          <ProfileList title="Experience" items={profile.experience} render={(entry) => (
+            <>
+              <span className="font-medium">{[entry.title, entry.company].filter(Boolean).join(' at ')}</span>
+              {(entry.startDate || entry.endDate) && <span className="text-gray-500"> ({[entry.startDate, entry.endDate].filter(Boolean).join(' - ')})</span>}
+              {entry.highlights.length > 0 && (
+                <ul className="list-disc ml-5 text-gray-600">
+                  {entry.highlights.map((highlight) => <li key={highlight}>{highlight}</li>)}
+                </ul>
+              )}
+            </>
+          )} />
+          <ProfileList title="Education" items={profile.education} render={(entry) => (
+            <>
+              <span className="font-medium">{[entry.degree, entry.field].filter(Boolean).join(', ')}</span>
+              {entry.institution && ` - ${entry.institution}`}
+              {(entry.startDate || entry.endDate) && <span className="text-gray-500"> ({[entry.startDate, entry.endDate].filter(Boolean).join(' - ')})</span>}
+            </>
+          )} />
+          <ProfileList title="Skills" items={profile.skills} render={(skill) => (
+            <>
+              <span className="font-medium">{skill.name}</span>
+              {skill.evidence.length > 0
+                ? <span className="text-gray-600">: {skill.evidence.join('; ')}</span>
+                : <span className="text-amber-600"> (listed without evidence)</span>}
+            </>
+          )} />
+          <ProfileList title="Projects" items={profile.projects} render={(project) => (
+            <>
+              <span className="font-medium">{project.name}</span>
+              {project.technologies.length > 0 && <span className="text-gray-500"> [{project.technologies.join(', ')}]</span>}
+              {project.description && <span className="text-gray-600">: {project.description}</span>}
+            </>
+          )} />
+        </>
+      )}
+
+      <div className="flex space-x-4">
+        {profile && (
+          <button onClick={() => setDraft(toDraft(profile))} className="text-xs text-indigo-600 hover:text-indigo-800 font-medium">
+            Edit profile
+          </button>
+        )}
+        <button
+          onClick={handleExtract}
+          disabled={working}
+          className="text-xs text-indigo-600 hover:text-indigo-800 font-medium disabled:opacity-50"
+        >
+          {working ? 'Extracting...' : profile ? 'Extract again' : 'Extract profile'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const ProfileList = ({ title, items, render }) => (
+  items.length > 0 && (
+    <div>
+      <h4 className="font-semibold text-gray-800">{title}</h4>
+      <ul className="space-y-1">
+        {items.map((item, index) => <li key={index}>{render(item)}</li>)}
+      </ul>
+    </div>
+  )
+);
+
+export default ResumeProfile;
@@ -0,0 +1,125 @@
+import { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import api from '../utils/axios';
+
+const METHOD_LABELS = {
+  password: 'Password',
+  '2fa': 'Password + 2FA',
+  signup: 'Sign up',
+  unknown: 'Earlier login',
+};
+
+const SignedInDevices = () => {
+  const [sessions, setSessions] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await api.get('/auth/sessions');
+      if (response.data.success) {
+        setSessions(response.data.sessions);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error loading signed-in devices');
+    }
+  };
+
+  const handleRevoke = async (session) => {
+    if (!window.confirm(`Sign out ${session.device}?`)) {
+      return;
+    }
+
+    try {
+      const response = await api.delete(`/auth/sessions/${session.id}`);
+      if (response.data.success) {
+        toast.success('Device signed out');
+        setSessions(sessions.filter(s => s.id !== session.id));
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error signing out device');
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out every other device?')) {
+      return;
+    }
+
+    setWorking(true);
+    try {
+      const response = await api.delete('/auth/sessions');
+      if (response.data.success) {
+        toast.success(response.data.message);
+        fetchSessions();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error signing out other devices');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const methodLabel = (method) => {
+    if (method.startsWith('oauth:')) {
+      return `Sign in with ${method.slice('oauth:'.length)}`;
+    }
+    return METHOD_LABELS[method] || method;
+  };
+
+  const hasOtherSessions = sessions?.some(session => !session.current);
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold text-gray-900">Signed-in Devices</h2>
+        {hasOtherSessions && (
+          <button
+            onClick={handleRevokeOthers}
+            disabled={working}
+            className="text-sm font-semibold text-red-600 hover:underline disabled:opacity-50"
+          >
+            Sign out all other devices
+          </button>
+        )}
+      </div>
+
+      {!sessions ? (
+        <div className="text-center py-4">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600 mx-auto"></div>
+        </div>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {sessions.map(session => (
+            <li key={session.id} className="py-3 flex items-center justify-between gap-4">
+              <div>
+                <p className="font-semibold text-gray-900">
+                  {session.device}
+                  {session.current && (
+                    <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-green-100 text-green-700">This device</span>
+                  )}
+                </p>
+                <p className="text-sm text-gray-500" title={session.userAgent}>
+                  {methodLabel(session.method)} · {session.ip || 'Unknown IP'} · Signed in {new Date(session.createdAt).toLocaleDateString()} · Last active {new Date(session.lastSeenAt).toLocaleString()}
+                </p>
+              </div>
+              {!session.current && (
+                <button
+                  onClick={() => handleRevoke(session)}
+                  className="text-red-600 text-sm font-semibold hover:underline"
+                >
+                  Sign out
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SignedInDevices;
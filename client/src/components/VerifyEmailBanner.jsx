@@ -0,0 +1,44 @@
+import { useState } from 'react';
+import toast from 'react-hot-toast';
+import api from '../utils/axios';
+
+const VerifyEmailBanner = () => {
+  const [sending, setSending] = useState(false);
+  const user = JSON.parse(localStorage.getItem('user') || 'null');
+
+  // Only shown for accounts known to be unverified
+  if (!user || user.emailVerified !== false) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      const response = await api.post('/auth/resend-verification');
+      if (response.data.success) {
+        toast.success('Verification email sent');
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Could not send verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-amber-50 border border-amber-200 rounded-xl p-4 mb-6 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+      <p className="text-sm text-amber-800">
+        Please verify <span className="font-semibold">{user.email}</span> to upload documents and generate interview questions.
+      </p>
+      <button
+        onClick={handleResend}
+        disabled={sending}
+        className="px-4 py-2 bg-amber-600 text-white text-sm font-semibold rounded-lg hover:bg-amber-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {sending ? 'Sending...' : 'Resend email'}
+      </button>
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
@@ -1,7 +1,8 @@
 import { useState, useEffect } from 'react';
-import { useNavigate, useParams } from 'react-router-dom';
+import { useNavigate, useParams, Link } from 'react-router-dom';
 import toast from 'react-hot-toast';
 import api from '../utils/axios';
+import { logout } from '../utils/auth';
 
 // Parse questions from text into structured format
 const parseQuestions = (text) => {
@@ -187,9 +188,8 @@ const Chat = () => {
     }
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+  const handleLogout = async () => {
+    await logout();
     navigate('/login');
     toast.success('Logged out successfully');
   };
@@ -233,6 +233,11 @@ const Chat = () => {
                 <p className="text-sm text-gray-500">
                   {!isCompleted && `Question ${currentQuestionIndex + 1} of ${questions.length}`}
                   {isCompleted && 'Completed'}
+                  {sessionInfo?.resumeVersion && ` • Resume v${sessionInfo.resumeVersion.version}`}
+                  {' • '}
+                  <Link to={`/match/${sessionId}`} className="text-indigo-600 hover:text-indigo-800 font-medium">
+                    Match report
+                  </Link>
                 </p>
               </div>
             </div>
@@ -255,8 +260,19 @@ const Chat = () => {
           <FinalResultsBanner session={sessionInfo} />
         )}
 
+        {/* Read-only notice for coaches/admins viewing a candidate's session */}
+        {sessionInfo && sessionInfo.isOwner === false && (
+          <div className="mb-6 bg-amber-50 border border-amber-200 rounded-xl p-4 text-sm text-amber-800">
+            You are viewing another user&apos;s session in read-only mode.
+          </div>
+        )}
+
         {/* Question or Results */}
-        {!isCompleted ? (
+        {!isCompleted && sessionInfo?.isOwner === false ? (
+          <div className="bg-white rounded-2xl shadow-lg p-8 text-center text-gray-600">
+            This interview has not been completed yet.
+          </div>
+        ) : !isCompleted ? (
           <QuestionView
             question={currentQuestion}
             questionIndex={currentQuestionIndex}
@@ -1,20 +1,64 @@
-import { useState } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import toast from 'react-hot-toast';
 import api from '../utils/axios';
+import { logout } from '../utils/auth';
+import { DOCUMENT_ACCEPT_ATTRIBUTE, DOCUMENT_FORMATS_LABEL } from '../utils/documentFormats';
+import { isProcessing, watchDocumentProcessing } from '../utils/documentProcessing';
+import ProcessingProgress from '../components/ProcessingProgress';
 // Removed Dropzone import if FileUploadBox handles it internally
 
+// Matches the server's minimum for pasted documents
+const PASTED_TEXT_MIN_CHARS = 50;
+// Session fields referencing a library document, by document type
+const LIBRARY_REFERENCE_FIELDS = { resume: 'resumeDocumentId', jd: 'jdDocumentId' };
+
 const ChatConfig = () => {
   const [sessionName, setSessionName] = useState('');
   // Default to 3, but allow up to 4
   const [numQuestions, setNumQuestions] = useState(3);
   const [resumeFile, setResumeFile] = useState(null);
   const [jdFile, setJdFile] = useState(null);
+  // Each document can be uploaded as a file, pasted as text or picked from the library
+  const [inputMode, setInputMode] = useState({ resume: 'file', jd: 'file' });
+  const [pastedText, setPastedText] = useState({ resume: '', jd: '' });
+  const [library, setLibrary] = useState({ resume: [], jd: [] });
+  const [librarySelection, setLibrarySelection] = useState({ resume: '', jd: '' });
   const [uploading, setUploading] = useState(false);
+  // Background processing of the uploaded files, by document type
+  const [processing, setProcessing] = useState({ resume: null, jd: null });
+  const watchAbort = useRef(null);
   const [sessionId, setSessionId] = useState(null);
   const [step, setStep] = useState(1); // 1: Config, 2: Upload, 3: Generating
   const navigate = useNavigate();
 
+  // Offer documents already in the library so they need not be uploaded again
+  useEffect(() => {
+    const fetchLibrary = async () => {
+      try {
+        const response = await api.get('/documents/list');
+        if (!response.data.success) return;
+
+        const byType = { resume: [], jd: [] };
+        // Uploads still being processed (or that failed) cannot be used yet
+        response.data.documents
+          .filter((doc) => doc.hasContent)
+          .forEach((doc) => byType[doc.type]?.push(doc));
+        setLibrary(byType);
+        // Default to the most recent library document of each type
+        setLibrarySelection({ resume: byType.resume[0]?.id || '', jd: byType.jd[0]?.id || '' });
+        setInputMode({
+          resume: byType.resume.length > 0 ? 'library' : 'file',
+          jd: byType.jd.length > 0 ? 'library' : 'file',
+        });
+      } catch (error) {
+        // Uploading and pasting still work without the library
+        console.error('Fetch document library error:', error);
+      }
+    };
+    fetchLibrary();
+  }, []);
+
   // Step 1: Create Session
   const handleCreateSession = async (e) => {
     e.preventDefault();
@@ -60,50 +104,123 @@ const ChatConfig = () => {
     }
   };
 
-  // Step 2: Upload Documents and Generate Questions
-  const handleStartInterview = async () => {
-    if (!resumeFile || !jdFile) {
-      toast.error('Please upload both resume and job description');
-      return;
+  const isProvided = (type, file) => {
+    if (inputMode[type] === 'library') return !!librarySelection[type];
+    return inputMode[type] === 'text'
+      ? pastedText[type].trim().length >= PASTED_TEXT_MIN_CHARS
+      : !!file;
+  };
+
+  // Send one document for this session: a file upload, pasted text or a library reference
+  const submitDocument = (type, file) => {
+    if (inputMode[type] === 'library') {
+      return api.put(`/chat/session/${sessionId}/documents`, {
+        [LIBRARY_REFERENCE_FIELDS[type]]: librarySelection[type],
+      });
+    }
+    if (inputMode[type] === 'text') {
+      return api.post('/documents/text', { type, sessionId, text: pastedText[type] });
     }
 
-    setUploading(true);
-    setStep(3); // Move to generating step
+    const formData = new FormData();
+    formData.append('document', file);
+    formData.append('type', type);
+    formData.append('sessionId', sessionId);
 
-    try {
-      // Upload Resume
-      const resumeFormData = new FormData();
-      resumeFormData.append('document', resumeFile);
-      resumeFormData.append('type', 'resume');
-      resumeFormData.append('sessionId', sessionId);
-
-      console.log('📄 Uploading resume...');
-      const resumeResponse = await api.post('/documents/upload', resumeFormData, {
-        headers: { 'Content-Type': 'multipart/form-data' },
-      });
+    return api.post('/documents/upload', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  };
 
-      if (!resumeResponse.data.success) {
-        // Use server message if available
-        throw new Error(resumeResponse.data.message || 'Resume upload failed');
-      }
-      console.log('✅ Resume uploaded');
+  // Wait until an uploaded file has been processed on the server, showing its progress
+  const waitForProcessing = async (type, response) => {
+    const document = response.data.document;
+    if (!isProcessing(document?.processing)) return;
 
-      // Upload Job Description
-      const jdFormData = new FormData();
-      jdFormData.append('document', jdFile);
-      jdFormData.append('type', 'jd');
-      jdFormData.append('sessionId', sessionId);
+    const update = (status) => setProcessing((current) => ({ ...current, [type]: status }));
+    update(document.processing);
+    const final = await watchDocumentProcessing(document.id, update, { signal: watchAbort.current.signal });
+    if (final?.status === 'failed') {
+      throw new Error(`${type === 'resume' ? 'Resume' : 'Job description'}: ${final.error}`);
+    }
+  };
 
-      console.log('📄 Uploading job description...');
-      const jdResponse = await api.post('/documents/upload', jdFormData, {
-        headers: { 'Content-Type': 'multipart/form-data' },
-      });
+  // Stop following processing when leaving the page
+  useEffect(() => () => watchAbort.current?.abort(), []);
 
-      if (!jdResponse.data.success) {
-        // Use server message if available
-        throw new Error(jdResponse.data.message || 'Job description upload failed');
-      }
-      console.log('✅ Job description uploaded');
+  // Send both documents for this session and wait until they are processed; throws when either fails
+  const submitDocuments = async () => {
+    watchAbort.current = new AbortController();
+    setProcessing({ resume: null, jd: null });
+
+    // Upload Resume
+    console.log('📄 Uploading resume...');
+    const resumeResponse = await submitDocument('resume', resumeFile);
+
+    if (!resumeResponse.data.success) {
+      // Use server message if available
+      throw new Error(resumeResponse.data.message || 'Resume upload failed');
+    }
+    console.log('✅ Resume uploaded');
+
+    // Upload Job Description
+    console.log('📄 Uploading job description...');
+    const jdResponse = await submitDocument('jd', jdFile);
+
+    if (!jdResponse.data.success) {
+      // Use server message if available
+      throw new Error(jdResponse.data.message || 'Job description upload failed');
+    }
+    console.log('✅ Job description uploaded');
+
+    // Uploaded files are extracted and embedded in the background, one after the other
+    await Promise.all([
+      waitForProcessing('resume', resumeResponse),
+      waitForProcessing('jd', jdResponse),
+    ]);
+    console.log('✅ Documents processed');
+  };
+
+  const processingProgress = (processing.resume || processing.jd) && (
+    <div className="space-y-3 text-left">
+      <ProcessingProgress label="Resume" processing={processing.resume} />
+      <ProcessingProgress label="Job Description" processing={processing.jd} />
+    </div>
+  );
+
+  const checkDocumentsProvided = () => {
+    if (!isProvided('resume', resumeFile) || !isProvided('jd', jdFile)) {
+      toast.error(`Please provide both resume and job description (pasted text needs at least ${PASTED_TEXT_MIN_CHARS} characters)`);
+      return false;
+    }
+    return true;
+  };
+
+  // Step 2 (optional): Upload Documents and see how well they match before the interview
+  const handleCheckMatch = async () => {
+    if (!checkDocumentsProvided()) return;
+
+    setUploading(true);
+    try {
+      await submitDocuments();
+      // The report page offers to start the interview from there
+      navigate(`/match/${sessionId}`);
+    } catch (error) {
+      console.error('Check match error:', error);
+      toast.error(error.response?.data?.message || error.message || 'Error uploading documents');
+      setUploading(false);
+    }
+  };
+
+  // Step 2: Upload Documents and Generate Questions
+  const handleStartInterview = async () => {
+    if (!checkDocumentsProvided()) return;
+
+    setUploading(true);
+    setStep(3); // Move to generating step
+
+    try {
+      await submitDocuments();
 
       // Generate Questions
       if (!sessionId) {
@@ -137,9 +254,8 @@ const ChatConfig = () => {
     }
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+  const handleLogout = async () => {
+    await logout();
     navigate('/login');
     toast.success('Logged out successfully');
   };
@@ -273,16 +389,23 @@ const ChatConfig = () => {
                 </svg>
               </div>
               <h2 className="text-xl sm:text-2xl font-bold text-gray-900 mb-1 sm:mb-2">Upload Documents</h2>
-              <p className="text-sm sm:text-base text-gray-600">Upload your resume and the job description (PDF only)</p>
+              <p className="text-sm sm:text-base text-gray-600">Upload your resume and the job description ({DOCUMENT_FORMATS_LABEL}), paste their text or pick them from your library</p>
             </div>
 
             <div className="space-y-5 sm:space-y-6">
               {/* Resume Upload */}
-              <FileUploadBox
+              <DocumentInput
                 label="Resume"
+                mode={inputMode.resume}
+                onModeChange={(mode) => setInputMode({ ...inputMode, resume: mode })}
+                text={pastedText.resume}
+                onTextChange={(text) => setPastedText({ ...pastedText, resume: text })}
+                libraryDocuments={library.resume}
+                selectedId={librarySelection.resume}
+                onSelect={(id) => setLibrarySelection({ ...librarySelection, resume: id })}
                 file={resumeFile}
                 onFileChange={setResumeFile}
-                accept=".pdf" // Restrict to PDF as per backend setup
+                accept={DOCUMENT_ACCEPT_ATTRIBUTE}
                 icon={
                   <svg className="w-6 h-6 sm:w-8 sm:h-8" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
@@ -291,11 +414,18 @@ const ChatConfig = () => {
               />
 
               {/* Job Description Upload */}
-              <FileUploadBox
+              <DocumentInput
                 label="Job Description"
+                mode={inputMode.jd}
+                onModeChange={(mode) => setInputMode({ ...inputMode, jd: mode })}
+                text={pastedText.jd}
+                onTextChange={(text) => setPastedText({ ...pastedText, jd: text })}
+                libraryDocuments={library.jd}
+                selectedId={librarySelection.jd}
+                onSelect={(id) => setLibrarySelection({ ...librarySelection, jd: id })}
                 file={jdFile}
                 onFileChange={setJdFile}
-                accept=".pdf" // Restrict to PDF as per backend setup
+                accept={DOCUMENT_ACCEPT_ATTRIBUTE}
                 icon={
                   <svg className="w-6 h-6 sm:w-8 sm:h-8" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 13.255A23.931 23.931 0 0112 15c-3.183 0-6.22-.62-9-1.745M16 6V4a2 2 0 00-2-2h-4a2 2 0 00-2 2v2m4 6h.01M5 20h14a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
@@ -311,14 +441,24 @@ const ChatConfig = () => {
                 >
                   Back
                 </button>
+                <button
+                  onClick={handleCheckMatch}
+                  disabled={!isProvided('resume', resumeFile) || !isProvided('jd', jdFile) || uploading}
+                  className="flex-1 order-3 sm:order-2 w-full bg-white text-indigo-700 border-2 border-indigo-300 py-3 sm:py-4 rounded-xl font-semibold hover:border-indigo-400 transition disabled:opacity-50 disabled:cursor-not-allowed text-sm sm:text-base"
+                  title="Compare your resume with the job description before the interview"
+                >
+                  Check Match
+                </button>
                 <button
                   onClick={handleStartInterview}
-                  disabled={!resumeFile || !jdFile || uploading}
-                  className="flex-1 order-1 sm:order-2 w-full bg-gradient-to-r from-green-600 to-emerald-600 text-white py-3 sm:py-4 rounded-xl font-semibold hover:shadow-xl transition disabled:opacity-50 disabled:cursor-not-allowed text-sm sm:text-base"
+                  disabled={!isProvided('resume', resumeFile) || !isProvided('jd', jdFile) || uploading}
+                  className="flex-1 order-1 sm:order-3 w-full bg-gradient-to-r from-green-600 to-emerald-600 text-white py-3 sm:py-4 rounded-xl font-semibold hover:shadow-xl transition disabled:opacity-50 disabled:cursor-not-allowed text-sm sm:text-base"
                 >
                   {uploading ? 'Processing...' : 'Start Interview'}
                 </button>
               </div>
+
+              {uploading && processingProgress}
             </div>
           </div>
         )}
@@ -332,6 +472,7 @@ const ChatConfig = () => {
               <p className="text-sm sm:text-base text-gray-600 mb-5 sm:mb-6">
                 AI is analyzing your resume and job description...
               </p>
+              {processingProgress && <div className="mb-5 sm:mb-6">{processingProgress}</div>}
               {/* Progress indicators */}
               <div className="flex flex-col space-y-2 text-xs sm:text-sm text-gray-500">
                 <div className="flex items-center justify-center space-x-2">
@@ -380,6 +521,90 @@ const StepIndicator = ({ number, label, active, completed }) => (
   </div>
 );
 
+// Document Input Component: "From library" / "Upload file" / "Paste text" tabs around one document
+const DocumentInput = ({ label, mode, onModeChange, text, onTextChange, libraryDocuments, selectedId, onSelect, ...fileProps }) => {
+  const tabs = [['file', 'Upload file'], ['text', 'Paste text']];
+  if (libraryDocuments.length > 0) tabs.unshift(['library', 'From library']);
+
+  return (
+    <div>
+      <div className="flex space-x-2 mb-2" role="tablist" aria-label={`${label} input`}>
+        {tabs.map(([value, tabLabel]) => (
+          <button
+            key={value}
+            type="button"
+            role="tab"
+            aria-selected={mode === value}
+            onClick={() => onModeChange(value)}
+            className={`px-3 py-1 rounded-lg text-xs sm:text-sm font-semibold transition ${
+              mode === value ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+            }`}
+          >
+            {tabLabel}
+          </button>
+        ))}
+      </div>
+      {mode === 'library' ? (
+        <LibraryPicker label={label} documents={libraryDocuments} selectedId={selectedId} onSelect={onSelect} />
+      ) : mode === 'text' ? (
+        <div className="border-2 border-dashed border-gray-300 rounded-xl p-4 sm:p-6 hover:border-indigo-400 transition">
+          <label className="block text-sm font-semibold text-gray-700 mb-1 sm:mb-2">
+            {label} <span className="text-red-500">*</span>
+          </label>
+          <textarea
+            value={text}
+            onChange={(e) => onTextChange(e.target.value)}
+            rows={8}
+            placeholder={`Paste the ${label.toLowerCase()} text here`}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 text-xs sm:text-sm"
+            aria-label={`Paste ${label}`}
+          />
+          <p className={`mt-1 text-xs ${text.trim().length >= PASTED_TEXT_MIN_CHARS ? 'text-green-600' : 'text-gray-500'}`}>
+            {text.trim().length} characters{text.trim().length < PASTED_TEXT_MIN_CHARS && ` (at least ${PASTED_TEXT_MIN_CHARS})`}
+          </p>
+        </div>
+      ) : (
+        <FileUploadBox label={label} {...fileProps} />
+      )}
+    </div>
+  );
+};
+
+// Library Picker Component: choose one previously uploaded document
+const LibraryPicker = ({ label, documents, selectedId, onSelect }) => (
+  <fieldset className="border-2 border-dashed border-gray-300 rounded-xl p-4 sm:p-6">
+    <legend className="px-1 text-sm font-semibold text-gray-700">
+      {label} <span className="text-red-500">*</span>
+    </legend>
+    <div className="space-y-2 max-h-48 overflow-y-auto">
+      {documents.map((doc) => (
+        <label
+          key={doc.id}
+          className={`flex items-center space-x-3 px-3 py-2 rounded-lg cursor-pointer transition ${
+            selectedId === doc.id ? 'bg-indigo-50 border border-indigo-300' : 'border border-transparent hover:bg-gray-50'
+          }`}
+        >
+          <input
+            type="radio"
+            name={`library-${label}`}
+            value={doc.id}
+            checked={selectedId === doc.id}
+            onChange={() => onSelect(doc.id)}
+            className="accent-indigo-600"
+          />
+          <span className="flex-1 min-w-0">
+            <span className="block text-xs sm:text-sm font-medium text-gray-900 truncate">{doc.fileName}</span>
+            <span className="block text-[10px] sm:text-xs text-gray-500">
+              {doc.format?.toUpperCase()} • {new Date(doc.createdAt).toLocaleDateString()}
+              {doc.sessionCount > 0 && ` • Used in ${doc.sessionCount} session${doc.sessionCount === 1 ? '' : 's'}`}
+            </span>
+          </span>
+        </label>
+      ))}
+    </div>
+  </fieldset>
+);
+
 // File Upload Box Component (Adjusted styles and added aria-label)
 const FileUploadBox = ({ label, file, onFileChange, accept, icon }) => (
   <div className="border-2 border-dashed border-gray-300 rounded-xl p-4 sm:p-6 hover:border-indigo-400 transition">
@@ -0,0 +1,80 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import api from '../utils/axios';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await api.post('/auth/forgot-password', { email });
+
+      if (response.data.success) {
+        setSent(true);
+        toast.success('Check your inbox for a reset link');
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Could not send reset link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center px-4">
+      <div className="max-w-md w-full bg-white rounded-lg shadow-lg p-8">
+        <h2 className="text-3xl font-bold text-center text-gray-900 mb-4">
+          Forgot Password
+        </h2>
+        {sent ? (
+          <p className="text-center text-gray-600">
+            If an account exists for <span className="font-semibold">{email}</span>, we have sent a link to reset your password.
+          </p>
+        ) : (
+          <>
+            <p className="text-center text-gray-600 mb-8">
+              Enter your email and we will send you a link to reset your password.
+            </p>
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Email
+                </label>
+                <input
+                  type="email"
+                  name="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  required
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                  placeholder="you@example.com"
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full bg-indigo-600 text-white py-2 rounded-lg font-semibold hover:bg-indigo-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? 'Sending...' : 'Send Reset Link'}
+              </button>
+            </form>
+          </>
+        )}
+        <p className="text-center text-gray-600 mt-6">
+          Remembered it?{' '}
+          <Link to="/login" className="text-indigo-600 font-semibold hover:underline">
+            Back to login
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
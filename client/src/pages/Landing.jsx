@@ -2,12 +2,15 @@ import { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import toast from 'react-hot-toast';
 import api from '../utils/axios';
+import { logout } from '../utils/auth';
+import VerifyEmailBanner from '../components/VerifyEmailBanner';
 
 const Landing = () => {
   const [sessions, setSessions] = useState([]);
   const [loading, setLoading] = useState(true);
   const navigate = useNavigate();
   const token = localStorage.getItem('token');
+  const user = JSON.parse(localStorage.getItem('user') || 'null');
 
   useEffect(() => {
     if (token) {
@@ -32,9 +35,8 @@ const Landing = () => {
     }
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+  const handleLogout = async () => {
+    await logout();
     window.location.reload(); // Reload to reflect logged-out state
     toast.success('Logged out successfully');
   };
@@ -233,22 +235,47 @@ const Landing = () => {
                 InterviewAI
               </span>
             </div>
-            {/* Logout Button */}
-            <button
-              onClick={handleLogout}
-              className="flex items-center space-x-2 px-3 py-2 sm:px-4 text-gray-700 hover:text-gray-900 text-sm sm:text-base font-medium hover:bg-gray-100 rounded-lg transition"
-            >
-              <svg className="w-4 h-4 sm:w-5 sm:h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" />
-              </svg>
-              <span className="hidden sm:inline">Logout</span>
-            </button>
+            <div className="flex items-center space-x-2">
+              {/* Team link (coaches and admins) */}
+              {['coach', 'admin'].includes(user?.role) && (
+                <button
+                  onClick={() => navigate('/team')}
+                  className="px-3 py-2 sm:px-4 text-gray-700 hover:text-gray-900 text-sm sm:text-base font-medium hover:bg-gray-100 rounded-lg transition"
+                >
+                  Team
+                </button>
+              )}
+              <button
+                onClick={() => navigate('/settings/profile')}
+                className="px-3 py-2 sm:px-4 text-gray-700 hover:text-gray-900 text-sm sm:text-base font-medium hover:bg-gray-100 rounded-lg transition"
+              >
+                Profile
+              </button>
+              <button
+                onClick={() => navigate('/settings/security')}
+                className="px-3 py-2 sm:px-4 text-gray-700 hover:text-gray-900 text-sm sm:text-base font-medium hover:bg-gray-100 rounded-lg transition"
+              >
+                Security
+              </button>
+              {/* Logout Button */}
+              <button
+                onClick={handleLogout}
+                className="flex items-center space-x-2 px-3 py-2 sm:px-4 text-gray-700 hover:text-gray-900 text-sm sm:text-base font-medium hover:bg-gray-100 rounded-lg transition"
+              >
+                <svg className="w-4 h-4 sm:w-5 sm:h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" />
+                </svg>
+                <span className="hidden sm:inline">Logout</span>
+              </button>
+            </div>
           </div>
         </div>
       </nav>
 
       {/* Main Content Area */}
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 sm:py-8">
+        <VerifyEmailBanner />
+
         {/* Welcome Banner */}
         <div className="bg-gradient-to-r from-indigo-600 to-purple-600 rounded-2xl shadow-xl p-6 sm:p-8 lg:p-12 mb-6 sm:mb-8 text-white relative overflow-hidden">
           <div className="relative z-10">
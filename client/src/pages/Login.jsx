@@ -1,17 +1,52 @@
-import { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { useState, useEffect } from 'react';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import toast from 'react-hot-toast';
 import api from '../utils/axios';
+import OAuthButtons from '../components/OAuthButtons';
+
+// Error codes the OAuth callback redirects back with
+const OAUTH_ERROR_MESSAGES = {
+  access_denied: 'Sign-in was cancelled',
+  email_not_verified: 'Your provider account has no verified email address',
+  account_not_verified: 'An account with this email exists but is not verified. Verify it from the email we sent, or reset its password, then sign in with your provider again.',
+  account_locked: 'Account is temporarily locked. Check your email for an unlock link.',
+  invalid_state: 'Sign-in session expired. Please try again.',
+  unknown_provider: 'That sign-in provider is not available',
+};
 
 const Login = () => {
+  const location = useLocation();
   const [formData, setFormData] = useState({ email: '', password: '' });
   const [loading, setLoading] = useState(false);
+  // Set when the password (or OAuth) step succeeded but a 2FA code is still needed
+  const [challengeToken, setChallengeToken] = useState(
+    () => new URLSearchParams(location.hash.slice(1)).get('challenge')
+  );
+  const [code, setCode] = useState('');
   const navigate = useNavigate();
 
+  // Show OAuth errors and drop the OAuth params from the address bar
+  useEffect(() => {
+    const oauthError = new URLSearchParams(location.search).get('oauthError');
+    if (oauthError) {
+      toast.error(OAUTH_ERROR_MESSAGES[oauthError] || 'Sign-in failed. Please try again.', { id: 'oauth-error' });
+    }
+    if (oauthError || location.hash) {
+      navigate('/login', { replace: true });
+    }
+  }, [location.search, location.hash, navigate]);
+
   const handleChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
   };
 
+  const completeLogin = (data) => {
+    localStorage.setItem('token', data.token);
+    localStorage.setItem('user', JSON.stringify(data.user));
+    toast.success('Login successful!');
+    navigate('/');
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -20,10 +55,11 @@ const Login = () => {
       const response = await api.post('/auth/login', formData);
       
       if (response.data.success) {
-        localStorage.setItem('token', response.data.token);
-        localStorage.setItem('user', JSON.stringify(response.data.user));
-        toast.success('Login successful!');
-        navigate('/');
+        if (response.data.twoFactorRequired) {
+          setChallengeToken(response.data.challengeToken);
+        } else {
+          completeLogin(response.data);
+        }
       }
     } catch (error) {
       toast.error(error.response?.data?.message || 'Login failed');
@@ -32,6 +68,68 @@ const Login = () => {
     }
   };
 
+  const handleVerifyCode = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await api.post('/auth/2fa/verify-login', { challengeToken, code });
+
+      if (response.data.success) {
+        completeLogin(response.data);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Verification failed');
+      // Challenge expired or account locked: start over from the password step
+      if (error.response?.status === 423 || error.response?.data?.code === 'CHALLENGE_EXPIRED') {
+        setChallengeToken(null);
+      }
+    } finally {
+      setCode('');
+      setLoading(false);
+    }
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center px-4">
+        <div className="max-w-md w-full bg-white rounded-lg shadow-lg p-8">
+          <h2 className="text-3xl font-bold text-center text-gray-900 mb-4">
+            Two-Factor Authentication
+          </h2>
+          <p className="text-center text-gray-600 mb-8">
+            Enter the 6-digit code from your authenticator app, or one of your backup codes.
+          </p>
+          <form onSubmit={handleVerifyCode} className="space-y-6">
+            <input
+              type="text"
+              name="code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              required
+              autoFocus
+              autoComplete="one-time-code"
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg text-center tracking-widest text-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              placeholder="123456"
+            />
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full bg-indigo-600 text-white py-2 rounded-lg font-semibold hover:bg-indigo-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+          </form>
+          <p className="text-center text-gray-600 mt-6">
+            <button onClick={() => setChallengeToken(null)} className="text-indigo-600 font-semibold hover:underline">
+              Back to login
+            </button>
+          </p>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center px-4">
       <div className="max-w-md w-full bg-white rounded-lg shadow-lg p-8">
@@ -67,6 +165,11 @@ const Login = () => {
               className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
               placeholder="••••••••"
             />
+            <div className="text-right mt-2">
+              <Link to="/forgot-password" className="text-sm text-indigo-600 hover:underline">
+                Forgot password?
+              </Link>
+            </div>
           </div>
           <button
             type="submit"
@@ -76,6 +179,7 @@ const Login = () => {
             {loading ? 'Logging in...' : 'Login'}
           </button>
         </form>
+        <OAuthButtons />
         <p className="text-center text-gray-600 mt-6">
           Don't have an account?{' '}
           <Link to="/signup" className="text-indigo-600 font-semibold hover:underline">
@@ -0,0 +1,211 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import api from '../utils/axios';
+
+const STATUS_STYLES = {
+  matched: { label: 'Matched', className: 'bg-green-100 text-green-800' },
+  partial: { label: 'Partial', className: 'bg-amber-100 text-amber-800' },
+  missing: { label: 'Missing', className: 'bg-red-100 text-red-800' },
+};
+
+const scoreColor = (score) => {
+  if (score >= 75) return 'text-green-600';
+  if (score >= 50) return 'text-amber-600';
+  return 'text-red-600';
+};
+
+// How well the session's resume matches its job description, before or after the interview
+const MatchReport = () => {
+  const { sessionId } = useParams();
+  const navigate = useNavigate();
+  const [session, setSession] = useState(null);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const [starting, setStarting] = useState(false);
+
+  useEffect(() => {
+    const loadReport = async () => {
+      try {
+        const sessionResponse = await api.get(`/chat/session/${sessionId}`);
+        setSession(sessionResponse.data.session);
+
+        const response = await api.get(`/documents/session/${sessionId}/match`);
+        if (response.data.success) {
+          setReport(response.data);
+        }
+      } catch (err) {
+        console.error('Load match report error:', err);
+        setError(err.response?.data || { message: 'Error loading match report' });
+      }
+    };
+    loadReport();
+  }, [sessionId]);
+
+  const hasQuestions = session?.messages?.length > 0;
+
+  const handleStartInterview = async () => {
+    setStarting(true);
+    try {
+      const response = await api.post(`/chat/generate-questions/${sessionId}`);
+      if (response.data.success) {
+        toast.success('Interview ready! 🎉');
+        navigate(`/chat/${sessionId}`);
+      }
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Error generating questions');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <nav className="bg-white border-b border-gray-200 sticky top-0 z-50 shadow-sm">
+        <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center h-16 space-x-4">
+            <button
+              onClick={() => navigate(hasQuestions ? `/chat/${sessionId}` : '/')}
+              className="text-gray-600 hover:text-gray-900 p-2 hover:bg-gray-100 rounded-lg transition"
+              title={hasQuestions ? 'Back to interview' : 'Back to dashboard'}
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+              </svg>
+            </button>
+            <div>
+              <h1 className="text-xl font-bold text-gray-900">Match Report</h1>
+              <p className="text-sm text-gray-500">{session?.sessionName || 'Interview Session'}</p>
+            </div>
+          </div>
+        </div>
+      </nav>
+
+      <div className="max-w-4xl mx-auto px-4 py-8 space-y-6">
+        {!report && !error && (
+          <div className="text-center py-16">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-4 border-indigo-600 mx-auto mb-4"></div>
+            <p className="text-gray-700 font-medium">Comparing your resume with the job description...</p>
+          </div>
+        )}
+
+        {error && (
+          <div className="bg-white rounded-2xl shadow border border-gray-200 p-6 text-center">
+            <p className="text-gray-700 mb-4">{error.message}</p>
+            {error.code === 'JD_NOT_ANALYZED' && (
+              <Link to="/upload" className="text-indigo-600 hover:text-indigo-800 font-semibold">
+                Go to the Upload page
+              </Link>
+            )}
+          </div>
+        )}
+
+        {report && (
+          <>
+            <div className="bg-white rounded-2xl shadow border border-gray-200 p-6 flex flex-col sm:flex-row sm:items-center gap-6">
+              <div className="text-center sm:w-40">
+                <p className={`text-5xl font-bold ${scoreColor(report.score)}`}>{report.score ?? '-'}</p>
+                <p className="text-sm text-gray-500">Match score</p>
+              </div>
+              <div className="flex-1 text-sm text-gray-700 space-y-1">
+                <p>
+                  <span className="font-semibold">{report.jd.title || report.jd.fileName}</span>
+                  {[report.jd.seniority, report.jd.domain].filter(Boolean).map(item => ` • ${item}`)}
+                </p>
+                <p className="text-gray-500">
+                  Resume: {report.resume.fileName} (v{report.resume.version})
+                </p>
+                {!report.resume.hasResumeProfile && (
+                  <p className="text-amber-700">
+                    Your resume has no structured profile, so skills are matched from its text only.
+                  </p>
+                )}
+                {report.missingMustHaves.length > 0 && (
+                  <p>
+                    <span className="font-semibold text-red-700">Missing must-haves:</span> {report.missingMustHaves.join(', ')}
+                  </p>
+                )}
+                {report.missingNiceToHaves.length > 0 && (
+                  <p>
+                    <span className="font-semibold text-gray-700">Missing nice-to-haves:</span> {report.missingNiceToHaves.join(', ')}
+                  </p>
+                )}
+              </div>
+            </div>
+
+            <div className="bg-white rounded-2xl shadow border border-gray-200 p-6">
+              <h2 className="text-lg font-bold text-gray-900 mb-4">Requirements</h2>
+              {report.requirements.length === 0 && (
+                <p className="text-sm text-gray-600">The job description analysis lists no skills.</p>
+              )}
+              <ul className="divide-y divide-gray-100">
+                {report.requirements.map((requirement) => (
+                  <li key={`${requirement.priority}-${requirement.name}`} className="py-3 text-sm">
+                    <div className="flex flex-wrap items-center gap-2">
+                      <span className={`text-xs font-semibold px-2 py-0.5 rounded ${STATUS_STYLES[requirement.status].className}`}>
+                        {STATUS_STYLES[requirement.status].label}
+                      </span>
+                      <span className="font-semibold text-gray-900">{requirement.name}</span>
+                      {requirement.detail && <span className="text-gray-500">{requirement.detail}</span>}
+                      <span className="text-xs text-gray-400">{requirement.priority}</span>
+                    </div>
+                    {requirement.resumeSkill && (
+                      <p className="mt-1 text-gray-600">
+                        Listed on your resume as <span className="font-medium">{requirement.resumeSkill}</span>
+                        {requirement.profileEvidence.length > 0 ? `: ${requirement.profileEvidence.join('; ')}` : ', without an example of using it'}
+                      </p>
+                    )}
+                    {requirement.evidence.map((item, index) => (
+                      <blockquote key={index} className="mt-1 border-l-4 border-indigo-200 pl-3 text-gray-600 italic">
+                        {item.text}
+                        {(item.sectionTitle || item.pageNumber) && (
+                          <span className="block not-italic text-xs text-gray-400 mt-0.5">
+                            {[item.sectionTitle, item.pageNumber && `page ${item.pageNumber}`].filter(Boolean).join(', ')}
+                          </span>
+                        )}
+                      </blockquote>
+                    ))}
+                  </li>
+                ))}
+              </ul>
+            </div>
+
+            {(report.skillOverlap.length > 0 || report.additionalSkills.length > 0) && (
+              <div className="bg-white rounded-2xl shadow border border-gray-200 p-6 grid sm:grid-cols-2 gap-6 text-sm">
+                <div>
+                  <h2 className="font-bold text-gray-900 mb-2">Skills in common</h2>
+                  <p className="text-gray-700">{report.skillOverlap.join(', ') || 'None listed'}</p>
+                </div>
+                <div>
+                  <h2 className="font-bold text-gray-900 mb-2">Your other skills</h2>
+                  <p className="text-gray-700">{report.additionalSkills.join(', ') || 'None'}</p>
+                </div>
+              </div>
+            )}
+
+            <div className="flex justify-center gap-4">
+              {hasQuestions ? (
+                <button
+                  onClick={() => navigate(`/chat/${sessionId}`)}
+                  className="px-6 py-3 bg-white text-gray-700 border-2 border-gray-300 rounded-xl font-semibold hover:border-gray-400 transition"
+                >
+                  Back to Interview
+                </button>
+              ) : session?.isOwner && (
+                <button
+                  onClick={handleStartInterview}
+                  disabled={starting}
+                  className="px-6 py-3 bg-gradient-to-r from-green-600 to-emerald-600 text-white rounded-xl font-semibold hover:shadow-xl transition disabled:opacity-50"
+                >
+                  {starting ? 'Generating questions...' : 'Start Interview'}
+                </button>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MatchReport;
@@ -0,0 +1,58 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import api from '../utils/axios';
+
+// Landing page after a provider sign-in: the API has set the refresh cookie,
+// so exchange it for an access token and the user profile.
+const OAuthCallback = () => {
+  const [failed, setFailed] = useState(false);
+  const navigate = useNavigate();
+  // Refresh tokens rotate; don't spend this one twice when StrictMode re-runs the effect
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    if (requestedRef.current) return;
+    requestedRef.current = true;
+
+    const finishLogin = async () => {
+      try {
+        const response = await api.post('/auth/refresh');
+        if (response.data.success) {
+          localStorage.setItem('token', response.data.token);
+          localStorage.setItem('user', JSON.stringify(response.data.user));
+          toast.success('Login successful!');
+          navigate('/', { replace: true });
+        }
+      } catch (error) {
+        console.error('OAuth sign-in error:', error);
+        setFailed(true);
+      }
+    };
+
+    finishLogin();
+  }, [navigate]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center px-4">
+      <div className="max-w-md w-full bg-white rounded-lg shadow-lg p-8 text-center">
+        {failed ? (
+          <>
+            <h2 className="text-2xl font-bold text-gray-900 mb-4">Sign-in failed</h2>
+            <p className="text-gray-600 mb-6">We couldn&apos;t complete your sign-in. Please try again.</p>
+            <Link to="/login" className="text-indigo-600 font-semibold hover:underline">
+              Back to login
+            </Link>
+          </>
+        ) : (
+          <>
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600 mx-auto mb-4"></div>
+            <p className="text-gray-600">Signing you in...</p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OAuthCallback;
@@ -0,0 +1,187 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import api from '../utils/axios';
+
+const LEVELS = [
+  { value: '', label: 'Not specified' },
+  { value: 'intern', label: 'Intern' },
+  { value: 'junior', label: 'Junior' },
+  { value: 'mid', label: 'Mid-level' },
+  { value: 'senior', label: 'Senior' },
+  { value: 'lead', label: 'Lead' },
+  { value: 'principal', label: 'Principal' },
+];
+
+// Tag lists are edited as comma separated text
+const LIST_FIELDS = ['stack', 'industries', 'weakAreas'];
+
+const Profile = () => {
+  const [formData, setFormData] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    const fetchProfile = async () => {
+      try {
+        const response = await api.get('/users/me/profile');
+        if (response.data.success) {
+          const { profile } = response.data;
+          setFormData({
+            ...profile,
+            yearsOfExperience: profile.yearsOfExperience ?? '',
+            ...Object.fromEntries(LIST_FIELDS.map(field => [field, profile[field].join(', ')])),
+          });
+        }
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Error loading profile');
+      }
+    };
+
+    fetchProfile();
+  }, []);
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const response = await api.put('/users/me/profile', {
+        targetRole: formData.targetRole,
+        level: formData.level,
+        yearsOfExperience: formData.yearsOfExperience === '' ? null : Number(formData.yearsOfExperience),
+        ...Object.fromEntries(LIST_FIELDS.map(field => [field, formData[field].split(',')])),
+      });
+
+      if (response.data.success) {
+        toast.success('Profile saved');
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error saving profile');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+  const labelClass = 'block text-sm font-medium text-gray-700 mb-2';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
+      {/* Header */}
+      <div className="bg-white shadow-sm">
+        <div className="max-w-3xl mx-auto px-4 py-4 flex items-center space-x-4">
+          <button
+            onClick={() => navigate('/')}
+            className="text-gray-600 hover:text-gray-900"
+            title="Back to dashboard"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+          </button>
+          <h1 className="text-2xl font-bold text-gray-900">Candidate Profile</h1>
+        </div>
+      </div>
+
+      <div className="max-w-3xl mx-auto px-4 py-8">
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <p className="text-gray-600 mb-6">
+            Tell the interviewer about yourself. Questions and feedback are tailored to your target role, seniority and the areas you want to practise.
+          </p>
+
+          {!formData ? (
+            <div className="text-center py-8">
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600 mx-auto"></div>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-5">
+              <div>
+                <label className={labelClass}>Target role</label>
+                <input
+                  type="text"
+                  name="targetRole"
+                  value={formData.targetRole}
+                  onChange={handleChange}
+                  maxLength={100}
+                  className={inputClass}
+                  placeholder="e.g. Full-stack Developer"
+                />
+              </div>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-5">
+                <div>
+                  <label className={labelClass}>Level</label>
+                  <select name="level" value={formData.level} onChange={handleChange} className={inputClass}>
+                    {LEVELS.map(level => (
+                      <option key={level.value} value={level.value}>{level.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className={labelClass}>Years of experience</label>
+                  <input
+                    type="number"
+                    name="yearsOfExperience"
+                    value={formData.yearsOfExperience}
+                    onChange={handleChange}
+                    min={0}
+                    max={60}
+                    step="0.5"
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+              <div>
+                <label className={labelClass}>Preferred stack</label>
+                <input
+                  type="text"
+                  name="stack"
+                  value={formData.stack}
+                  onChange={handleChange}
+                  className={inputClass}
+                  placeholder="React, Node.js, MongoDB"
+                />
+              </div>
+              <div>
+                <label className={labelClass}>Industries</label>
+                <input
+                  type="text"
+                  name="industries"
+                  value={formData.industries}
+                  onChange={handleChange}
+                  className={inputClass}
+                  placeholder="Fintech, E-commerce"
+                />
+              </div>
+              <div>
+                <label className={labelClass}>Areas to improve</label>
+                <input
+                  type="text"
+                  name="weakAreas"
+                  value={formData.weakAreas}
+                  onChange={handleChange}
+                  className={inputClass}
+                  placeholder="System design, SQL query optimisation"
+                />
+                <p className="text-xs text-gray-500 mt-1">Separate entries with commas.</p>
+              </div>
+              <button
+                type="submit"
+                disabled={saving}
+                className="bg-indigo-600 text-white px-6 py-2 rounded-lg font-semibold hover:bg-indigo-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {saving ? 'Saving...' : 'Save profile'}
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Profile;
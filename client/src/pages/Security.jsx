@@ -0,0 +1,277 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import api from '../utils/axios';
+import ChangePassword from '../components/ChangePassword';
+import SignedInDevices from '../components/SignedInDevices';
+import ApiTokens from '../components/ApiTokens';
+import AccountData from '../components/AccountData';
+
+const Security = () => {
+  const [status, setStatus] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [working, setWorking] = useState(false);
+  // Bumped to reload the device list after other devices are signed out
+  const [devicesVersion, setDevicesVersion] = useState(0);
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await api.get('/auth/2fa/status');
+      if (response.data.success) {
+        setStatus(response.data);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error loading security settings');
+    }
+  };
+
+  // Keep the cached user's 2FA flag in sync
+  const updateStoredUser = (twoFactorEnabled) => {
+    const storedUser = JSON.parse(localStorage.getItem('user') || 'null');
+    if (storedUser) {
+      localStorage.setItem('user', JSON.stringify({ ...storedUser, twoFactorEnabled }));
+    }
+  };
+
+  const resetForm = () => {
+    setCode('');
+    setPassword('');
+  };
+
+  const handleStartSetup = async () => {
+    setWorking(true);
+    try {
+      const response = await api.post('/auth/2fa/setup');
+      if (response.data.success) {
+        setEnrollment(response.data);
+        setBackupCodes(null);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error starting setup');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setWorking(true);
+    try {
+      const response = await api.post('/auth/2fa/enable', { code });
+      if (response.data.success) {
+        toast.success('Two-factor authentication enabled');
+        setEnrollment(null);
+        setBackupCodes(response.data.backupCodes);
+        updateStoredUser(true);
+        fetchStatus();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error enabling two-factor authentication');
+    } finally {
+      resetForm();
+      setWorking(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    if (!window.confirm('Disable two-factor authentication for your account?')) {
+      return;
+    }
+
+    setWorking(true);
+    try {
+      const response = await api.post('/auth/2fa/disable', { password, code });
+      if (response.data.success) {
+        toast.success('Two-factor authentication disabled');
+        setBackupCodes(null);
+        updateStoredUser(false);
+        fetchStatus();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error disabling two-factor authentication');
+    } finally {
+      resetForm();
+      setWorking(false);
+    }
+  };
+
+  const handleRegenerate = async () => {
+    if (!password || !code) {
+      toast.error('Enter your password and a current code first');
+      return;
+    }
+
+    setWorking(true);
+    try {
+      const response = await api.post('/auth/2fa/backup-codes', { password, code });
+      if (response.data.success) {
+        toast.success('New backup codes generated');
+        setBackupCodes(response.data.backupCodes);
+        fetchStatus();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error generating backup codes');
+    } finally {
+      resetForm();
+      setWorking(false);
+    }
+  };
+
+  const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+  const buttonClass = 'bg-indigo-600 text-white px-6 py-2 rounded-lg font-semibold hover:bg-indigo-700 transition disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
+      {/* Header */}
+      <div className="bg-white shadow-sm">
+        <div className="max-w-3xl mx-auto px-4 py-4 flex items-center space-x-4">
+          <button
+            onClick={() => navigate('/')}
+            className="text-gray-600 hover:text-gray-900"
+            title="Back to dashboard"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+          </button>
+          <h1 className="text-2xl font-bold text-gray-900">Security Settings</h1>
+        </div>
+      </div>
+
+      <div className="max-w-3xl mx-auto px-4 py-8 space-y-6">
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-bold text-gray-900">Two-Factor Authentication</h2>
+            {status && (
+              <span className={`px-3 py-1 rounded-full text-sm font-semibold ${status.enabled ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'}`}>
+                {status.enabled ? 'Enabled' : 'Disabled'}
+              </span>
+            )}
+          </div>
+
+          {!status ? (
+            <div className="text-center py-8">
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600 mx-auto"></div>
+            </div>
+          ) : !status.enabled ? (
+            enrollment ? (
+              /* Step 2: scan the QR code and confirm */
+              <div className="space-y-4">
+                <p className="text-gray-600">
+                  Scan this QR code with your authenticator app (Google Authenticator, 1Password, Authy...), then enter the 6-digit code it shows.
+                </p>
+                <img src={enrollment.qrCode} alt="Two-factor QR code" className="w-48 h-48 mx-auto" />
+                <p className="text-sm text-gray-500 text-center">
+                  Can&apos;t scan? Enter this key manually: <code className="font-mono bg-gray-100 px-2 py-1 rounded">{enrollment.secret}</code>
+                </p>
+                <form onSubmit={handleEnable} className="flex gap-3">
+                  <input
+                    type="text"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                    required
+                    autoComplete="one-time-code"
+                    className={inputClass}
+                    placeholder="123456"
+                  />
+                  <button type="submit" disabled={working} className={buttonClass}>
+                    {working ? 'Verifying...' : 'Enable'}
+                  </button>
+                </form>
+              </div>
+            ) : (
+              /* Step 1: start enrollment */
+              <div>
+                <p className="text-gray-600 mb-4">
+                  Protect your resumes and interview history with a code from an authenticator app in addition to your password.
+                </p>
+                <button onClick={handleStartSetup} disabled={working} className={buttonClass}>
+                  {working ? 'Preparing...' : 'Set up two-factor authentication'}
+                </button>
+              </div>
+            )
+          ) : (
+            /* Enabled: disable or regenerate backup codes */
+            <div className="space-y-4">
+              <p className="text-gray-600">
+                Backup codes remaining: <span className="font-semibold">{status.backupCodesRemaining}</span>
+              </p>
+              <form onSubmit={handleDisable} className="space-y-3">
+                <input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                  className={inputClass}
+                  placeholder="Current password"
+                />
+                <input
+                  type="text"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  required
+                  autoComplete="one-time-code"
+                  className={inputClass}
+                  placeholder="Authenticator or backup code"
+                />
+                <div className="flex flex-wrap gap-3">
+                  <button
+                    type="button"
+                    onClick={handleRegenerate}
+                    disabled={working}
+                    className="px-6 py-2 rounded-lg font-semibold border-2 border-indigo-600 text-indigo-600 hover:bg-indigo-50 transition disabled:opacity-50"
+                  >
+                    New backup codes
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={working}
+                    className="px-6 py-2 rounded-lg font-semibold bg-red-600 text-white hover:bg-red-700 transition disabled:opacity-50"
+                  >
+                    Disable 2FA
+                  </button>
+                </div>
+              </form>
+            </div>
+          )}
+
+          {/* Backup codes are only ever shown once */}
+          {backupCodes && (
+            <div className="mt-6 bg-amber-50 border border-amber-200 rounded-xl p-4">
+              <p className="text-sm text-amber-800 font-semibold mb-3">
+                Save these backup codes somewhere safe. Each can be used once if you lose your device; they will not be shown again.
+              </p>
+              <div className="grid grid-cols-2 gap-2 font-mono text-gray-900">
+                {backupCodes.map(backupCode => (
+                  <span key={backupCode} className="bg-white px-3 py-1 rounded border border-amber-200 text-center">{backupCode}</span>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
+        <ChangePassword onChanged={() => setDevicesVersion(version => version + 1)} />
+
+        <SignedInDevices key={devicesVersion} />
+
+        <ApiTokens />
+
+        <AccountData
+          twoFactorEnabled={!!status?.enabled}
+          hasPassword={JSON.parse(localStorage.getItem('user') || 'null')?.hasPassword !== false}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default Security;
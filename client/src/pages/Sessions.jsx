@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import toast from 'react-hot-toast';
 import api from '../utils/axios';
+import { logout } from '../utils/auth';
 
 const Sessions = () => {
   const [sessions, setSessions] = useState([]);
@@ -41,9 +42,8 @@ const Sessions = () => {
     }
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+  const handleLogout = async () => {
+    await logout();
     navigate('/login');
     toast.success('Logged out successfully');
   };
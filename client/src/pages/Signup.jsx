@@ -2,6 +2,8 @@ import { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import toast from 'react-hot-toast';
 import api from '../utils/axios';
+import PasswordStrength from '../components/PasswordStrength';
+import OAuthButtons from '../components/OAuthButtons';
 
 const Signup = () => {
   const [formData, setFormData] = useState({ email: '', password: '', confirmPassword: '' });
@@ -31,7 +33,7 @@ const Signup = () => {
       if (response.data.success) {
         localStorage.setItem('token', response.data.token);
         localStorage.setItem('user', JSON.stringify(response.data.user));
-        toast.success('Account created successfully!');
+        toast.success('Account created! Check your inbox to verify your email.');
         navigate('/');
       }
     } catch (error) {
@@ -72,10 +74,10 @@ const Signup = () => {
               value={formData.password}
               onChange={handleChange}
               required
-              minLength={6}
               className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
               placeholder="••••••••"
             />
+            <PasswordStrength password={formData.password} email={formData.email} />
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -87,7 +89,6 @@ const Signup = () => {
               value={formData.confirmPassword}
               onChange={handleChange}
               required
-              minLength={6}
               className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
               placeholder="••••••••"
             />
@@ -100,6 +101,7 @@ const Signup = () => {
             {loading ? 'Creating account...' : 'Sign Up'}
           </button>
         </form>
+        <OAuthButtons />
         <p className="text-center text-gray-600 mt-6">
           Already have an account?{' '}
           <Link to="/login" className="text-indigo-600 font-semibold hover:underline">
@@ -0,0 +1,224 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import api from '../utils/axios';
+
+const ROLES = ['candidate', 'coach', 'admin'];
+
+const Team = () => {
+  const currentUser = JSON.parse(localStorage.getItem('user') || '{}');
+  const isAdmin = currentUser.role === 'admin';
+  const [candidates, setCandidates] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const navigate = useNavigate();
+
+  const fetchData = useCallback(async () => {
+    try {
+      const requests = [api.get('/users/candidates')];
+      if (isAdmin) requests.push(api.get('/users'));
+
+      const [candidatesResponse, usersResponse] = await Promise.all(requests);
+      setCandidates(candidatesResponse.data.candidates);
+      if (usersResponse) setUsers(usersResponse.data.users);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error fetching team data');
+    } finally {
+      setLoading(false);
+    }
+  }, [isAdmin]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const handleRoleChange = async (userId, role) => {
+    try {
+      const response = await api.patch(`/users/${userId}/role`, { role });
+      if (response.data.success) {
+        toast.success(response.data.message);
+        fetchData();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error updating role');
+    }
+  };
+
+  const handleCoachesChange = async (userId, coachIds) => {
+    try {
+      const response = await api.put(`/users/${userId}/coaches`, { coachIds });
+      if (response.data.success) {
+        toast.success('Coaches updated');
+        fetchData();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error assigning coaches');
+    }
+  };
+
+  const coaches = users.filter(u => u.role === 'coach');
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
+      {/* Header */}
+      <div className="bg-white shadow-sm">
+        <div className="max-w-6xl mx-auto px-4 py-4 flex items-center space-x-4">
+          <button
+            onClick={() => navigate('/')}
+            className="text-gray-600 hover:text-gray-900"
+            title="Back to dashboard"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+          </button>
+          <h1 className="text-2xl font-bold text-gray-900">Team</h1>
+        </div>
+      </div>
+
+      <div className="max-w-6xl mx-auto px-4 py-8 space-y-8">
+        {loading ? (
+          <div className="text-center py-8">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600 mx-auto"></div>
+          </div>
+        ) : (
+          <>
+            {/* Candidates */}
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h2 className="text-xl font-bold text-gray-900 mb-4">
+                {isAdmin ? 'All Candidates' : 'Your Candidates'}
+              </h2>
+              {candidates.length === 0 ? (
+                <p className="text-gray-500 text-center py-8">No candidates assigned yet</p>
+              ) : (
+                <div className="space-y-4">
+                  {candidates.map((candidate) => (
+                    <CandidateCard key={candidate.id} candidate={candidate} onViewSession={(id) => navigate(`/chat/${id}`)} />
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* User management (admin only) */}
+            {isAdmin && (
+              <div className="bg-white rounded-lg shadow-md p-6">
+                <h2 className="text-xl font-bold text-gray-900 mb-4">Users</h2>
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-600 border-b border-gray-200">
+                        <th className="py-2 pr-4">Email</th>
+                        <th className="py-2 pr-4">Role</th>
+                        <th className="py-2">Coaches</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {users.map((user) => (
+                        <tr key={user.id} className="border-b border-gray-100 align-top">
+                          <td className="py-3 pr-4 text-gray-900">{user.email}</td>
+                          <td className="py-3 pr-4">
+                            <select
+                              value={user.role}
+                              onChange={(e) => handleRoleChange(user.id, e.target.value)}
+                              disabled={user.id === currentUser.id}
+                              className="px-2 py-1 border border-gray-300 rounded-lg disabled:opacity-50"
+                            >
+                              {ROLES.map(role => (
+                                <option key={role} value={role}>{role}</option>
+                              ))}
+                            </select>
+                          </td>
+                          <td className="py-3">
+                            {user.role === 'candidate' ? (
+                              <div className="flex flex-wrap gap-2">
+                                {coaches.length === 0 && <span className="text-gray-400">No coaches available</span>}
+                                {coaches.map(coach => {
+                                  const assigned = user.coaches.includes(coach.id);
+                                  return (
+                                    <label key={coach.id} className="inline-flex items-center space-x-1 text-gray-700">
+                                      <input
+                                        type="checkbox"
+                                        checked={assigned}
+                                        onChange={() => handleCoachesChange(
+                                          user.id,
+                                          assigned ? user.coaches.filter(id => id !== coach.id) : [...user.coaches, coach.id]
+                                        )}
+                                      />
+                                      <span>{coach.email}</span>
+                                    </label>
+                                  );
+                                })}
+                              </div>
+                            ) : (
+                              <span className="text-gray-400">—</span>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Candidate Card Component: expands to show the candidate's sessions
+const CandidateCard = ({ candidate, onViewSession }) => {
+  const [sessions, setSessions] = useState(null);
+  const [expanded, setExpanded] = useState(false);
+
+  const toggle = async () => {
+    if (!expanded && sessions === null) {
+      try {
+        const response = await api.get('/chat/sessions', { params: { userId: candidate.id } });
+        setSessions(response.data.sessions);
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Error fetching sessions');
+        return;
+      }
+    }
+    setExpanded(!expanded);
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="font-semibold text-gray-900">{candidate.email}</h3>
+          <div className="flex flex-wrap gap-4 text-sm text-gray-600 mt-1">
+            <span>📝 {candidate.totalSessions} sessions</span>
+            <span>✓ {candidate.completedSessions} completed</span>
+            {candidate.averageScore !== null && <span>⭐ {candidate.averageScore}/10 avg</span>}
+          </div>
+        </div>
+        <button onClick={toggle} className="text-indigo-600 font-semibold hover:underline text-sm">
+          {expanded ? 'Hide sessions' : 'View sessions'}
+        </button>
+      </div>
+      {expanded && sessions && (
+        <div className="mt-4 space-y-2">
+          {sessions.length === 0 && <p className="text-sm text-gray-500">No sessions yet</p>}
+          {sessions.map(session => (
+            <button
+              key={session.id}
+              onClick={() => onViewSession(session.id)}
+              className="w-full flex justify-between items-center text-left px-3 py-2 bg-gray-50 rounded-lg hover:bg-indigo-50 text-sm"
+            >
+              <span className="text-gray-900">{session.sessionName}</span>
+              <span className="text-gray-600">
+                {session.isCompleted ? `${session.finalScore ?? '-'}/10` : 'In progress'}
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Team;
@@ -0,0 +1,69 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import api from '../utils/axios';
+
+const UnlockAccount = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'unlocking' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This link is missing its unlock token.');
+  // Tokens are single use; don't send twice when StrictMode re-runs the effect
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    if (!token || requestedRef.current) return;
+    requestedRef.current = true;
+
+    const unlock = async () => {
+      try {
+        const response = await api.post('/auth/unlock-account', { token });
+        if (response.data.success) {
+          setStatus('success');
+        }
+      } catch (error) {
+        setStatus('error');
+        setMessage(error.response?.data?.message || 'Unlock failed');
+      }
+    };
+
+    unlock();
+  }, [token]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center px-4">
+      <div className="max-w-md w-full bg-white rounded-lg shadow-lg p-8 text-center">
+        {status === 'unlocking' && (
+          <>
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600 mx-auto mb-4"></div>
+            <p className="text-gray-600">Unlocking your account...</p>
+          </>
+        )}
+        {status === 'success' && (
+          <>
+            <h2 className="text-2xl font-bold text-gray-900 mb-4">Account unlocked 🔓</h2>
+            <p className="text-gray-600 mb-6">
+              If you don&apos;t recognise the failed attempts, reset your password after logging in.
+            </p>
+            <Link to="/login" className="text-indigo-600 font-semibold hover:underline">
+              Go to login
+            </Link>
+          </>
+        )}
+        {status === 'error' && (
+          <>
+            <h2 className="text-2xl font-bold text-gray-900 mb-4">Unlock failed</h2>
+            <p className="text-gray-600 mb-6">{message}</p>
+            <p className="text-gray-600 text-sm">
+              Locks expire on their own, or you can reset your password to regain access.
+            </p>
+            <Link to="/forgot-password" className="inline-block mt-4 text-indigo-600 font-semibold hover:underline">
+              Reset password
+            </Link>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UnlockAccount;
@@ -3,6 +3,13 @@ import { useNavigate } from 'react-router-dom';
 import { useDropzone } from 'react-dropzone';
 import toast from 'react-hot-toast';
 import api from '../utils/axios';
+import { logout } from '../utils/auth';
+import { DOCUMENT_ACCEPT, DOCUMENT_ACCEPT_ATTRIBUTE, DOCUMENT_FORMATS_LABEL } from '../utils/documentFormats';
+import DocumentVersions from '../components/DocumentVersions';
+import ResumeProfile from '../components/ResumeProfile';
+import JdAnalysis from '../components/JdAnalysis';
+import ProcessingProgress from '../components/ProcessingProgress';
+import { isProcessing, watchDocumentProcessing } from '../utils/documentProcessing';
 
 const Upload = () => {
   const [documents, setDocuments] = useState([]);
@@ -11,12 +18,7 @@ const Upload = () => {
   const [stats, setStats] = useState({ hasResume: false, hasJD: false, canStartChat: false });
   const navigate = useNavigate();
 
-  // Fetch documents on mount
-  useEffect(() => {
-    fetchDocuments();
-  }, []);
-
-  const fetchDocuments = async () => {
+  const fetchDocuments = useCallback(async () => {
     try {
       const response = await api.get('/documents/list');
       if (response.data.success) {
@@ -28,9 +30,15 @@ const Upload = () => {
     } finally {
       setLoading(false);
     }
-  };
+  }, []);
 
-  const handleUpload = async (file, type) => {
+  // Fetch documents on mount
+  useEffect(() => {
+    fetchDocuments();
+  }, [fetchDocuments]);
+
+  // With documentId the file becomes a new version of that library document
+  const handleUpload = async (file, type, documentId) => {
     if (file.size > 2 * 1024 * 1024) {
       toast.error('File size must be less than 2MB');
       return;
@@ -41,14 +49,24 @@ const Upload = () => {
     const formData = new FormData();
     formData.append('file', file);
     formData.append('type', type);
+    if (documentId) {
+      formData.append('documentId', documentId);
+    }
 
     try {
       const response = await api.post('/documents/upload', formData, {
         headers: { 'Content-Type': 'multipart/form-data' },
       });
 
-      if (response.data.success) {
-        toast.success(`${type === 'resume' ? 'Resume' : 'Job Description'} uploaded successfully!`);
+      if (response.data.deduplicated) {
+        // The same file was uploaded before: its processed content was reused
+        toast.success('You uploaded this file before; it is ready to use');
+        fetchDocuments();
+      } else if (response.data.success) {
+        // The server processes the file in the background; its card shows the progress
+        toast.success(documentId
+          ? 'New version uploaded; the current one stays in use until it is processed'
+          : `${type === 'resume' ? 'Resume' : 'Job Description'} uploaded; processing it now`);
         fetchDocuments();
       }
     } catch (error) {
@@ -70,13 +88,24 @@ const Upload = () => {
         fetchDocuments();
       }
     } catch (error) {
-      toast.error('Error deleting document');
+      // 409: sessions still use this library document
+      toast.error(error.response?.data?.message || 'Error deleting document');
     }
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+  const handleDownload = async (id) => {
+    try {
+      const response = await api.get(`/documents/${id}/file`);
+      if (response.data.success) {
+        window.open(response.data.url, '_blank', 'noopener');
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error downloading document');
+    }
+  };
+
+  const handleLogout = async () => {
+    await logout();
     navigate('/login');
     toast.success('Logged out successfully');
   };
@@ -127,7 +156,7 @@ const Upload = () => {
 
         <h2 className="text-3xl font-bold text-gray-900 mb-2">Upload Documents</h2>
         <p className="text-gray-600 mb-8">
-          Upload your resume and the job description to start practicing with AI
+          Upload your resume and the job description to start practicing with AI. Documents stay in your library and can be picked for any new interview.
         </p>
 
         {/* Upload Zones */}
@@ -150,7 +179,7 @@ const Upload = () => {
 
         {/* Documents List */}
         <div className="bg-white rounded-lg shadow-md p-6">
-          <h3 className="text-xl font-bold text-gray-900 mb-4">Uploaded Documents</h3>
+          <h3 className="text-xl font-bold text-gray-900 mb-4">Document Library</h3>
           {loading ? (
             <div className="text-center py-8">
               <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600 mx-auto"></div>
@@ -160,7 +189,15 @@ const Upload = () => {
           ) : (
             <div className="space-y-3">
               {documents.map((doc) => (
-                <DocumentCard key={doc.id} document={doc} onDelete={handleDelete} />
+                <DocumentCard
+                  key={doc.id}
+                  document={doc}
+                  onDownload={handleDownload}
+                  onDelete={handleDelete}
+                  onNewVersion={(file) => handleUpload(file, doc.type, doc.id)}
+                  uploading={uploading[doc.type]}
+                  onChanged={fetchDocuments}
+                />
               ))}
             </div>
           )}
@@ -180,7 +217,7 @@ const DropZone = ({ title, type, onUpload, uploading, hasDocument }) => {
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
-    accept: { 'application/pdf': ['.pdf'] },
+    accept: DOCUMENT_ACCEPT,
     maxFiles: 1,
     disabled: uploading,
   });
@@ -218,7 +255,7 @@ const DropZone = ({ title, type, onUpload, uploading, hasDocument }) => {
           </div>
           <h3 className="text-lg font-semibold text-gray-900 mb-2">{title}</h3>
           <p className="text-gray-600 mb-2">
-            {isDragActive ? 'Drop the PDF here' : 'Drag & drop PDF here, or click to select'}
+            {isDragActive ? 'Drop the file here' : `Drag & drop ${DOCUMENT_FORMATS_LABEL} here, or click to select`}
           </p>
           <p className="text-sm text-gray-500">Max size: 2MB</p>
           {hasDocument && (
@@ -231,31 +268,135 @@ const DropZone = ({ title, type, onUpload, uploading, hasDocument }) => {
 };
 
 // DocumentCard Component
-const DocumentCard = ({ document, onDelete }) => {
+const DocumentCard = ({ document, onDownload, onDelete, onNewVersion, uploading, onChanged }) => {
+  const [showHistory, setShowHistory] = useState(false);
+  const [showAnalysis, setShowAnalysis] = useState(false);
+  const [processing, setProcessing] = useState(document.processing);
+  const isResume = document.type === 'resume';
+  const processingNow = isProcessing(processing);
+
+  useEffect(() => {
+    setProcessing(document.processing);
+  }, [document.processing]);
+
+  // Follow an upload still being processed, then reload the library
+  const watching = isProcessing(document.processing);
+  useEffect(() => {
+    if (!watching) return undefined;
+
+    const controller = new AbortController();
+    watchDocumentProcessing(document.id, setProcessing, { signal: controller.signal })
+      .then((final) => {
+        if (controller.signal.aborted || !final) return;
+        if (final.status === 'ready') {
+          toast.success(`'${document.fileName}' is ready`);
+        } else {
+          toast.error(`'${document.fileName}' could not be processed: ${final.error}`);
+        }
+        onChanged();
+      })
+      .catch((error) => console.error('Processing status error:', error));
+    return () => controller.abort();
+  }, [watching, document.id, document.fileName, onChanged]);
+
   return (
-    <div className="flex items-center justify-between p-4 bg-gray-50 rounded-lg hover:bg-gray-100 transition">
-      <div className="flex items-center space-x-4">
-        <div className="bg-indigo-100 p-3 rounded-lg">
-          <svg className="w-6 h-6 text-indigo-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-          </svg>
+    <div className="p-4 bg-gray-50 rounded-lg hover:bg-gray-100 transition">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-4">
+          <div className="bg-indigo-100 p-3 rounded-lg">
+            <svg className="w-6 h-6 text-indigo-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+            </svg>
+          </div>
+          <div>
+            <p className="font-semibold text-gray-900">{document.fileName}</p>
+            <p className="text-sm text-gray-500">
+              {isResume ? 'Resume' : 'Job Description'} • {new Date(document.createdAt).toLocaleDateString()}
+              {document.version > 1 && ` • v${document.version}`}
+              {document.ocr?.used && ` • Scanned (OCR ${document.ocr.confidence}%)`}
+              {document.sessionCount > 0 && ` • Used in ${document.sessionCount} session${document.sessionCount === 1 ? '' : 's'}`}
+              {document.hasContent && isResume && !document.hasResumeProfile && ' • No profile extracted'}
+              {document.hasContent && !isResume && !document.hasJdAnalysis && ' • Requirements not analyzed'}
+            </p>
+          </div>
         </div>
-        <div>
-          <p className="font-semibold text-gray-900">{document.fileName}</p>
-          <p className="text-sm text-gray-500">
-            {document.type === 'resume' ? 'Resume' : 'Job Description'} • {new Date(document.createdAt).toLocaleDateString()}
-          </p>
+        <div className="flex items-center">
+          <label
+            className={`text-indigo-600 hover:text-indigo-800 p-2 cursor-pointer ${uploading || processingNow ? 'opacity-50 pointer-events-none' : ''}`}
+            title={document.hasContent ? 'Upload a new version (the current one is kept in the history)' : 'Upload the file again'}
+          >
+            <input
+              type="file"
+              accept={DOCUMENT_ACCEPT_ATTRIBUTE}
+              className="hidden"
+              onChange={(e) => {
+                if (e.target.files?.[0]) onNewVersion(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+            </svg>
+          </label>
+          {document.hasContent && (
+            <button
+              onClick={() => setShowAnalysis(!showAnalysis)}
+              className="text-indigo-600 hover:text-indigo-800 p-2"
+              title={isResume ? 'Resume profile (experience, education, skills, projects)' : 'Job requirements (skills, seniority, responsibilities)'}
+              aria-expanded={showAnalysis}
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                {isResume
+                  ? <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
+                  : <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />}
+              </svg>
+            </button>
+          )}
+          <button
+            onClick={() => setShowHistory(!showHistory)}
+            className="text-indigo-600 hover:text-indigo-800 p-2"
+            title="Version history"
+            aria-expanded={showHistory}
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+            </svg>
+          </button>
+          {document.hasFile && (
+            <button
+              onClick={() => onDownload(document.id)}
+              className="text-indigo-600 hover:text-indigo-800 p-2"
+              title="Download original file"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+              </svg>
+            </button>
+          )}
+          <button
+            onClick={() => onDelete(document.id)}
+            disabled={document.sessionCount > 0}
+            className="text-red-600 hover:text-red-800 p-2 disabled:text-gray-300 disabled:cursor-not-allowed"
+            title={document.sessionCount > 0 ? 'In use by interview sessions; delete those sessions first' : 'Delete document'}
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+            </svg>
+          </button>
         </div>
       </div>
-      <button
-        onClick={() => onDelete(document.id)}
-        className="text-red-600 hover:text-red-800 p-2"
-        title="Delete document"
-      >
-        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-        </svg>
-      </button>
+      {(processingNow || processing?.status === 'failed') && (
+        <div className="mt-3">
+          <ProcessingProgress
+            label={processing.newVersion ? 'New version' : 'Processing'}
+            processing={processing}
+          />
+        </div>
+      )}
+      {showAnalysis && (isResume
+        ? <ResumeProfile key={document.version} documentId={document.id} onChanged={onChanged} />
+        : <JdAnalysis key={document.version} documentId={document.id} onChanged={onChanged} />)}
+      {showHistory && <DocumentVersions key={document.version} documentId={document.id} onRestored={onChanged} />}
     </div>
   );
 };
@@ -0,0 +1,72 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import api from '../utils/axios';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This link is missing its verification token.');
+  // Tokens are single use; don't send twice when StrictMode re-runs the effect
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    if (!token || requestedRef.current) return;
+    requestedRef.current = true;
+
+    const verify = async () => {
+      try {
+        const response = await api.post('/auth/verify-email', { token });
+        if (response.data.success) {
+          // Keep the cached user in sync if this browser is logged in as that user
+          const storedUser = JSON.parse(localStorage.getItem('user') || 'null');
+          if (storedUser && storedUser.id === response.data.user.id) {
+            localStorage.setItem('user', JSON.stringify({ ...storedUser, emailVerified: true }));
+          }
+          setStatus('success');
+        }
+      } catch (error) {
+        setStatus('error');
+        setMessage(error.response?.data?.message || 'Verification failed');
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center px-4">
+      <div className="max-w-md w-full bg-white rounded-lg shadow-lg p-8 text-center">
+        {status === 'verifying' && (
+          <>
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600 mx-auto mb-4"></div>
+            <p className="text-gray-600">Verifying your email...</p>
+          </>
+        )}
+        {status === 'success' && (
+          <>
+            <h2 className="text-2xl font-bold text-gray-900 mb-4">Email verified ✅</h2>
+            <p className="text-gray-600 mb-6">You can now use every InterviewAI feature.</p>
+            <Link to="/" className="text-indigo-600 font-semibold hover:underline">
+              Go to dashboard
+            </Link>
+          </>
+        )}
+        {status === 'error' && (
+          <>
+            <h2 className="text-2xl font-bold text-gray-900 mb-4">Verification failed</h2>
+            <p className="text-gray-600 mb-6">{message}</p>
+            <p className="text-gray-600 text-sm">
+              Log in and use &quot;Resend email&quot; on your dashboard to get a new link.
+            </p>
+            <Link to="/" className="inline-block mt-4 text-indigo-600 font-semibold hover:underline">
+              Go to dashboard
+            </Link>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,16 @@
+import api from './axios';
+
+/**
+ * Revoke the refresh token on the server and clear the local session.
+ * Local state is cleared even if the server call fails.
+ */
+export const logout = async () => {
+  try {
+    await api.post('/auth/logout');
+  } catch (error) {
+    console.error('Logout request failed:', error);
+  } finally {
+    localStorage.removeItem('token');
+    localStorage.removeItem('user');
+  }
+};
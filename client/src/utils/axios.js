@@ -1,12 +1,37 @@
 import axios from 'axios';
 
+const baseURL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
 const api = axios.create({
-  baseURL: import.meta.env.VITE_API_URL || 'http://localhost:5000/api',
+  baseURL,
+  withCredentials: true, // Send the httpOnly refresh token cookie
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
+// Auth endpoints whose 401s must not trigger a refresh attempt
+const AUTH_ROUTES = ['/auth/login', '/auth/signup', '/auth/refresh', '/auth/logout', '/auth/2fa/verify-login'];
+
+// Single in-flight refresh shared by all requests that hit a 401 at once
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = axios
+      .post(`${baseURL}/auth/refresh`, {}, { withCredentials: true })
+      .then((response) => {
+        localStorage.setItem('token', response.data.token);
+        localStorage.setItem('user', JSON.stringify(response.data.user));
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Add token to requests
 api.interceptors.request.use(
   (config) => {
@@ -21,17 +46,31 @@ api.interceptors.request.use(
   }
 );
 
-// Handle response errors
+// Handle response errors: refresh the access token once on 401, then retry
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+  async (error) => {
+    const originalRequest = error.config;
+    const isAuthRoute = AUTH_ROUTES.some((route) => originalRequest?.url?.startsWith(route));
+
+    if (error.response?.status === 401 && originalRequest && !originalRequest._retry && !isAuthRoute) {
+      originalRequest._retry = true;
+
+      try {
+        const token = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        // Refresh token is missing, expired or revoked: the session is over
+        localStorage.removeItem('token');
+        localStorage.removeItem('user');
+        window.location.href = '/login';
+        return Promise.reject(refreshError);
+      }
     }
+
     return Promise.reject(error);
   }
 );
 
-export default api;
\ No newline at end of file
+export default api;
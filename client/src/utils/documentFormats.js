@@ -0,0 +1,16 @@
+/**
+ * File types the server can extract text from. The server sniffs the
+ * content as well, so these only guide the file pickers.
+ */
+export const DOCUMENT_ACCEPT = {
+  'application/pdf': ['.pdf'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+  'text/plain': ['.txt'],
+  'text/markdown': ['.md', '.markdown'],
+  'text/html': ['.html', '.htm'],
+};
+
+// Same list for a plain <input type="file" accept="...">
+export const DOCUMENT_ACCEPT_ATTRIBUTE = Object.values(DOCUMENT_ACCEPT).flat().join(',');
+
+export const DOCUMENT_FORMATS_LABEL = 'PDF, DOCX, TXT, Markdown or HTML';
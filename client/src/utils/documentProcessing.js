@@ -0,0 +1,85 @@
+import api from './axios';
+
+/**
+ * Uploaded documents are processed in the background on the server:
+ * queued -> extracting -> embedding -> ready, or failed.
+ */
+export const FINAL_STATUSES = ['ready', 'failed'];
+
+export const isProcessing = (processing) => !!processing && !FINAL_STATUSES.includes(processing.status);
+
+// Fallback when the progress stream cannot be used
+const POLL_INTERVAL_MS = 5000;
+
+// Read server-sent events from a fetch response, calling onEvent(name, data) for each
+const readEvents = async (response, onEvent) => {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return;
+    buffer += value;
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      const data = [];
+      block.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+      });
+      if (data.length > 0) onEvent(event, JSON.parse(data.join('\n')));
+    }
+  }
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Follow a document's processing until it is ready or failed, calling
+ * onUpdate(processing) with every status. Uses the server's progress stream
+ * (EventSource cannot send the access token, so it is read with fetch) and
+ * falls back to polling the status endpoint, whose requests refresh an
+ * expired token. Resolves with the final status, or the last one seen when
+ * `signal` aborts.
+ */
+export const watchDocumentProcessing = async (documentId, onUpdate, { signal } = {}) => {
+  let latest = null;
+  const update = (processing) => {
+    latest = processing;
+    onUpdate?.(processing);
+  };
+
+  try {
+    const response = await fetch(`${api.defaults.baseURL}/documents/${documentId}/events`, {
+      headers: { Authorization: `Bearer ${localStorage.getItem('token')}` },
+      credentials: 'include',
+      signal,
+    });
+    if (response.ok) {
+      await readEvents(response, (event, data) => {
+        if (event === 'status') update(data);
+      });
+      if (latest && !isProcessing(latest)) return latest;
+    }
+  } catch (error) {
+    if (signal?.aborted) return latest;
+    console.warn('Processing progress stream failed, polling instead:', error);
+  }
+
+  try {
+    while (!signal?.aborted) {
+      const { data } = await api.get(`/documents/${documentId}/status`, { signal });
+      update(data.processing);
+      if (!isProcessing(data.processing)) return data.processing;
+      await wait(POLL_INTERVAL_MS);
+    }
+  } catch (error) {
+    if (!signal?.aborted) throw error;
+  }
+  return latest;
+};
@@ -0,0 +1,73 @@
+/**
+ * OAuth / OpenID Connect provider configuration.
+ *
+ * Enable providers with OAUTH_PROVIDERS (comma separated ids, e.g. "google,github").
+ * Each provider reads OAUTH_<ID>_* variables:
+ *   CLIENT_ID, CLIENT_SECRET (required)
+ *   ISSUER             - OIDC issuer; endpoints are discovered from it
+ *   AUTHORIZATION_URL, TOKEN_URL, USERINFO_URL - explicit endpoints (override discovery)
+ *   EMAILS_URL         - optional endpoint listing the user's emails (GitHub style)
+ *   SCOPES, NAME       - override preset scopes / display name
+ * Known ids (google, github) come with presets so only credentials are needed.
+ */
+
+const PRESETS = {
+  google: {
+    name: 'Google',
+    issuer: 'https://accounts.google.com',
+    scopes: 'openid email profile',
+  },
+  github: {
+    name: 'GitHub',
+    authorizationUrl: 'https://github.com/login/oauth/authorize',
+    tokenUrl: 'https://github.com/login/oauth/access_token',
+    userinfoUrl: 'https://api.github.com/user',
+    emailsUrl: 'https://api.github.com/user/emails',
+    scopes: 'read:user user:email',
+  },
+};
+
+const serverUrl = () => process.env.SERVER_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+const loadProvider = (id) => {
+  const prefix = `OAUTH_${id.toUpperCase()}_`;
+  const env = (key) => process.env[prefix + key];
+  const preset = PRESETS[id] || {};
+
+  const provider = {
+    id,
+    name: env('NAME') || preset.name || id.charAt(0).toUpperCase() + id.slice(1),
+    clientId: env('CLIENT_ID'),
+    clientSecret: env('CLIENT_SECRET'),
+    issuer: env('ISSUER') || preset.issuer,
+    authorizationUrl: env('AUTHORIZATION_URL') || preset.authorizationUrl,
+    tokenUrl: env('TOKEN_URL') || preset.tokenUrl,
+    userinfoUrl: env('USERINFO_URL') || preset.userinfoUrl,
+    emailsUrl: env('EMAILS_URL') || preset.emailsUrl,
+    scopes: env('SCOPES') || preset.scopes || 'openid email profile',
+    redirectUri: `${serverUrl()}/api/auth/oauth/${id}/callback`,
+  };
+
+  if (!provider.clientId || !provider.clientSecret) {
+    console.warn(`OAuth provider "${id}" is missing ${prefix}CLIENT_ID or ${prefix}CLIENT_SECRET; skipping.`);
+    return null;
+  }
+  if (!provider.issuer && !(provider.authorizationUrl && provider.tokenUrl && provider.userinfoUrl)) {
+    console.warn(`OAuth provider "${id}" needs ${prefix}ISSUER or explicit endpoint URLs; skipping.`);
+    return null;
+  }
+
+  return provider;
+};
+
+const providers = (process.env.OAUTH_PROVIDERS || '')
+  .split(',')
+  .map(id => id.trim().toLowerCase())
+  .filter(Boolean)
+  .map(loadProvider)
+  .filter(Boolean);
+
+module.exports = {
+  getProvider: (id) => providers.find(provider => provider.id === id) || null,
+  listProviders: () => providers.map(({ id, name }) => ({ id, name })),
+};
@@ -0,0 +1,238 @@
+const archiver = require('archiver');
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+const Document = require('../models/Document');
+const DocumentVersion = require('../models/DocumentVersion');
+const RefreshToken = require('../models/RefreshToken');
+const LoginSession = require('../models/LoginSession');
+const ApiToken = require('../models/ApiToken');
+const AuditLog = require('../models/AuditLog');
+const { verifyReauthentication, REAUTH_FIELDS } = require('../utils/reauth');
+const { fetchDocumentFile, deleteDocumentsWithFiles } = require('../utils/documentFiles');
+const { documentText } = require('../utils/documentVersions');
+const { clearRefreshCookie } = require('../utils/authTokens');
+const { recordAuditEvent } = require('../utils/audit');
+
+// Safe, readable file name fragment
+const slugify = (value) => {
+  const slug = String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9.]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 60);
+  return slug || 'untitled';
+};
+
+const MESSAGE_AUTHORS = { assistant: 'Interviewer', user: 'You', system: 'System' };
+
+// Human-readable Markdown transcript of one interview session
+const formatTranscript = (chat) => {
+  const lines = [
+    `# ${chat.sessionName}`,
+    '',
+    `- Created: ${chat.createdAt.toISOString()}`,
+    `- Status: ${chat.isCompleted ? 'Completed' : 'In progress'}`,
+  ];
+
+  if (typeof chat.finalScore === 'number') {
+    lines.push(
+      `- Final score: ${chat.finalScore}/10`,
+      `- Average relevance: ${chat.averageRelevance}/10`,
+      `- Average correctness: ${chat.averageCorrectness}/10`
+    );
+  }
+
+  chat.messages.forEach((message) => {
+    lines.push('', `## ${MESSAGE_AUTHORS[message.role] || message.role}`, '', message.content);
+    if (typeof message.relevanceScore === 'number') {
+      lines.push('', `_Relevance: ${message.relevanceScore}/10 · Correctness: ${message.correctnessScore}/10_`);
+    }
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+// Embeddings are internal, and lean() results skip the toJSON transforms that drop them
+const EXPORT_EXCLUDED_FIELDS = '-chunks.embedding -jdAnalysis.mustHaveSkills.embedding -jdAnalysis.niceToHaveSkills.embedding';
+
+// @route   GET /api/auth/me/export
+// @desc    Download a ZIP of the user's profile, sessions and uploaded files
+// @access  Private
+exports.exportAccountData = async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    const [user, chats, documents] = await Promise.all([
+      User.findById(userId).populate('coaches', 'email'),
+      Chat.find({ userId }).sort({ createdAt: 1 }).lean(),
+      Document.find({ userId }).select(EXPORT_EXCLUDED_FIELDS).sort({ createdAt: 1 }).lean(),
+    ]);
+    const documentVersions = await DocumentVersion.find({ userId })
+      .select(EXPORT_EXCLUDED_FIELDS)
+      .sort({ version: -1 })
+      .lean();
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('warning', (warning) => console.warn('Export archive warning:', warning));
+    archive.on('error', (archiveError) => {
+      console.error('Export archive error:', archiveError);
+      res.destroy(archiveError);
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.attachment(`interviewai-export-${date}.zip`);
+    archive.pipe(res);
+
+    const profile = {
+      id: user._id,
+      email: user.email,
+      role: user.role,
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: user.twoFactorEnabled,
+      profile: user.profile,
+      coaches: user.coaches.map(coach => coach.email),
+      oauthIdentities: user.oauthIdentities.map(({ provider, email, linkedAt }) => ({ provider, email, linkedAt })),
+      createdAt: user.createdAt,
+      exportedAt: new Date(),
+    };
+    archive.append(JSON.stringify(profile, null, 2), { name: 'profile.json' });
+
+    // Full session data plus a readable transcript per session
+    archive.append(JSON.stringify(chats, null, 2), { name: 'sessions.json' });
+    chats.forEach((chat) => {
+      archive.append(formatTranscript(chat), {
+        name: `sessions/${chat.createdAt.toISOString().slice(0, 10)}-${slugify(chat.sessionName)}-${chat._id}.md`
+      });
+    });
+
+    // Original uploads, current and earlier versions; a file that cannot be
+    // fetched is flagged in documents.json (file: null)
+    const appendDocumentFile = async (content, name) => {
+      // Pasted text has no original file; its text is in extractedText
+      if (!content.storageKey && !content.fileUrl) {
+        return null;
+      }
+      try {
+        archive.append(await fetchDocumentFile(content), { name });
+        return name;
+      } catch (fileError) {
+        console.error(`Export: could not fetch file ${name}: ${fileError.message}`);
+        return null;
+      }
+    };
+
+    const documentIndex = [];
+    for (const document of documents) {
+      const baseName = `documents/${document._id}-${document.type}`;
+      const entry = {
+        id: document._id,
+        type: document.type,
+        fileName: document.fileName,
+        format: document.format,
+        ocr: document.ocr,
+        version: document.version || 1,
+        sessionId: document.sessionId,
+        createdAt: document.createdAt,
+        updatedAt: document.updatedAt,
+        extractedText: documentText(document),
+        resumeProfile: document.resumeProfile || undefined,
+        jdAnalysis: document.jdAnalysis || undefined,
+        file: await appendDocumentFile(document, `${baseName}-${slugify(document.fileName)}`),
+        versions: [],
+      };
+
+      for (const version of documentVersions.filter(item => item.documentId.equals(document._id))) {
+        entry.versions.push({
+          version: version.version,
+          fileName: version.fileName,
+          format: version.format,
+          ocr: version.ocr,
+          createdAt: version.createdAt,
+          supersededAt: version.supersededAt,
+          extractedText: documentText(version),
+          resumeProfile: version.resumeProfile || undefined,
+          jdAnalysis: version.jdAnalysis || undefined,
+          file: await appendDocumentFile(version, `${baseName}-v${version.version}-${slugify(version.fileName)}`),
+        });
+      }
+
+      documentIndex.push(entry);
+    }
+    archive.append(JSON.stringify(documentIndex, null, 2), { name: 'documents.json' });
+
+    await archive.finalize();
+
+    await recordAuditEvent(req, 'account_exported', {
+      userId,
+      metadata: { sessions: chats.length, documents: documents.length }
+    });
+  } catch (error) {
+    console.error('Export account error:', error);
+    // Once the ZIP has started streaming the only option is to abort it
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting account data'
+    });
+  }
+};
+
+// @route   DELETE /api/auth/me
+// @desc    Permanently delete the account with all sessions, documents and files
+// @access  Private (requires the password, or a recent login for accounts without one, plus a 2FA code when enabled)
+exports.deleteAccount = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findById(req.user._id).select(REAUTH_FIELDS);
+
+    const verificationError = await verifyReauthentication(user, password, code, req.sessionId);
+    if (verificationError) {
+      return res.status(400).json({
+        success: false,
+        message: verificationError
+      });
+    }
+
+    // Never leave the app without an administrator
+    if (user.role === 'admin' && (await User.countDocuments({ role: 'admin' })) <= 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are the only admin. Promote another admin before deleting your account.'
+      });
+    }
+
+    const deletedDocuments = await deleteDocumentsWithFiles({ userId: user._id });
+    const { deletedCount: deletedSessions } = await Chat.deleteMany({ userId: user._id });
+
+    await Promise.all([
+      RefreshToken.deleteMany({ userId: user._id }),
+      LoginSession.deleteMany({ userId: user._id }),
+      ApiToken.deleteMany({ userId: user._id }),
+      AuditLog.deleteMany({ userId: user._id }),
+      // Coaches leave their candidates' coach lists
+      User.updateMany({ coaches: user._id }, { $pull: { coaches: user._id } }),
+    ]);
+
+    await User.deleteOne({ _id: user._id });
+
+    await recordAuditEvent(req, 'account_deleted', {
+      userId: user._id,
+      metadata: { deletedSessions, deletedDocuments }
+    });
+
+    clearRefreshCookie(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Your account and all associated data have been deleted'
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting account'
+    });
+  }
+};
@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const ApiToken = require('../models/ApiToken');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const { recordAuditEvent } = require('../utils/audit');
+
+const API_TOKEN_DEFAULT_DAYS = parseInt(process.env.API_TOKEN_DEFAULT_DAYS, 10) || 90;
+const API_TOKEN_MAX_DAYS = parseInt(process.env.API_TOKEN_MAX_DAYS, 10) || 365;
+const API_TOKEN_MAX_PER_USER = parseInt(process.env.API_TOKEN_MAX_PER_USER, 10) || 20;
+
+// Shape of a token returned to the client (never includes the hash)
+const formatApiToken = (apiToken) => ({
+  id: apiToken._id,
+  name: apiToken.name,
+  tokenPreview: apiToken.tokenPreview,
+  scopes: apiToken.scopes,
+  expiresAt: apiToken.expiresAt,
+  lastUsedAt: apiToken.lastUsedAt,
+  createdAt: apiToken.createdAt
+});
+
+// @route   GET /api/auth/tokens
+// @desc    List the current user's API tokens
+// @access  Private
+exports.listApiTokens = async (req, res) => {
+  try {
+    const apiTokens = await ApiToken.find({ userId: req.user._id, expiresAt: { $gt: new Date() } })
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      tokens: apiTokens.map(formatApiToken)
+    });
+  } catch (error) {
+    console.error('List API tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching API tokens'
+    });
+  }
+};
+
+// @route   POST /api/auth/tokens
+// @desc    Create an API token; the raw token is only returned here
+// @access  Private
+exports.createApiToken = async (req, res) => {
+  try {
+    const { name, scopes = ['read'], expiresInDays = API_TOKEN_DEFAULT_DAYS } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a token name'
+      });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => ApiToken.SCOPES.includes(scope))) {
+      return res.status(400).json({
+        success: false,
+        message: `Scopes must be one or more of: ${ApiToken.SCOPES.join(', ')}`
+      });
+    }
+
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > API_TOKEN_MAX_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Expiry must be between 1 and ${API_TOKEN_MAX_DAYS} days`
+      });
+    }
+
+    const activeCount = await ApiToken.countDocuments({ userId: req.user._id, expiresAt: { $gt: new Date() } });
+    if (activeCount >= API_TOKEN_MAX_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${API_TOKEN_MAX_PER_USER} API tokens. Revoke one first.`
+      });
+    }
+
+    const token = `${ApiToken.TOKEN_PREFIX}${generateRandomToken(32)}`;
+
+    const apiToken = await ApiToken.create({
+      userId: req.user._id,
+      name: name.trim(),
+      tokenHash: hashToken(token),
+      tokenPreview: token.substring(0, ApiToken.TOKEN_PREFIX.length + 6),
+      scopes: [...new Set(scopes)],
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    });
+
+    await recordAuditEvent(req, 'api_token_created', {
+      userId: req.user._id,
+      metadata: { tokenId: apiToken._id, scopes: apiToken.scopes }
+    });
+
+    res.status(201).json({
+      success: true,
+      token, // Shown once; only the hash is stored
+      apiToken: formatApiToken(apiToken)
+    });
+  } catch (error) {
+    console.error('Create API token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating API token',
+      error: error.message
+    });
+  }
+};
+
+// @route   DELETE /api/auth/tokens/:id
+// @desc    Revoke an API token
+// @access  Private
+exports.revokeApiToken = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid API token ID'
+      });
+    }
+
+    const apiToken = await ApiToken.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!apiToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'API token not found'
+      });
+    }
+
+    await recordAuditEvent(req, 'api_token_revoked', {
+      userId: req.user._id,
+      metadata: { tokenId: apiToken._id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'API token revoked'
+    });
+  } catch (error) {
+    console.error('Revoke API token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking API token'
+    });
+  }
+};
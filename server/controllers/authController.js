@@ -1,11 +1,202 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const LoginSession = require('../models/LoginSession');
 const jwt = require('jsonwebtoken');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const { loginRetryAfterSeconds, recordFailedLogin, clearFailedLogins } = require('../utils/loginThrottle');
+const { sendPasswordResetEmail, sendVerificationEmail, sendAccountLockedEmail } = require('../utils/emails');
+const { recordAuditEvent } = require('../utils/audit');
+const { consumeTwoFactorCode } = require('../utils/twoFactor');
+const { getPasswordPolicy, validatePassword } = require('../utils/passwordPolicy');
+const {
+  REFRESH_COOKIE_NAME,
+  generateToken,
+  generateTwoFactorChallenge,
+  issueRefreshToken,
+  refreshExpiryDate,
+  startLoginSession,
+  revokeLoginSessions,
+  clearRefreshCookie,
+} = require('../utils/authTokens');
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+const VERIFICATION_RESEND_COOLDOWN_SECONDS = parseInt(process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS, 10) || 60;
+
+// Shape of the user object returned to the client
+const formatUser = (user) => ({
+  id: user._id,
+  email: user.email,
+  role: user.role,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactorEnabled,
+  hasPassword: user.hasPassword !== false
+});
+
+// Create a verification token and email it. Mail failures are logged, not thrown,
+// so the caller can still complete (the user can ask for a resend).
+const startEmailVerification = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendVerificationEmail(user, verificationToken, User.EMAIL_VERIFICATION_EXPIRE_HOURS);
+    return true;
+  } catch (mailError) {
+    console.error(`Verification mail error for user ${user._id}:`, mailError);
+    return false;
+  }
+};
+
+// Start a login session, issue access + refresh tokens and send the auth response
+const sendTokenResponse = async (req, res, user, statusCode, method) => {
+  const session = await startLoginSession(req, res, user._id, method);
+  const token = generateToken(user._id, session._id);
+
+  res.status(statusCode).json({
+    success: true,
+    token,
+    user: formatUser(user)
+  });
+};
+
+// Select string for the brute-force state used by the login helpers below
+const LOGIN_STATE_FIELDS = '+failedLoginAttempts +lastFailedLoginAt +lockUntil';
+
+// Checked when no account has the email, so the response takes as long as
+// for a wrong password
+const UNKNOWN_USER_PASSWORD_HASH = bcrypt.hashSync(generateRandomToken(16), 10);
+
+// Reject the attempt while this client is inside its progressive delay for
+// `email` (whether or not an account has it). Returns true when a response was sent.
+const rejectIfThrottled = async (req, res, email) => {
+  const retryAfter = await loginRetryAfterSeconds(req, email);
+  if (retryAfter > 0) {
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+      success: false,
+      message: `Too many failed attempts. Please wait ${retryAfter} seconds and try again.`
+    });
+    return true;
+  }
+
+  return false;
+};
+
+// Reject the attempt if the account is locked. Returns true when a response was sent.
+const rejectIfLoginBlocked = async (req, res, user) => {
+  if (user.isLocked()) {
+    res.status(423).json({
+      success: false,
+      message: 'Account is temporarily locked due to too many failed login attempts. Check your email for an unlock link.',
+      lockedUntil: user.lockUntil
+    });
+    return true;
+  }
+
+  // A lock that has run out starts the counter from scratch
+  if (user.lockUntil) {
+    user.resetLoginAttempts();
+    await user.save({ validateBeforeSave: false });
+    await recordAuditEvent(req, 'account_unlocked', { userId: user._id, metadata: { method: 'expired' } });
+  }
+
+  return false;
+};
+
+// Count a failed attempt (wrong password or wrong 2FA code), locking the
+// account once the limit is reached, and send the error response.
+const rejectFailedLogin = async (req, res, user, message) => {
+  await recordFailedLogin(req, user.email);
+
+  // Atomic (pipeline) update so parallel attempts are all counted. Failures
+  // only add up while each comes within LOGIN_LOCK_MINUTES of the previous
+  // one; after a quiet period the count starts over.
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - User.LOGIN_LOCK_MINUTES * 60 * 1000);
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    [{
+      $set: {
+        failedLoginAttempts: {
+          $cond: [
+            { $gt: ['$lastFailedLoginAt', windowStart] },
+            { $add: [{ $ifNull: ['$failedLoginAttempts', 0] }, 1] },
+            1
+          ]
+        },
+        lastFailedLoginAt: now
+      }
+    }],
+    { new: true }
+  ).select('+failedLoginAttempts');
+
+  if (updated.failedLoginAttempts >= User.LOGIN_MAX_ATTEMPTS) {
+    const unlockToken = user.lockAccount();
+    await user.save({ validateBeforeSave: false });
+
+    await recordAuditEvent(req, 'account_locked', {
+      userId: user._id,
+      metadata: { failedLoginAttempts: updated.failedLoginAttempts, lockedUntil: user.lockUntil }
+    });
+
+    try {
+      await sendAccountLockedEmail(user, unlockToken, User.LOGIN_LOCK_MINUTES);
+    } catch (mailError) {
+      console.error(`Account locked mail error for user ${user._id}:`, mailError);
+    }
+
+    return res.status(423).json({
+      success: false,
+      message: 'Too many failed login attempts. Your account has been temporarily locked; check your email for an unlock link.',
+      lockedUntil: user.lockUntil
+    });
+  }
+
+  return res.status(401).json({
+    success: false,
+    message
+  });
+};
+
+// Clear failed-attempt history and issue tokens
+const completeLogin = async (req, res, user, method) => {
+  await clearFailedLogins(req, user.email);
+  if (user.failedLoginAttempts > 0) {
+    user.resetLoginAttempts();
+    await user.save({ validateBeforeSave: false });
+  }
+
+  await sendTokenResponse(req, res, user, 200, method);
+};
+
+// Revoke a refresh token family and, for tracked logins, its session.
+// Families created before sessions were tracked are random strings.
+const revokeFamily = async (family) => {
+  if (mongoose.isValidObjectId(family)) {
+    await revokeLoginSessions({ _id: family });
+  }
+  await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+// Reply 400 with every policy problem when `password` is too weak.
+// Returns true when a response was sent.
+const rejectWeakPassword = (res, password, email) => {
+  const errors = validatePassword(password, { email });
+  if (errors.length === 0) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    code: 'WEAK_PASSWORD',
+    message: errors[0],
+    errors
   });
+  return true;
 };
 
 // @route   POST /api/auth/signup
@@ -23,6 +214,10 @@ exports.signup = async (req, res) => {
       });
     }
 
+    if (rejectWeakPassword(res, password, email)) {
+      return;
+    }
+
     // Check if user exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -35,17 +230,11 @@ exports.signup = async (req, res) => {
     // Create user
     const user = await User.create({ email, password });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Send verification email (account works, but AI features wait for verification)
+    await startEmailVerification(user);
 
-    res.status(201).json({
-      success: true,
-      token,
-      user: {
-        id: user._id,
-        email: user.email
-      }
-    });
+    // Generate tokens
+    await sendTokenResponse(req, res, user, 201, 'signup');
   } catch (error) {
     console.error('Signup error:', error);
     res.status(500).json({
@@ -71,37 +260,46 @@ exports.login = async (req, res) => {
       });
     }
 
-    // Find user (include password)
-    const user = await User.findOne({ email }).select('+password');
+    // Throttled attempts are rejected before looking the account up
+    if (await rejectIfThrottled(req, res, email)) {
+      return;
+    }
+
+    // Find user (include password and brute-force state)
+    const user = await User.findOne({ email })
+      .select(`+password ${LOGIN_STATE_FIELDS}`);
     
     if (!user) {
+      await bcrypt.compare(String(password), UNKNOWN_USER_PASSWORD_HASH);
+      await recordFailedLogin(req, email);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
+    // Locked accounts are rejected before the password is checked
+    if (await rejectIfLoginBlocked(req, res, user)) {
+      return;
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password);
     
     if (!isMatch) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
+      return rejectFailedLogin(req, res, user, 'Invalid credentials');
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Second factor required: hand out a short-lived challenge instead of tokens
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user._id)
+      });
+    }
 
-    res.status(200).json({
-      success: true,
-      token,
-      user: {
-        id: user._id,
-        email: user.email
-      }
-    });
+    await completeLogin(req, res, user, 'password');
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
@@ -121,10 +319,7 @@ exports.getMe = async (req, res) => {
     
     res.status(200).json({
       success: true,
-      user: {
-        id: user._id,
-        email: user.email
-      }
+      user: formatUser(user)
     });
   } catch (error) {
     res.status(500).json({
@@ -132,4 +327,529 @@ exports.getMe = async (req, res) => {
       message: 'Error fetching user data'
     });
   }
-};
\ No newline at end of file
+};
+
+// @route   POST /api/auth/refresh
+// @desc    Rotate refresh token cookie and issue a new access token
+// @access  Public (requires refresh token cookie)
+exports.refresh = async (req, res) => {
+  try {
+    const presented = req.cookies?.[REFRESH_COOKIE_NAME];
+
+    if (!presented) {
+      return res.status(401).json({
+        success: false,
+        message: 'No refresh token provided'
+      });
+    }
+
+    const tokenHash = hashToken(presented);
+
+    // Atomically claim the token so concurrent refreshes cannot both rotate it
+    const stored = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    if (!stored) {
+      const reused = await RefreshToken.findOne({ tokenHash });
+
+      if (reused) {
+        // A rotated token was presented again: assume it was stolen and kill the family
+        console.warn(`Refresh token reuse detected for user ${reused.userId}, revoking family ${reused.family}`);
+        await revokeFamily(reused.family);
+      }
+
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is invalid or has been revoked'
+      });
+    }
+
+    if (stored.expiresAt < new Date()) {
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has expired'
+      });
+    }
+
+    const user = await User.findById(stored.userId);
+
+    if (!user) {
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    let sessionId;
+
+    if (mongoose.isValidObjectId(stored.family)) {
+      // The family is the login session: it must still be active
+      const session = await LoginSession.findOneAndUpdate(
+        { _id: stored.family, revokedAt: null },
+        { lastSeenAt: new Date(), ip: req.ip, expiresAt: refreshExpiryDate() }
+      );
+
+      if (!session) {
+        clearRefreshCookie(res);
+        return res.status(401).json({
+          success: false,
+          code: 'SESSION_REVOKED',
+          message: 'This login has been signed out'
+        });
+      }
+
+      // Rotate: issue the next token in the same family and link it
+      const nextHash = await issueRefreshToken(res, user._id, stored.family);
+      await RefreshToken.updateOne({ _id: stored._id }, { replacedBy: nextHash });
+      sessionId = session._id;
+    } else {
+      // Login from before sessions were tracked: move it to a new session
+      const session = await startLoginSession(req, res, user._id, 'unknown');
+      sessionId = session._id;
+    }
+
+    res.status(200).json({
+      success: true,
+      token: generateToken(user._id, sessionId),
+      user: formatUser(user)
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing token'
+    });
+  }
+};
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current refresh token family and clear the cookie
+// @access  Public (uses refresh token cookie if present)
+exports.logout = async (req, res) => {
+  try {
+    const presented = req.cookies?.[REFRESH_COOKIE_NAME];
+
+    if (presented) {
+      const stored = await RefreshToken.findOne({ tokenHash: hashToken(presented) });
+
+      if (stored) {
+        await revokeFamily(stored.family);
+      }
+    }
+
+    clearRefreshCookie(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out'
+    });
+  }
+};
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email'
+      });
+    }
+
+    // Same response whether or not the account exists, to avoid leaking emails
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent'
+    };
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+
+    if (!user) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendPasswordResetEmail(user, resetToken, User.PASSWORD_RESET_EXPIRE_MINUTES);
+    } catch (mailError) {
+      // Don't leave a usable token behind if the email never went out
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      // Still the generic response: an error here would reveal that the account exists
+      console.error('Forgot password mail error:', mailError);
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing password reset request'
+    });
+  }
+};
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide reset token and new password'
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    if (rejectWeakPassword(res, password, user.email)) {
+      return;
+    }
+
+    // Single use: clear the token as the password changes
+    user.password = password;
+    user.hasPassword = true;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    // Proving control of the mailbox also verifies it and lifts any login lockout
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    user.resetLoginAttempts();
+    await user.save();
+
+    // Sign out every existing login
+    await revokeLoginSessions({ userId: user._id });
+    await RefreshToken.updateMany(
+      { userId: user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password'
+    });
+  }
+};
+
+// @route   POST /api/auth/change-password
+// @desc    Change the password (requires the current one) and sign out other devices
+// @access  Private
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your current and new password'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    // 400 rather than 401: the session itself is still valid
+    if (!(await user.comparePassword(currentPassword))) {
+      await recordAuditEvent(req, 'password_change_failed', { userId: user._id });
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_PASSWORD',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (await user.comparePassword(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from the current one'
+      });
+    }
+
+    if (rejectWeakPassword(res, newPassword, user.email)) {
+      return;
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Keep this device signed in; every other login must use the new password
+    const sessionFilter = { userId: user._id };
+    const tokenFilter = { userId: user._id, revokedAt: null };
+    if (req.sessionId) {
+      sessionFilter._id = { $ne: req.sessionId };
+      tokenFilter.family = { $ne: String(req.sessionId) };
+    }
+    const revoked = await revokeLoginSessions(sessionFilter);
+    await RefreshToken.updateMany(tokenFilter, { revokedAt: new Date() });
+
+    await recordAuditEvent(req, 'password_changed', {
+      userId: user._id,
+      metadata: { sessionsRevoked: revoked }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: revoked > 0
+        ? `Password changed. Signed out ${revoked} other device${revoked === 1 ? '' : 's'}.`
+        : 'Password changed.'
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error changing password'
+    });
+  }
+};
+
+// @route   GET /api/auth/password-policy
+// @desc    Password requirements, for client-side strength feedback
+// @access  Public
+exports.getPasswordRequirements = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    policy: getPasswordPolicy()
+  });
+};
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address using the emailed token
+// @access  Public
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a verification token'
+      });
+    }
+
+    const user = await User.findOne({
+      emailVerificationToken: hashToken(token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+      user: formatUser(user)
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying email'
+    });
+  }
+};
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a fresh verification email (throttled)
+// @access  Private
+exports.resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+verificationEmailSentAt');
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    if (user.verificationEmailSentAt) {
+      const elapsedSeconds = (Date.now() - user.verificationEmailSentAt.getTime()) / 1000;
+      if (elapsedSeconds < VERIFICATION_RESEND_COOLDOWN_SECONDS) {
+        const retryAfter = Math.ceil(VERIFICATION_RESEND_COOLDOWN_SECONDS - elapsedSeconds);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: `Please wait ${retryAfter} seconds before requesting another email`
+        });
+      }
+    }
+
+    const sent = await startEmailVerification(user);
+
+    if (!sent) {
+      return res.status(500).json({
+        success: false,
+        message: 'Error sending verification email. Please try again later.'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resending verification email'
+    });
+  }
+};
+
+// @route   POST /api/auth/unlock-account
+// @desc    Lift a login lockout using the emailed unlock token
+// @access  Public
+exports.unlockAccount = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an unlock token'
+      });
+    }
+
+    const user = await User.findOne({
+      unlockToken: hashToken(token),
+      unlockTokenExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unlock link is invalid or has expired'
+      });
+    }
+
+    user.resetLoginAttempts();
+    await user.save({ validateBeforeSave: false });
+
+    await recordAuditEvent(req, 'account_unlocked', { userId: user._id, metadata: { method: 'email' } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked. You can log in again.'
+    });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unlocking account'
+    });
+  }
+};
+
+// @route   POST /api/auth/2fa/verify-login
+// @desc    Second login step: exchange challenge token + TOTP/backup code for tokens
+// @access  Public (requires challenge token from /login)
+exports.verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the challenge token and a verification code'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== '2fa') {
+      return res.status(401).json({
+        success: false,
+        code: 'CHALLENGE_EXPIRED',
+        message: 'Login challenge is invalid or expired. Please log in again.'
+      });
+    }
+
+    const user = await User.findById(decoded.id)
+      .select(`+twoFactorSecret +twoFactorLastUsedStep ${LOGIN_STATE_FIELDS}`);
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        code: 'CHALLENGE_EXPIRED',
+        message: 'Login challenge is invalid or expired. Please log in again.'
+      });
+    }
+
+    if (await rejectIfLoginBlocked(req, res, user) || await rejectIfThrottled(req, res, user.email)) {
+      return;
+    }
+
+    // The authenticator code, or else a (single use) backup code
+    const consumed = await consumeTwoFactorCode(user, code);
+    if (!consumed) {
+      return rejectFailedLogin(req, res, user, 'Invalid verification code');
+    }
+
+    if (consumed.method === 'backup') {
+      await recordAuditEvent(req, '2fa_backup_code_used', {
+        userId: user._id,
+        metadata: { remaining: consumed.remaining }
+      });
+    }
+
+    await completeLogin(req, res, user, '2fa');
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying two-factor code'
+    });
+  }
+};
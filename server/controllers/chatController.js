@@ -1,6 +1,11 @@
 const Chat = require('../models/Chat');
 const Document = require('../models/Document');
 const mongoose = require('mongoose'); // Keep mongoose if needed for ObjectId validation
+const { readableFilter, writableFilter, canViewUser } = require('../utils/access');
+const { deleteDocumentsWithFiles } = require('../utils/documentFiles');
+const { REFERENCE_FIELDS, findSessionDocuments } = require('../utils/sessionDocuments');
+const { documentText, findDocumentVersion } = require('../utils/documentVersions');
+const { hasProcessedContent } = require('../utils/documentProcessing');
 
 // --- ONLY REQUIRE functions from gemini.js ---
 const {
@@ -65,6 +70,78 @@ exports.createSession = async (req, res) => {
 };
 
 
+// @route   PUT /api/chat/session/:id/documents
+// @desc    Use library documents (uploaded without a session) as this session's
+//          resume and/or JD. Body: { resumeDocumentId, jdDocumentId }; an
+//          omitted field is left as is, null stops using the library document.
+// @access  Private
+exports.setSessionDocuments = async (req, res) => {
+  try {
+    const userId = req.user?._id;
+    const { id: sessionId } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({ success: false, message: 'Unauthorized' });
+    }
+    if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({ success: false, message: 'Invalid Session ID' });
+    }
+
+    const chat = await Chat.findOne({ _id: sessionId, userId: userId });
+    if (!chat) {
+      return res.status(404).json({ success: false, message: 'Session not found or access denied' });
+    }
+
+    const changes = Object.entries(REFERENCE_FIELDS).filter(([, field]) => req.body[field] !== undefined);
+    if (changes.length === 0) {
+      return res.status(400).json({ success: false, message: 'Provide resumeDocumentId and/or jdDocumentId' });
+    }
+
+    // Validate every selection before changing anything
+    for (const [type, field] of changes) {
+      const documentId = req.body[field];
+      if (documentId === null) {
+        continue;
+      }
+
+      const label = type === 'resume' ? 'resume' : 'job description';
+      if (!mongoose.Types.ObjectId.isValid(documentId)) {
+        return res.status(400).json({ success: false, message: `Invalid ${label} document ID` });
+      }
+
+      const libraryDocument = await Document.exists({ _id: documentId, userId: userId, type, sessionId: null });
+      if (!libraryDocument) {
+        return res.status(400).json({ success: false, message: `Selected ${label} was not found in your document library` });
+      }
+    }
+
+    for (const [type, field] of changes) {
+      const documentId = req.body[field];
+      if (documentId !== null) {
+        // The library document replaces any document uploaded for this session
+        await deleteDocumentsWithFiles({ userId: userId, sessionId: chat._id, type });
+      }
+      chat[field] = documentId;
+    }
+
+    await chat.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Session documents updated',
+      resumeDocumentId: chat.resumeDocumentId,
+      jdDocumentId: chat.jdDocumentId,
+    });
+  } catch (error) {
+    console.error(`Set session documents error for ID ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating session documents',
+    });
+  }
+};
+
+
 // @route   POST /api/chat/generate-questions/:sessionId
 // @desc    Generate questions for a session after documents uploaded
 // @access  Private
@@ -91,31 +168,37 @@ exports.generateQuestions = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Session not found or access denied' });
     }
 
-    // Check if both required documents are uploaded specifically for this session
-    const documents = await Document.find({
-      userId: userId,
-      sessionId: sessionId // Query specifically for this session's documents
-    }).select('type chunks.text'); // Select only needed fields
+    // Check that both required documents are uploaded for this session or picked from the library
+    const { resume: resumeDoc, jd: jdDoc, documents } = await findSessionDocuments(
+      chat,
+      'type sessionId version resumeProfile jdAnalysis text chunks.text processing' // Select only needed fields
+    );
 
     console.log(`📄 Found ${documents.length} documents for session ${sessionId}`);
 
-    const resumeDoc = documents.find(doc => doc.type === 'resume');
-    const jdDoc = documents.find(doc => doc.type === 'jd');
-
     if (!resumeDoc || !jdDoc) {
       console.warn(`Missing documents for session ${sessionId}: Resume=${!!resumeDoc}, JD=${!!jdDoc}`);
       return res.status(400).json({
         success: false,
-        message: 'Please ensure both resume and job description are uploaded for this session',
+        message: 'Please ensure both resume and job description are uploaded or selected for this session',
+      });
+    }
+    // Documents whose upload is still being processed have no text yet
+    const unprocessed = [resumeDoc, jdDoc].filter(doc => !hasProcessedContent(doc));
+    if (unprocessed.length > 0) {
+      return res.status(409).json({
+        success: false,
+        code: 'DOCUMENTS_PROCESSING',
+        message: unprocessed.some(doc => doc.processing.status === 'failed')
+          ? 'An uploaded document could not be processed. Please upload it again.'
+          : 'Your documents are still being processed. Please try again in a moment.',
       });
     }
 
-    // Get JD text, limit length, handle potentially empty chunks
-    const jdText = jdDoc.chunks
-      ?.map(chunk => chunk.text)
-      .filter(Boolean) // Filter out null/undefined/empty strings
-      .join('\n\n') // Join non-empty chunks
-      .substring(0, 4000); // Increased limit slightly, adjust as needed
+    // Get JD text and limit its length. Its stored text, not its chunks,
+    // which overlap. The JD analysis (parsed from the full text at upload)
+    // carries the requirements
+    const jdText = documentText(jdDoc).trim().substring(0, 4000);
 
     console.log(`📋 JD Text length for AI: ${jdText.length}`);
 
@@ -132,7 +215,16 @@ exports.generateQuestions = async (req, res) => {
     try {
       console.log('🤖 Calling AI to generate questions...');
       // Ensure numQuestions is passed correctly from the chat object
-      questionsText = await generateInterviewQuestions(jdText, chat.totalQuestions || 3);
+      // The session owner's profile tailors difficulty and focus; the
+      // structured resume anchors questions in the candidate's experience
+      // and the JD analysis assigns each question a requirement
+      questionsText = await generateInterviewQuestions(
+        jdText,
+        chat.totalQuestions || 3,
+        req.user.profile,
+        resumeDoc.resumeProfile,
+        jdDoc.jdAnalysis
+      );
 
       console.log(`✅ AI Response received, length: ${questionsText?.length}`);
 
@@ -159,6 +251,8 @@ exports.generateQuestions = async (req, res) => {
         content: questionsText.trim(), // Store the raw generated text
       }
     ];
+    // Record the resume version the questions are based on
+    chat.resumeVersion = { documentId: resumeDoc._id, version: resumeDoc.version || 1 };
     // Reset completion status if regenerating questions
     chat.isCompleted = false;
     chat.finalScore = undefined;
@@ -292,13 +386,8 @@ exports.submitAnswers = async (req, res) => {
       });
     }
 
-    // Get session-specific documents
-    const documents = await Document.find({ 
-      userId: req.user._id,
-      sessionId: chatId 
-    });
-    
-    const resumeDoc = documents.find(doc => doc.type === 'resume');
+    // Get the session's resume (uploaded for it or picked from the library)
+    const { resume: resumeDoc } = await findSessionDocuments(chat);
 
     if (!resumeDoc) {
       return res.status(400).json({
@@ -307,14 +396,21 @@ exports.submitAnswers = async (req, res) => {
       });
     }
 
+    // Evaluate against the resume version the questions were generated from, if it still exists
+    let resumeContent = resumeDoc;
+    const { documentId: recordedDocumentId, version: recordedVersion } = chat.resumeVersion || {};
+    if (recordedDocumentId?.equals(resumeDoc._id) && recordedVersion && recordedVersion !== (resumeDoc.version || 1)) {
+      resumeContent = (await findDocumentVersion(resumeDoc, recordedVersion, 'chunks resumeProfile')) || resumeDoc;
+    }
+
     // Combine all answers for embedding
     const combinedAnswers = answers.map(a => a.text).join(' ');
     const queryEmbedding = await generateEmbedding(combinedAnswers);
 
     // Find similar chunks from resume (RAG)
-    const resumeChunks = findSimilarChunks(queryEmbedding, resumeDoc.chunks, 3);
+    const resumeChunks = findSimilarChunks(queryEmbedding, resumeContent.chunks, 3);
     const resumeContext = resumeChunks
-      .map(item => item.chunk.text)
+      .map(item => (item.chunk.sectionTitle ? `[${item.chunk.sectionTitle}]\n${item.chunk.text}` : item.chunk.text))
       .join('\n\n');
 
     // Prepare questions and answers for evaluation
@@ -324,7 +420,7 @@ exports.submitAnswers = async (req, res) => {
     }));
 
     // Evaluate all answers at once
-    const evaluations = await evaluateAllAnswers(questionsAndAnswers, resumeContext);
+    const evaluations = await evaluateAllAnswers(questionsAndAnswers, resumeContext, req.user.profile, resumeContent.resumeProfile);
 
     // Add user answers
     chat.messages.push({
@@ -364,6 +460,8 @@ exports.submitAnswers = async (req, res) => {
       resumeChunksUsed: resumeChunks.map((item, idx) => ({
         index: idx + 1,
         text: item.chunk.text.substring(0, 200) + '...',
+        sectionTitle: item.chunk.sectionTitle || null,
+        pageNumber: item.chunk.pageNumber || null,
         similarity: item.similarity.toFixed(3),
       })),
       isCompleted: true,
@@ -382,19 +480,31 @@ exports.submitAnswers = async (req, res) => {
 };
 
 
-// @route   GET /api/chat/sessions
-// @desc    Get all chat sessions for the authenticated user
+// @route   GET /api/chat/sessions?userId=
+// @desc    Get all chat sessions for the authenticated user, or for another
+//          user the requester may view (coach -> assigned candidate, admin -> anyone)
 // @access  Private
 exports.getChatSessions = async (req, res) => {
   try {
-     const userId = req.user?._id;
-     if (!userId) {
+     const requesterId = req.user?._id;
+     if (!requesterId) {
        return res.status(401).json({ success: false, message: 'Unauthorized' });
      }
 
+     let userId = requesterId;
+     if (req.query.userId) {
+       if (!mongoose.Types.ObjectId.isValid(req.query.userId)) {
+         return res.status(400).json({ success: false, message: 'Invalid User ID' });
+       }
+       if (!(await canViewUser(req.user, req.query.userId))) {
+         return res.status(403).json({ success: false, message: 'Not authorized to view sessions for this user' });
+       }
+       userId = req.query.userId;
+     }
+
     // Find sessions, select specific fields, sort by most recent
     const sessions = await Chat.find({ userId: userId })
-      .select('sessionName totalQuestions isCompleted finalScore averageRelevance averageCorrectness createdAt updatedAt')
+      .select('userId sessionName totalQuestions isCompleted finalScore averageRelevance averageCorrectness createdAt updatedAt')
       .sort({ createdAt: -1 }); // Sort by creation date, newest first
 
     // Map sessions to a cleaner format for the client
@@ -402,6 +512,7 @@ exports.getChatSessions = async (req, res) => {
       success: true,
       sessions: sessions.map(session => ({
         id: session._id,
+        userId: session.userId,
         sessionName: session.sessionName,
         totalQuestions: session.totalQuestions,
         isCompleted: session.isCompleted,
@@ -436,10 +547,10 @@ exports.getChatSession = async (req, res) => {
        return res.status(400).json({ success: false, message: 'Invalid Session ID' });
      }
 
-    // Find the chat session, ensuring it belongs to the logged-in user
+    // Find the chat session, ensuring the logged-in user may view it (owner, assigned coach or admin)
     const chat = await Chat.findOne({
       _id: sessionId,
-      userId: userId, // Security check: user must own the session
+      ...(await readableFilter(req.user)), // Security check: role-aware ownership
     }); // No .select() needed here, we want all fields including messages
 
     if (!chat) {
@@ -455,8 +566,13 @@ exports.getChatSession = async (req, res) => {
       // Map to ensure consistent structure and only send necessary data
       session: {
         id: chat._id,
+        userId: chat.userId,
+        isOwner: chat.userId.equals(userId),
         sessionName: chat.sessionName,
         totalQuestions: chat.totalQuestions,
+        resumeDocumentId: chat.resumeDocumentId,
+        jdDocumentId: chat.jdDocumentId,
+        resumeVersion: chat.resumeVersion?.version ? chat.resumeVersion : null,
         messages: chat.messages.map(msg => ({ // Map messages for structure
             role: msg.role,
             content: msg.content,
@@ -499,10 +615,10 @@ exports.deleteChatSession = async (req, res) => {
 
      console.log(`🗑️ Attempting to delete session: ${sessionId} for user: ${userId}`);
 
-    // Use findOneAndDelete to get the document and delete atomically, ensuring user owns it
+    // Use findOneAndDelete to get the document and delete atomically, ensuring user may manage it
     const chat = await Chat.findOneAndDelete({
       _id: sessionId,
-      userId: userId, // User must own the session
+      ...writableFilter(req.user), // Owner (or admin)
     });
 
     if (!chat) {
@@ -513,13 +629,14 @@ exports.deleteChatSession = async (req, res) => {
       });
     }
 
-    // Delete associated documents (Resume and JD) specifically linked to this session
-    const deleteResult = await Document.deleteMany({
-      userId: userId,
+    // Delete associated documents (Resume and JD) specifically linked to this session, with their files.
+    // Library documents the session referenced are kept.
+    const deletedCount = await deleteDocumentsWithFiles({
+      userId: chat.userId, // The session owner's documents (may differ from an admin requester)
       sessionId: sessionId, // Only documents for this session
     });
 
-    console.log(`🧹 Deleted ${deleteResult.deletedCount} associated documents for session ${sessionId}`);
+    console.log(`🧹 Deleted ${deletedCount} associated documents for session ${sessionId}`);
 
     res.status(200).json({
       success: true,
@@ -1,9 +1,57 @@
 const Document = require('../models/Document');
+const Chat = require('../models/Chat');
+const DocumentVersion = require('../models/DocumentVersion');
+const express = require('express');
 const multer = require('multer');
-const cloudinary = require('../config/cloudinary');
-const { extractTextFromPDF, chunkText } = require('../utils/pdfProcessor');
+const { chunkAndEmbed } = require('../utils/documentChunks');
+const { isSupportedUpload, detectDocumentFormat } = require('../utils/textExtractor');
 const { generateEmbeddings } = require('../utils/gemini');
+const { normalizeResumeProfile } = require('../utils/resumeProfile');
+const { normalizeJdAnalysis } = require('../utils/jdAnalysis');
+const {
+  ACTIVE_STATUSES,
+  FINAL_STATUSES,
+  hasProcessedContent,
+  processingStatus,
+  subscribeToProcessing,
+  buildResumeProfile,
+  buildJdAnalysis,
+  queueUpload,
+} = require('../utils/documentProcessing');
+const { hashContent, findDuplicateContent, duplicateContent } = require('../utils/documentDedup');
+const { buildMatchReport, embedRequirements, countUnembeddedRequirements } = require('../utils/matchReport');
 const mongoose = require('mongoose'); // Import mongoose
+const { readableFilter, writableFilter } = require('../utils/access');
+const {
+  DOCUMENT_STORAGE_PREFIX,
+  storeDocumentFile,
+  getDocumentFileUrl,
+  destroyDocumentFile,
+  deleteDocumentWithVersions,
+} = require('../utils/documentFiles');
+const {
+  saveNewVersion,
+  findDocumentVersion,
+  restoreVersion,
+  diffDocumentText,
+  documentText,
+  isVersionConflict,
+} = require('../utils/documentVersions');
+const { verifySignedRequest } = require('../utils/storage/diskStorage');
+const {
+  REFERENCE_FIELDS,
+  findSessionDocuments,
+  findSessionsUsingDocuments,
+} = require('../utils/sessionDocuments');
+
+// Pasted text is sent as JSON; its body limit (see pastedTextMiddleware) follows this
+const PASTED_TEXT_MAX_CHARS = 50000;
+const PASTED_TEXT_MIN_CHARS = 50;
+// Lifetime of download links handed to the client
+const DOWNLOAD_URL_TTL_SECONDS = 5 * 60;
+
+// Another upload or restore saved a new version of the same document first
+const VERSION_CONFLICT_MESSAGE = 'This document was changed at the same time. Please reload and try again.';
 
 // Configure multer for memory storage
 const storage = multer.memoryStorage();
@@ -13,14 +61,33 @@ const upload = multer({
     fileSize: 2 * 1024 * 1024, // 2MB limit
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf') {
+    // Content is sniffed again after upload; this only screens obvious mismatches
+    if (isSupportedUpload(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF files are allowed'), false);
+      cb(new Error('Only PDF, DOCX, TXT, Markdown and HTML files are allowed'), false);
     }
   },
 });
 
+// The longest text accepted, however it is encoded: a character takes up to
+// 6 bytes of JSON (a \uXXXX escape), plus room for the other fields
+const parsePastedTextBody = express.json({ limit: PASTED_TEXT_MAX_CHARS * 6 + 10 * 1024 });
+
+// JSON body parser for POST /api/documents/text, mounted ahead of the app's
+// default one (whose 100kb limit is too small for the longest pasted text)
+exports.pastedTextMiddleware = (req, res, next) => {
+  parsePastedTextBody(req, res, (err) => {
+    if (err && err.type === 'entity.too.large') {
+      return res.status(413).json({
+        success: false,
+        message: `Pasted text cannot be longer than ${PASTED_TEXT_MAX_CHARS} characters.`,
+      });
+    }
+    next(err);
+  });
+};
+
 // Accept both 'file' and 'document' field names (frontend uses both in different places)
 const uploadFields = upload.fields([
   { name: 'file', maxCount: 1 },
@@ -75,13 +142,70 @@ exports.uploadMiddleware = (req, res, next) => {
 };
 
 
+// Find the document a new upload of `type` replaces: the library document
+// `documentId` when given, otherwise the session's current one. Library uploads
+// without a documentId are kept side by side.
+// Returns { existingDoc } (null when nothing is replaced) or { status, message }.
+const findDocumentToReplace = async (userId, type, sessionId, documentId) => {
+  if (documentId) {
+    if (!mongoose.Types.ObjectId.isValid(documentId)) {
+      return { status: 400, message: 'Invalid Document ID format provided' };
+    }
+    const existingDoc = await Document.findOne({ _id: documentId, userId, type, sessionId: sessionId || null });
+    return existingDoc
+      ? checkNotProcessing(existingDoc)
+      : { status: 404, message: 'Document to replace not found or access denied' };
+  }
+
+  if (!sessionId) {
+    return { existingDoc: null };
+  }
+
+  const existingDoc = await Document.findOne({ userId, type, sessionId });
+  return existingDoc ? checkNotProcessing(existingDoc) : { existingDoc: null };
+};
+
+// A session upload also replaces a library document picked for the session.
+// Called once the upload is saved or queued, so a rejected one leaves the pick.
+const clearLibraryPick = async (userId, type, sessionId, documentId) => {
+  if (sessionId && !documentId) {
+    await Chat.updateOne({ _id: sessionId, userId }, { [REFERENCE_FIELDS[type]]: null });
+  }
+};
+
+// A document is replaced only once its last upload has finished processing
+const checkNotProcessing = (existingDoc) => (ACTIVE_STATUSES.includes(existingDoc.processing?.status)
+  ? { status: 409, message: `'${existingDoc.fileName}' is still being processed. Wait for it to finish, then upload again.` }
+  : { existingDoc });
+
+// Save processed content as a new document, or as the next version of the one
+// it replaces (the previous content, file included, is kept in its history)
+const saveDocument = async (existingDoc, documentData) => {
+  if (!existingDoc) {
+    return Document.create(documentData);
+  }
+
+  if (!hasProcessedContent(existingDoc)) {
+    // Its first upload failed: there is no content to keep
+    await destroyDocumentFile(existingDoc);
+    existingDoc.set({ storageProvider: undefined, storageKey: undefined, ...documentData, processing: {} });
+    return existingDoc.save();
+  }
+
+  console.log(`Existing document found (ID: ${existingDoc._id}), saving version ${existingDoc.version + 1}...`);
+  existingDoc.processing = {}; // Whatever happened to an earlier upload no longer applies
+  return saveNewVersion(existingDoc, documentData);
+};
+
 // @route   POST /api/documents/upload
-// @desc    Upload and process PDF document (Handles both global and session-specific)
+// @desc    Upload a PDF, DOCX, TXT, Markdown or HTML document (Handles both global and session-specific)
+//          and queue it for processing; follow it with GET /:id/status or /:id/events.
+//          A file the user uploaded before reuses that content at once (`deduplicated`).
 // @access  Private
 exports.uploadDocument = async (req, res) => {
   try {
-    // --- MODIFIED: Read sessionId from body ---
-    const { type, sessionId } = req.body;
+    // --- MODIFIED: Read sessionId (and documentId, to upload a new version) from body ---
+    const { type, sessionId, documentId } = req.body;
     const userId = req.user?._id;
 
     // --- Enhanced Validation ---
@@ -104,190 +228,348 @@ exports.uploadDocument = async (req, res) => {
         message: 'No file uploaded or incorrect field name used. Use "file" or "document".',
       });
     }
+
+    // Trust the file's bytes, not its name: a renamed binary must not reach the text pipeline
+    const format = detectDocumentFormat(req.file.buffer, req.file);
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unsupported file content. Please upload a PDF, DOCX, TXT, Markdown or HTML file.',
+      });
+    }
     // --- End Enhanced Validation ---
 
 
-    console.log(`⬆️ Uploading document: Type=${type}, SessionId=${sessionId || 'N/A'}, User=${userId}, File=${req.file.originalname}`);
+    console.log(`⬆️ Uploading document: Type=${type}, Format=${format}, SessionId=${sessionId || 'N/A'}, User=${userId}, File=${req.file.originalname}`);
 
-     // --- MODIFIED: Query based on sessionId presence ---
-     const query = { userId: userId, type: type };
-     if (sessionId) {
-         query.sessionId = sessionId;
-     } else {
-         // If uploading without a session ID, target the "global" document for that user/type.
-         // In Mongoose, querying for a field that is explicitly `null` or doesn't exist are slightly different.
-         // Let's target documents where sessionId is explicitly null OR where it doesn't exist yet.
-         // However, since your schema defaults sessionId to null, just querying for null is sufficient.
-         query.sessionId = null;
-     }
+    // A new version of the session's document of this type, or of a library
+    // document given by documentId (other library uploads are added)
+    const { existingDoc, status: replaceStatus, message: replaceMessage } =
+      await findDocumentToReplace(userId, type, sessionId, documentId);
+    if (replaceStatus) {
+      return res.status(replaceStatus).json({ success: false, message: replaceMessage });
+    }
 
-    // Check if user already has this document type *for this context (session or global)*
-    const existingDoc = await Document.findOne(query);
+    // --- MODIFIED: Set storage folder based on sessionId ---
+    const storageFolder = `${DOCUMENT_STORAGE_PREFIX}/${sessionId || 'global'}`; // Separate global docs
 
-    if (existingDoc) {
-        console.log(`Existing document found (ID: ${existingDoc._id}), replacing...`);
-      // Delete old document from Cloudinary
-      try {
-          // Extract public_id carefully, handling potential URL variations
-          const urlParts = existingDoc.fileUrl.split('/');
-          const publicIdWithExtension = urlParts.slice(urlParts.indexOf('interview-prep')).join('/'); // Get path after 'interview-prep'
-          const publicId = publicIdWithExtension.substring(0, publicIdWithExtension.lastIndexOf('.')); // Remove extension
-          if (publicId) {
-             console.log(`Deleting old file from Cloudinary: ${publicId}`);
-             await cloudinary.uploader.destroy(publicId, { resource_type: 'raw' });
-          } else {
-             console.warn(`Could not extract publicId from URL: ${existingDoc.fileUrl}`);
-          }
-      } catch (err) {
-        // Log error but don't fail the upload if Cloudinary deletion fails
-        console.error('Error deleting old file from Cloudinary (continuing upload):', err);
-      }
+    // Save the original file with the configured storage backend
+    console.log(`Storing file in folder: ${storageFolder}`);
+    const storedFile = await storeDocumentFile(req.file.buffer, {
+      folder: storageFolder,
+      fileName: req.file.originalname,
+      contentType: req.file.mimetype,
+    });
+    console.log(`☁️ File stored (${storedFile.storageProvider}): ${storedFile.storageKey}`);
 
-      // Delete from database
-      await Document.deleteOne({ _id: existingDoc._id });
-      console.log(`Deleted existing document from DB: ${existingDoc._id}`);
+    // The same file uploaded before: its extracted text, analysis and
+    // embeddings are reused (the file itself is stored again, as every
+    // document owns its file)
+    const contentHash = hashContent(req.file.buffer);
+    const duplicate = await findDuplicateContent(userId, type, contentHash);
+    if (duplicate) {
+      const document = await saveDocument(existingDoc, {
+        userId,
+        sessionId: sessionId || null,
+        type,
+        ...storedFile,
+        fileName: req.file.originalname,
+        format,
+        contentHash,
+        ...duplicateContent(duplicate),
+      });
+      console.log(`♻️ Document ${document._id} reuses the content of identical upload ${duplicate._id}`);
+      await clearLibraryPick(userId, type, sessionId, documentId);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Document uploaded; its content was reused from an identical earlier upload',
+        deduplicated: true,
+        document: {
+          id: document._id,
+          type: document.type,
+          fileName: document.fileName,
+          format,
+          version: document.version,
+          hasContent: true,
+          processing: processingStatus(document),
+          createdAt: document.createdAt,
+          sessionId: document.sessionId
+        },
+      });
     }
 
-    // --- MODIFIED: Set Cloudinary folder based on sessionId ---
-    const cloudinaryFolder = sessionId ? `interview-prep/${sessionId}` : 'interview-prep/global'; // Separate global docs
+    // Text extraction, analysis and embedding happen in the document worker
+    const upload = { ...storedFile, fileName: req.file.originalname, format, contentHash };
+    let document;
+    if (existingDoc && hasProcessedContent(existingDoc)) {
+      // The current content stays in use until the upload becomes the next version
+      document = await queueUpload(existingDoc, upload, { newVersion: true });
+    } else {
+      if (existingDoc) {
+        // Its first upload failed: there is no content to keep
+        await destroyDocumentFile(existingDoc);
+      }
+      document = existingDoc || new Document({ userId, sessionId: sessionId || null, type });
+      document.set({ ...storedFile, fileName: req.file.originalname, format });
+      document = await queueUpload(document, upload, { newVersion: false });
+    }
+    console.log(`🕒 Document ${document._id} queued for processing (Session: ${document.sessionId})`);
+    await clearLibraryPick(userId, type, sessionId, documentId);
 
-    // Upload to Cloudinary
-    console.log(`Uploading to Cloudinary folder: ${cloudinaryFolder}`);
-    const uploadResult = await new Promise((resolve, reject) => {
-      const uploadStream = cloudinary.uploader.upload_stream(
-        {
-          folder: cloudinaryFolder,
-          resource_type: 'raw', // Keep as raw since it's PDF, not image/video
-          // public_id: `${type}-${userId}-${Date.now()}` // Optional: Define a specific public_id
-        },
-        (error, result) => {
-          if (error) {
-            console.error('Cloudinary upload error:', error);
-            return reject(new Error(`Cloudinary upload failed: ${error.message}`));
-          }
-          if (!result || !result.secure_url) {
-             console.error('Cloudinary upload incomplete response:', result);
-             return reject(new Error('Cloudinary upload failed: No secure_url returned.'));
-          }
-          resolve(result);
-        }
-      );
-      uploadStream.end(req.file.buffer);
+    res.status(202).json({
+      success: true,
+      message: 'Document uploaded; it is being processed',
+      deduplicated: false,
+      document: { // Send back relevant info
+        id: document._id,
+        type: document.type,
+        fileName: upload.fileName,
+        format,
+        version: document.version,
+        hasContent: hasProcessedContent(document),
+        processing: processingStatus(document),
+        createdAt: document.createdAt,
+        sessionId: document.sessionId // Include sessionId in response
+      },
     });
-    console.log(`☁️ Cloudinary upload successful: ${uploadResult.public_id}`);
-
+  } catch (error) {
+    // Catch storage and DB errors; processing errors are recorded on the document
+    console.error('❌ Upload failed:', error);
+    if (isVersionConflict(error)) {
+      return res.status(409).json({ success: false, message: VERSION_CONFLICT_MESSAGE });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message.includes('File storage failed')
+        ? 'Failed to save the uploaded file. Please try again.'
+        : 'Error uploading document. Please try again.',
+    });
+  }
+};
 
-    // Extract text from PDF
-    console.log('📄 Extracting text from PDF...');
-    const extractedText = await extractTextFromPDF(req.file.buffer);
+// @route   POST /api/documents/text
+// @desc    Store pasted resume or job description text as a document (no file)
+// @access  Private
+exports.createTextDocument = async (req, res) => {
+  try {
+    const { type, sessionId, documentId, title } = req.body;
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+    const userId = req.user._id;
 
-    // Add stricter check for meaningful text length
-    if (!extractedText || extractedText.trim().length < 50) { // Increased minimum length
-       console.warn(`Extracted text too short or empty (${extractedText?.trim().length || 0} chars)`);
-       // Optionally delete the just-uploaded Cloudinary file if extraction fails badly
-        try { await cloudinary.uploader.destroy(uploadResult.public_id, { resource_type: 'raw' }); } catch (e) { console.error("Failed to clean up Cloudinary file after text extraction failure", e); }
+    if (!type || !['resume', 'jd'].includes(type)) {
       return res.status(400).json({
         success: false,
-        message: 'Could not extract sufficient text from PDF. Please ensure the PDF contains selectable text and is not just an image.',
+        message: 'Invalid document type in request body. Must be "resume" or "jd"',
       });
     }
-    console.log(`✍️ Extracted text length: ${extractedText.length}`);
-
-
-    // Chunk the text
-    const textChunks = chunkText(extractedText, 500); // Using 500 words per chunk
-
-    if (!textChunks || textChunks.length === 0) {
-       console.error('Failed to create text chunks from extracted text.');
-       // Optionally delete the just-uploaded Cloudinary file
-       try { await cloudinary.uploader.destroy(uploadResult.public_id, { resource_type: 'raw' }); } catch (e) { console.error("Failed to clean up Cloudinary file after chunking failure", e); }
+    if (sessionId && !mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({ success: false, message: 'Invalid Session ID format provided' });
+    }
+    if (text.length < PASTED_TEXT_MIN_CHARS) {
       return res.status(400).json({
         success: false,
-        message: 'Text extracted, but failed to divide into valid chunks.',
+        message: `Please paste at least ${PASTED_TEXT_MIN_CHARS} characters of text.`,
+      });
+    }
+    if (text.length > PASTED_TEXT_MAX_CHARS) {
+      return res.status(400).json({
+        success: false,
+        message: `Pasted text cannot be longer than ${PASTED_TEXT_MAX_CHARS} characters.`,
       });
     }
-    console.log(`🧩 Created ${textChunks.length} text chunks.`);
 
+    console.log(`📋 Storing pasted text: Type=${type}, SessionId=${sessionId || 'N/A'}, User=${userId}, Length=${text.length}`);
 
-    // Generate embeddings for all chunks
-    console.log('🧠 Generating embeddings for chunks...');
-    const embeddings = await generateEmbeddings(textChunks); // Assumes generateEmbeddings handles errors internally
-    console.log(`✨ Generated ${embeddings.length} embeddings.`);
+    const { existingDoc, status: replaceStatus, message: replaceMessage } =
+      await findDocumentToReplace(userId, type, sessionId, documentId);
+    if (replaceStatus) {
+      return res.status(replaceStatus).json({ success: false, message: replaceMessage });
+    }
 
-     // Validate embedding results
-     if (!embeddings || embeddings.length !== textChunks.length) {
-         console.error(`Embedding count mismatch: ${embeddings?.length || 0} embeddings for ${textChunks.length} chunks.`);
-          // Optionally delete the just-uploaded Cloudinary file
-         try { await cloudinary.uploader.destroy(uploadResult.public_id, { resource_type: 'raw' }); } catch (e) { console.error("Failed to clean up Cloudinary file after embedding failure", e); }
-         return res.status(500).json({ success: false, message: 'Error generating embeddings for all text chunks.' });
-     }
-     if (embeddings.some(e => !Array.isArray(e) || e.length === 0)) {
-          console.error(`Some generated embeddings are invalid.`);
-           // Optionally delete the just-uploaded Cloudinary file
-         try { await cloudinary.uploader.destroy(uploadResult.public_id, { resource_type: 'raw' }); } catch (e) { console.error("Failed to clean up Cloudinary file after embedding validation failure", e); }
-         return res.status(500).json({ success: false, message: 'Invalid embeddings generated.' });
-     }
+    const { chunks, status, message } = await chunkAndEmbed(text, { userId });
+    if (!chunks) {
+      return res.status(status).json({ success: false, message });
+    }
 
+    const fileName = (typeof title === 'string' && title.trim())
+      ? title.trim().substring(0, 200)
+      : `Pasted ${type === 'jd' ? 'job description' : 'resume'}`;
 
-    // Prepare chunks with embeddings for saving
-    const chunksWithEmbeddings = textChunks.map((text, index) => ({
-      text,
-      // Ensure embedding exists for the index, handle potential errors from generateEmbeddings if it returned nulls/placeholders
-      embedding: embeddings[index] || [], // Use empty array as fallback? Or fail? Let's assume generateEmbeddings returns valid arrays or throws
-    }));
-
-    // --- MODIFIED: Save with sessionId if present, otherwise null ---
-    const documentData = {
-      userId: userId,
-      sessionId: sessionId || null, // Save null if sessionId is not provided
+    const document = await saveDocument(existingDoc, {
+      userId,
+      sessionId: sessionId || null,
       type,
-      fileUrl: uploadResult.secure_url,
-      fileName: req.file.originalname,
-      chunks: chunksWithEmbeddings,
-    };
-
-    console.log(`💾 Saving document to database (Session: ${documentData.sessionId})...`);
-    const document = await Document.create(documentData);
-    console.log(`✅ Document saved successfully: ${document._id}`);
+      fileUrl: null,
+      fileName,
+      format: 'txt',
+      text,
+      resumeProfile: await buildResumeProfile(type, text),
+      jdAnalysis: await buildJdAnalysis(type, text),
+      chunks,
+    });
+    console.log(`✅ Pasted text saved as document: ${document._id}`);
+    await clearLibraryPick(userId, type, sessionId, documentId);
 
-    // Return success response
     res.status(201).json({
       success: true,
-      message: 'Document uploaded and processed successfully',
-      document: { // Send back relevant info
+      message: 'Text processed successfully',
+      document: {
         id: document._id,
         type: document.type,
         fileName: document.fileName,
         fileUrl: document.fileUrl,
+        format: document.format,
+        version: document.version,
+        hasResumeProfile: !!document.resumeProfile,
+        hasJdAnalysis: !!document.jdAnalysis,
         chunksCount: document.chunks.length,
+        hasContent: true,
+        processing: processingStatus(document),
         createdAt: document.createdAt,
-        sessionId: document.sessionId // Include sessionId in response
+        sessionId: document.sessionId
       },
     });
   } catch (error) {
-    // Catch all errors (Cloudinary, PDFParse, Gemini, DB)
-    console.error('❌ Upload process failed:', error);
-    // Try to provide a more specific message if possible
-    let userMessage = 'Error uploading document. Please try again.';
-    if (error.message.includes('extract text')) {
-        userMessage = 'Failed to read text from the uploaded PDF. Please ensure it contains selectable text.';
-    } else if (error.message.includes('embedding')) {
-        userMessage = 'Failed to process document content with AI. Please try again later.';
-    } else if (error.message.includes('Cloudinary')) {
-        userMessage = 'Failed to save the uploaded file. Please try again.';
+    console.error('❌ Pasted text processing failed:', error);
+    if (isVersionConflict(error)) {
+      return res.status(409).json({ success: false, message: VERSION_CONFLICT_MESSAGE });
     }
+    res.status(500).json({
+      success: false,
+      message: error.message.includes('embedding')
+        ? 'Failed to process document content with AI. Please try again later.'
+        : 'Error processing pasted text. Please try again.',
+    });
+  }
+};
+
+// @route   GET /api/documents/:id/status
+// @desc    Processing status of a document's latest upload
+// @access  Private (owner, assigned coach or admin)
+exports.getProcessingStatus = async (req, res) => {
+  try {
+    const { id: documentId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(documentId)) {
+      return res.status(400).json({ success: false, message: 'Invalid Document ID' });
+    }
+
+    const document = await Document.findOne({
+      _id: documentId,
+      ...(await readableFilter(req.user)),
+    }).select('version processing');
+
+    if (!document) {
+      return res.status(404).json({ success: false, message: 'Document not found or access denied' });
+    }
+
+    res.status(200).json({
+      success: true,
+      version: document.version,
+      hasContent: hasProcessedContent(document),
+      processing: processingStatus(document),
+    });
+  } catch (error) {
+    console.error(`Get processing status error for ID ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching processing status',
+    });
+  }
+};
+
+// How often an open progress stream re-reads the status from the database
+// (the worker may run in another server process); also keeps proxies from
+// closing an idle stream
+const PROGRESS_REFRESH_SECONDS = 15;
+
+// @route   GET /api/documents/:id/events
+// @desc    Server-sent `status` events with a document's processing status (as
+//          from GET /:id/status), sent now and on every change until it is ready or failed
+// @access  Private (owner, assigned coach or admin)
+exports.streamProcessingStatus = async (req, res) => {
+  try {
+    const { id: documentId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(documentId)) {
+      return res.status(400).json({ success: false, message: 'Invalid Document ID' });
+    }
+
+    const document = await Document.findOne({
+      _id: documentId,
+      ...(await readableFilter(req.user)),
+    }).select('processing');
+
+    if (!document) {
+      return res.status(404).json({ success: false, message: 'Document not found or access denied' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // Stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    let lastSent = null;
+    let refresh = null;
+    let unsubscribe = () => {};
+
+    const finish = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(refresh);
+      unsubscribe();
+      res.end();
+    };
+
+    const send = (status) => {
+      if (closed) return;
+      const data = JSON.stringify(status);
+      if (data !== lastSent) {
+        lastSent = data;
+        res.write(`event: status\ndata: ${data}\n\n`);
+      }
+      if (FINAL_STATUSES.includes(status.status)) {
+        finish();
+      }
+    };
+
+    unsubscribe = subscribeToProcessing(document._id, send);
+    refresh = setInterval(async () => {
+      try {
+        const current = await Document.findById(document._id).select('processing');
+        if (!current) {
+          send({ ...processingStatus(document), status: 'failed', error: 'The document was deleted.' });
+          return;
+        }
+        res.write(': keep-alive\n\n');
+        send(processingStatus(current));
+      } catch (error) {
+        console.error(`Processing status refresh error for ID ${documentId}:`, error.message);
+      }
+    }, PROGRESS_REFRESH_SECONDS * 1000);
+    req.on('close', finish);
 
+    send(processingStatus(document));
+  } catch (error) {
+    console.error(`Processing status stream error for ID ${req.params.id}:`, error);
+    if (res.headersSent) {
+      return res.end();
+    }
     res.status(500).json({
       success: false,
-      message: userMessage,
-      // Only send detailed error in development
-      // error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      message: 'Error streaming processing status',
     });
   }
 };
 
 // @route   GET /api/documents/list
-// @desc    Get user's uploaded "global" documents (sessionId is null)
+// @desc    Get user's document library: uploaded "global" documents (sessionId is null)
+//          with the number of sessions using each
 // @access  Private
 exports.listDocuments = async (req, res) => {
   try {
@@ -296,12 +578,25 @@ exports.listDocuments = async (req, res) => {
 
     // Find documents where sessionId is null for this user
     const documents = await Document.find({ userId: userId, sessionId: null })
-      .select('-chunks -chunks.embedding') // Exclude chunks and embeddings
+      .select('-chunks -text') // Exclude chunks, embeddings and the full text
       .sort({ createdAt: -1 });
 
+    // Count the sessions using each library document
+    const sessionCounts = {};
+    const usingSessions = await findSessionsUsingDocuments(documents.map(doc => doc._id));
+    usingSessions.forEach(session => {
+      Object.values(REFERENCE_FIELDS).forEach(field => {
+        if (session[field]) {
+          const key = session[field].toString();
+          sessionCounts[key] = (sessionCounts[key] || 0) + 1;
+        }
+      });
+    });
+
     // Check which global documents exist
-    const hasResume = documents.some(doc => doc.type === 'resume');
-    const hasJD = documents.some(doc => doc.type === 'jd');
+    // Documents still being processed (or whose upload failed) cannot be used yet
+    const hasResume = documents.some(doc => doc.type === 'resume' && hasProcessedContent(doc));
+    const hasJD = documents.some(doc => doc.type === 'jd' && hasProcessedContent(doc));
 
     res.status(200).json({
       success: true,
@@ -311,6 +606,15 @@ exports.listDocuments = async (req, res) => {
         type: doc.type,
         fileName: doc.fileName,
         fileUrl: doc.fileUrl,
+        hasFile: !!(doc.storageKey || doc.fileUrl),
+        format: doc.format,
+        ocr: doc.ocr,
+        version: doc.version,
+        hasResumeProfile: !!doc.resumeProfile,
+        hasJdAnalysis: !!doc.jdAnalysis,
+        hasContent: hasProcessedContent(doc),
+        processing: processingStatus(doc),
+        sessionCount: sessionCounts[doc._id.toString()] || 0,
         createdAt: doc.createdAt,
       })),
       // Stats specifically for global documents
@@ -345,11 +649,11 @@ exports.deleteDocument = async (req, res) => {
 
     console.log(`🗑️ Attempting to delete document: ${documentId} for user: ${userId}`);
 
-    // Find the document and ensure the user owns it before deleting
-    const document = await Document.findOneAndDelete({
+    // Find the document and ensure the user may manage it before deleting
+    const document = await Document.findOne({
       _id: documentId,
-      userId: userId, // User must own the document
-    });
+      ...writableFilter(req.user), // Owner (or admin)
+    }).select('fileName fileUrl storageProvider storageKey processing.upload');
 
     if (!document) {
       console.warn(`Delete document: Document not found or access denied for ${documentId}`);
@@ -359,28 +663,25 @@ exports.deleteDocument = async (req, res) => {
       });
     }
 
-    // Delete associated file from Cloudinary
-    try {
-      // Extract public_id carefully
-      const urlParts = document.fileUrl.split('/');
-      const publicIdWithExtension = urlParts.slice(urlParts.indexOf('interview-prep')).join('/');
-      const publicId = publicIdWithExtension.substring(0, publicIdWithExtension.lastIndexOf('.'));
-
-      if (publicId) {
-        console.log(`Deleting file from Cloudinary: ${publicId}`);
-        await cloudinary.uploader.destroy(publicId, { resource_type: 'raw' });
-      } else {
-        console.warn(`Could not extract publicId from URL for deletion: ${document.fileUrl}`);
-      }
-    } catch (cloudinaryError) {
-      // Log error but don't fail the request if only Cloudinary deletion fails
-      console.error(`Error deleting file from Cloudinary (DB entry deleted): ${cloudinaryError.message}`);
+    // Library documents stay while sessions use them for questions and evaluation
+    const usingSessions = await findSessionsUsingDocuments([document._id]);
+    if (usingSessions.length > 0) {
+      return res.status(409).json({
+        success: false,
+        code: 'DOCUMENT_IN_USE',
+        message: `'${document.fileName}' is used by ${usingSessions.length} interview session(s). Delete those sessions first.`,
+        sessions: usingSessions.map(session => ({ id: session._id, sessionName: session.sessionName })),
+      });
     }
 
+    // Delete it with its earlier versions and their stored files (file failures are logged, not fatal)
+    const fileDeleted = await deleteDocumentWithVersions(document);
+
     console.log(`✅ Document deleted successfully from DB: ${documentId}`);
     res.status(200).json({
       success: true,
       message: `Document '${document.fileName}' deleted successfully`,
+      fileDeleted, // false: the stored file is left for the storage reconciliation to remove
     });
   } catch (error) {
     console.error(`Delete document error for ID ${req.params.id}:`, error);
@@ -392,6 +693,422 @@ exports.deleteDocument = async (req, res) => {
 };
 
 
+// @route   GET /api/documents/:id/file?version=
+// @desc    Get a short-lived download link for a document's original file
+//          (the current version unless `version` is given)
+// @access  Private (owner, assigned coach or admin)
+exports.getDocumentFile = async (req, res) => {
+  try {
+    const { id: documentId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(documentId)) {
+      return res.status(400).json({ success: false, message: 'Invalid Document ID' });
+    }
+
+    const document = await Document.findOne({
+      _id: documentId,
+      ...(await readableFilter(req.user)),
+    }).select('fileName fileUrl storageProvider storageKey version');
+
+    if (!document) {
+      return res.status(404).json({ success: false, message: 'Document not found or access denied' });
+    }
+
+    let content = document;
+    if (req.query.version !== undefined) {
+      const version = parseVersion(req.query.version);
+      content = version && await findDocumentVersion(document, version, 'fileName fileUrl storageProvider storageKey');
+      if (!content) {
+        return res.status(404).json({ success: false, message: 'Version not found' });
+      }
+    }
+
+    const url = await getDocumentFileUrl(content, DOWNLOAD_URL_TTL_SECONDS);
+    if (!url) {
+      return res.status(404).json({ success: false, message: 'This document was pasted as text and has no file' });
+    }
+
+    res.status(200).json({
+      success: true,
+      url,
+      expiresAt: new Date(Date.now() + DOWNLOAD_URL_TTL_SECONDS * 1000),
+    });
+  } catch (error) {
+    console.error(`Get document file error for ID ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating download link',
+    });
+  }
+};
+
+// Version numbers arrive as strings in the URL; null unless a positive integer
+const parseVersion = (value) => {
+  const version = Number(value);
+  return Number.isInteger(version) && version >= 1 ? version : null;
+};
+
+// @route   GET /api/documents/:id/versions
+// @desc    List a document's versions, newest first
+// @access  Private (owner, assigned coach or admin)
+exports.listDocumentVersions = async (req, res) => {
+  try {
+    const { id: documentId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(documentId)) {
+      return res.status(400).json({ success: false, message: 'Invalid Document ID' });
+    }
+
+    const document = await Document.findOne({
+      _id: documentId,
+      ...(await readableFilter(req.user)),
+    }).select('-chunks -text');
+
+    if (!document) {
+      return res.status(404).json({ success: false, message: 'Document not found or access denied' });
+    }
+
+    const versions = await DocumentVersion.find({ documentId: document._id })
+      .select('-chunks -text')
+      .sort({ version: -1 });
+
+    const toVersion = (content, isCurrent) => ({
+      version: content.version || 1,
+      fileName: content.fileName,
+      format: content.format,
+      ocr: content.ocr,
+      hasFile: !!(content.storageKey || content.fileUrl),
+      isCurrent,
+      createdAt: isCurrent ? content.updatedAt || content.createdAt : content.createdAt,
+    });
+
+    res.status(200).json({
+      success: true,
+      documentId: document._id,
+      currentVersion: document.version || 1,
+      versions: [toVersion(document, true), ...versions.map(version => toVersion(version, false))],
+    });
+  } catch (error) {
+    console.error(`List document versions error for ID ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching document versions',
+    });
+  }
+};
+
+// @route   GET /api/documents/:id/versions/diff?from=&to=
+// @desc    Line diff of the text of two versions (`to` defaults to the current version)
+// @access  Private (owner, assigned coach or admin)
+exports.diffDocumentVersions = async (req, res) => {
+  try {
+    const { id: documentId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(documentId)) {
+      return res.status(400).json({ success: false, message: 'Invalid Document ID' });
+    }
+
+    const document = await Document.findOne({
+      _id: documentId,
+      ...(await readableFilter(req.user)),
+    }).select('version text chunks.text');
+
+    if (!document) {
+      return res.status(404).json({ success: false, message: 'Document not found or access denied' });
+    }
+
+    const from = parseVersion(req.query.from);
+    const to = req.query.to === undefined ? (document.version || 1) : parseVersion(req.query.to);
+    if (!from || !to) {
+      return res.status(400).json({ success: false, message: 'Provide the versions to compare as positive integers' });
+    }
+
+    const [fromContent, toContent] = await Promise.all([
+      findDocumentVersion(document, from, 'text chunks.text'),
+      findDocumentVersion(document, to, 'text chunks.text'),
+    ]);
+    if (!fromContent || !toContent) {
+      return res.status(404).json({ success: false, message: 'Version not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      from,
+      to,
+      ...diffDocumentText(fromContent, toContent),
+    });
+  } catch (error) {
+    console.error(`Diff document versions error for ID ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error comparing document versions',
+    });
+  }
+};
+
+// @route   POST /api/documents/:id/versions/:version/restore
+// @desc    Make an earlier version current again (saved as a new version)
+// @access  Private (owner or admin)
+exports.restoreDocumentVersion = async (req, res) => {
+  try {
+    const { id: documentId } = req.params;
+    const version = parseVersion(req.params.version);
+
+    if (!mongoose.Types.ObjectId.isValid(documentId)) {
+      return res.status(400).json({ success: false, message: 'Invalid Document ID' });
+    }
+    if (!version) {
+      return res.status(400).json({ success: false, message: 'Invalid version' });
+    }
+
+    const document = await Document.findOne({
+      _id: documentId,
+      ...writableFilter(req.user), // Owner (or admin)
+    });
+
+    if (!document) {
+      return res.status(404).json({ success: false, message: 'Document not found or access denied' });
+    }
+    if (version === (document.version || 1)) {
+      return res.status(400).json({ success: false, message: `Version ${version} is already the current version` });
+    }
+
+    const restored = await restoreVersion(document, version);
+    if (!restored) {
+      return res.status(404).json({ success: false, message: 'Version not found' });
+    }
+
+    console.log(`⏪ Document ${document._id}: restored version ${version} as version ${restored.version}`);
+    res.status(200).json({
+      success: true,
+      message: `Version ${version} restored as version ${restored.version}`,
+      document: {
+        id: restored._id,
+        type: restored.type,
+        fileName: restored.fileName,
+        format: restored.format,
+        ocr: restored.ocr,
+        version: restored.version,
+        updatedAt: restored.updatedAt,
+      },
+    });
+  } catch (error) {
+    console.error(`Restore document version error for ID ${req.params.id}:`, error);
+    if (isVersionConflict(error)) {
+      return res.status(409).json({ success: false, message: VERSION_CONFLICT_MESSAGE });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring document version',
+    });
+  }
+};
+
+/**
+ * Handlers to get, correct and re-extract the structured data `field` kept
+ * for documents of `type` (a resume's profile, a JD's analysis). `normalize`
+ * cleans a value into its stored shape, `build` extracts one from text (null
+ * when that fails) and `beforeSave(value, previous)` completes a corrected
+ * value before it is saved. `name` and `messages` word the responses.
+ */
+const structuredDataHandlers = ({ field, type, normalize, build, beforeSave, name, messages }) => {
+  // Shape of the value returned to the client
+  const formatResponse = (value) => value && ({
+    ...normalize(value),
+    source: value.source,
+    extractedAt: value.extractedAt,
+    editedAt: value.editedAt,
+  });
+
+  // The document of this type matching `filter`, or null once an error response is sent
+  const findDocument = async (req, res, filter, select) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      res.status(400).json({ success: false, message: 'Invalid Document ID' });
+      return null;
+    }
+
+    const document = await Document.findOne({ _id: req.params.id, ...filter }).select(select);
+
+    if (!document) {
+      res.status(404).json({ success: false, message: 'Document not found or access denied' });
+      return null;
+    }
+    if (document.type !== type) {
+      res.status(400).json({ success: false, message: messages.wrongType });
+      return null;
+    }
+    return document;
+  };
+
+  const get = async (req, res) => {
+    try {
+      const document = await findDocument(req, res, await readableFilter(req.user), `type ${field}`);
+      if (!document) return;
+
+      res.status(200).json({
+        success: true,
+        [field]: formatResponse(document[field]),
+      });
+    } catch (error) {
+      console.error(`Get ${name} error for ID ${req.params.id}:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Error fetching ${name}`,
+      });
+    }
+  };
+
+  const update = async (req, res) => {
+    try {
+      // Owner (or admin)
+      const document = await findDocument(req, res, writableFilter(req.user), `type ${field}`);
+      if (!document) return;
+
+      const value = {
+        ...normalize(req.body),
+        source: 'user',
+        extractedAt: document[field]?.extractedAt,
+        editedAt: new Date(),
+      };
+      if (beforeSave) {
+        await beforeSave(value, document[field]);
+      }
+      document[field] = value;
+      await document.save();
+
+      res.status(200).json({
+        success: true,
+        message: messages.updated,
+        [field]: formatResponse(document[field]),
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors).map(err => err.message).join('. '),
+        });
+      }
+      console.error(`Update ${name} error for ID ${req.params.id}:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Error updating ${name}`,
+      });
+    }
+  };
+
+  const extractAgain = async (req, res) => {
+    try {
+      // Owner (or admin)
+      const document = await findDocument(req, res, writableFilter(req.user), `type text chunks.text ${field}`);
+      if (!document) return;
+
+      const value = await build(document.type, documentText(document));
+      if (!value) {
+        return res.status(500).json({ success: false, message: messages.extractFailed });
+      }
+
+      document[field] = value;
+      await document.save();
+
+      res.status(200).json({
+        success: true,
+        message: messages.extracted,
+        [field]: formatResponse(document[field]),
+      });
+    } catch (error) {
+      console.error(`Extract ${name} error for ID ${req.params.id}:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Error extracting ${name}`,
+      });
+    }
+  };
+
+  return { get, update, extractAgain };
+};
+
+const resumeProfileHandlers = structuredDataHandlers({
+  field: 'resumeProfile',
+  type: 'resume',
+  normalize: normalizeResumeProfile,
+  build: buildResumeProfile,
+  name: 'resume profile',
+  messages: {
+    wrongType: 'Only resumes have a structured profile',
+    updated: 'Resume profile updated',
+    extracted: 'Resume profile extracted',
+    extractFailed: 'Could not extract a profile from this resume. Please try again later.',
+  },
+});
+
+const jdAnalysisHandlers = structuredDataHandlers({
+  field: 'jdAnalysis',
+  type: 'jd',
+  normalize: normalizeJdAnalysis,
+  build: buildJdAnalysis,
+  // Reuses the embeddings of requirements that did not change
+  beforeSave: embedRequirements,
+  name: 'job description analysis',
+  messages: {
+    wrongType: 'Only job descriptions have a requirements analysis',
+    updated: 'Job requirements updated',
+    extracted: 'Job description analyzed',
+    extractFailed: 'Could not analyze this job description. Please try again later.',
+  },
+});
+
+// @route   GET /api/documents/:id/resume-profile
+// @desc    Get the structured profile extracted from a resume
+// @access  Private (owner, assigned coach or admin)
+exports.getResumeProfile = resumeProfileHandlers.get;
+
+// @route   PUT /api/documents/:id/resume-profile
+// @desc    Correct a resume's structured profile (replaces it with the body)
+// @access  Private (owner or admin)
+exports.updateResumeProfile = resumeProfileHandlers.update;
+
+// @route   POST /api/documents/:id/resume-profile/extract
+// @desc    Extract a resume's structured profile again, discarding corrections
+//          (for resumes stored before profiles existed or whose extraction failed)
+// @access  Private (owner or admin)
+exports.extractResumeProfileAgain = resumeProfileHandlers.extractAgain;
+
+// @route   GET /api/documents/:id/jd-analysis
+// @desc    Get the requirements parsed from a job description
+// @access  Private (owner, assigned coach or admin)
+exports.getJdAnalysis = jdAnalysisHandlers.get;
+
+// @route   PUT /api/documents/:id/jd-analysis
+// @desc    Correct a job description's requirements (replaces them with the body)
+// @access  Private (owner or admin)
+exports.updateJdAnalysis = jdAnalysisHandlers.update;
+
+// @route   POST /api/documents/:id/jd-analysis/extract
+// @desc    Analyze a job description again, discarding corrections
+//          (for JDs stored before analyses existed or whose analysis failed)
+// @access  Private (owner or admin)
+exports.extractJdAnalysisAgain = jdAnalysisHandlers.extractAgain;
+
+// @route   GET /api/documents/files/:key
+// @desc    Serve a file kept by the local storage backend
+// @access  Public (requires the signed link from GET /api/documents/:id/file)
+exports.serveLocalFile = async (req, res) => {
+  const filePath = verifySignedRequest(req.params.key, req.query.expires, req.query.signature);
+
+  if (!filePath) {
+    return res.status(403).json({ success: false, message: 'Download link is invalid or has expired' });
+  }
+
+  res.download(filePath, (error) => {
+    if (error && !res.headersSent) {
+      res.status(error.code === 'ENOENT' ? 404 : 500).json({
+        success: false,
+        message: error.code === 'ENOENT' ? 'File not found' : 'Error sending file',
+      });
+    }
+  });
+};
+
 // @route   GET /api/documents/check
 // @desc    Check if user has uploaded required GLOBAL documents
 // @access  Private
@@ -401,10 +1118,11 @@ exports.checkDocuments = async (req, res) => {
      if (!userId) return res.status(401).json({ success: false, message: 'Unauthorized' });
 
     // Check specifically for GLOBAL documents (sessionId: null)
-    const documents = await Document.find({ userId: userId, sessionId: null }).select('type');
+    const documents = await Document.find({ userId: userId, sessionId: null }).select('type processing');
 
-    const hasResume = documents.some(doc => doc.type === 'resume');
-    const hasJD = documents.some(doc => doc.type === 'jd');
+    // Documents still being processed (or whose upload failed) cannot be used yet
+    const hasResume = documents.some(doc => doc.type === 'resume' && hasProcessedContent(doc));
+    const hasJD = documents.some(doc => doc.type === 'jd' && hasProcessedContent(doc));
 
     res.status(200).json({
       success: true,
@@ -424,7 +1142,7 @@ exports.checkDocuments = async (req, res) => {
 
 
 // @route   GET /api/documents/session/:sessionId
-// @desc    Get documents specifically for a given session
+// @desc    Get the documents a session uses: uploaded for it or picked from the library
 // @access  Private
 exports.getSessionDocuments = async (req, res) => {
   try {
@@ -436,14 +1154,20 @@ exports.getSessionDocuments = async (req, res) => {
         return res.status(400).json({ success: false, message: 'Invalid Session ID' });
     }
 
-    // Find documents specifically for this user and session
-    const documents = await Document.find({
-      userId: userId,
-      sessionId: sessionId,
-    }).select('-chunks -chunks.embedding'); // Exclude chunks and embeddings
+    // Find the session if the user may view it (owner, assigned coach or admin)
+    const chat = await Chat.findOne({
+      _id: sessionId,
+      ...(await readableFilter(req.user)),
+    }).select('userId resumeDocumentId jdDocumentId');
+
+    if (!chat) {
+      return res.status(404).json({ success: false, message: 'Session not found or access denied' });
+    }
 
-    const hasResume = documents.some(doc => doc.type === 'resume');
-    const hasJD = documents.some(doc => doc.type === 'jd');
+    const { resume, jd, documents } = await findSessionDocuments(chat, '-chunks -text'); // Exclude chunks, embeddings and the full text
+
+    const hasResume = !!resume && hasProcessedContent(resume);
+    const hasJD = !!jd && hasProcessedContent(jd);
 
     res.status(200).json({
       success: true,
@@ -453,6 +1177,15 @@ exports.getSessionDocuments = async (req, res) => {
         type: doc.type,
         fileName: doc.fileName,
         fileUrl: doc.fileUrl,
+        hasFile: !!(doc.storageKey || doc.fileUrl),
+        format: doc.format,
+        ocr: doc.ocr,
+        version: doc.version,
+        hasResumeProfile: !!doc.resumeProfile,
+        hasJdAnalysis: !!doc.jdAnalysis,
+        hasContent: hasProcessedContent(doc),
+        processing: processingStatus(doc),
+        fromLibrary: !doc.sessionId, // Picked from the library rather than uploaded for this session
         createdAt: doc.createdAt,
       })),
       // Stats for *this specific session*
@@ -471,6 +1204,118 @@ exports.getSessionDocuments = async (req, res) => {
   }
 };
 
+// @route   GET /api/documents/session/:sessionId/match
+// @desc    Compare the session's resume with its job description: requirement
+//          coverage with evidence, skill overlap, gaps and a match score
+// @access  Private (owner, assigned coach or admin)
+exports.getSessionMatch = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({ success: false, message: 'Invalid Session ID' });
+    }
+
+    const chat = await Chat.findOne({
+      _id: sessionId,
+      ...(await readableFilter(req.user)),
+    }).select('userId resumeDocumentId jdDocumentId');
+
+    if (!chat) {
+      return res.status(404).json({ success: false, message: 'Session not found or access denied' });
+    }
+
+    const { resume, jd } = await findSessionDocuments(
+      chat,
+      'type sessionId fileName version resumeProfile jdAnalysis chunks processing'
+    );
+
+    if (!resume || !jd) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please ensure both resume and job description are uploaded or selected for this session',
+      });
+    }
+    // Documents whose upload is still being processed have no text yet
+    const unprocessed = [resume, jd].filter(doc => !hasProcessedContent(doc));
+    if (unprocessed.length > 0) {
+      return res.status(409).json({
+        success: false,
+        code: 'DOCUMENTS_PROCESSING',
+        message: unprocessed.some(doc => doc.processing.status === 'failed')
+          ? 'An uploaded document could not be processed. Please upload it again.'
+          : 'Your documents are still being processed. Please try again in a moment.',
+      });
+    }
+    if (!jd.jdAnalysis && ACTIVE_STATUSES.includes(jd.processing?.status)) {
+      // A new version of a JD without an analysis: it gets one when processed
+      return res.status(409).json({
+        success: false,
+        code: 'DOCUMENTS_PROCESSING',
+        message: 'Your documents are still being processed. Please try again in a moment.',
+      });
+    }
+    if (!jd.jdAnalysis) {
+      return res.status(400).json({
+        success: false,
+        code: 'JD_NOT_ANALYZED',
+        message: 'The job description has not been analyzed yet. Analyze it from the Upload page, then try again.',
+      });
+    }
+
+    // Analyses stored before requirements were embedded are embedded once, by
+    // the JD's owner (or an admin); coaches wait for that rather than spend
+    // AI calls on, and write to, a document that is not theirs
+    if (countUnembeddedRequirements(jd.jdAnalysis) > 0) {
+      if (!(await Document.exists({ _id: jd._id, ...writableFilter(req.user) }))) {
+        return res.status(409).json({
+          success: false,
+          code: 'JD_NOT_EMBEDDED',
+          message: "This job description's requirements are not prepared for matching yet. They are prepared when the candidate opens this report.",
+        });
+      }
+
+      if (await embedRequirements(jd.jdAnalysis) > 0) {
+        // Only onto the version they were embedded for: a new version may have replaced it meanwhile
+        await Document.updateOne(
+          { _id: jd._id, version: jd.version },
+          {
+            'jdAnalysis.mustHaveSkills': jd.jdAnalysis.mustHaveSkills,
+            'jdAnalysis.niceToHaveSkills': jd.jdAnalysis.niceToHaveSkills,
+          }
+        );
+      }
+    }
+
+    console.log(`📊 Building match report for session ${sessionId}`);
+    const report = buildMatchReport(resume, jd.jdAnalysis);
+
+    res.status(200).json({
+      success: true,
+      resume: {
+        id: resume._id,
+        fileName: resume.fileName,
+        version: resume.version,
+        hasResumeProfile: !!resume.resumeProfile,
+      },
+      jd: {
+        id: jd._id,
+        fileName: jd.fileName,
+        title: jd.jdAnalysis.title,
+        seniority: jd.jdAnalysis.seniority,
+        domain: jd.jdAnalysis.domain,
+      },
+      ...report,
+    });
+  } catch (error) {
+    console.error(`Match report error for session ${req.params.sessionId}:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building match report',
+    });
+  }
+};
+
 // --- uploadForSession is technically redundant if uploadDocument handles sessionId ---
 // --- Keeping it here for reference or if you decide to use the separate route ---
 // @route   POST /api/documents/upload-for-session (UNUSED if frontend calls /upload)
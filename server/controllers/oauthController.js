@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { getProvider, listProviders } = require('../config/oauth');
+const { createPkcePair, buildAuthorizationUrl, exchangeCode, fetchProfile } = require('../utils/oauth');
+const { generateRandomToken } = require('../utils/tokens');
+const { generateTwoFactorChallenge, startLoginSession } = require('../utils/authTokens');
+const { recordAuditEvent } = require('../utils/audit');
+
+const STATE_COOKIE_NAME = 'oauthState';
+const STATE_TTL_MINUTES = 10;
+
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:5173';
+
+// The state cookie only needs to reach the callback route. It must survive the
+// top-level redirect back from the provider, hence sameSite lax.
+const stateCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  path: '/api/auth/oauth'
+});
+
+// Send the browser back to the login page with an error code it can display
+const redirectWithError = (res, code) => {
+  res.redirect(`${clientUrl()}/login?oauthError=${encodeURIComponent(code)}`);
+};
+
+// Find the user for an external identity: by linked identity first, then by
+// provider-verified email (linking it to an account whose email is verified
+// too), otherwise create a new account.
+// Returns { user } or { error } with an error code for the client.
+const findOrCreateOAuthUser = async (req, provider, profile) => {
+  const identity = { provider: provider.id, subject: profile.subject };
+
+  let user = await User.findOne({ oauthIdentities: { $elemMatch: identity } })
+    .select('+failedLoginAttempts +lockUntil');
+  if (user) {
+    return { user };
+  }
+
+  // Never link or create an account from an email the provider has not verified
+  if (!profile.email || !profile.emailVerified) {
+    return { error: 'email_not_verified' };
+  }
+
+  user = await User.findOne({ email: profile.email })
+    .select('+failedLoginAttempts +lockUntil');
+
+  if (user) {
+    // Anyone can register an address they do not own: linking such an account
+    // would hand its owner one whose password the registrant still knows
+    if (!user.emailVerified) {
+      return { error: 'account_not_verified' };
+    }
+
+    user.oauthIdentities.push({ ...identity, email: profile.email });
+    await user.save({ validateBeforeSave: false });
+
+    await recordAuditEvent(req, 'oauth_identity_linked', {
+      userId: user._id,
+      metadata: { provider: provider.id }
+    });
+    return { user };
+  }
+
+  // New account; the random password can be replaced via "forgot password"
+  user = await User.create({
+    email: profile.email,
+    password: generateRandomToken(32),
+    hasPassword: false,
+    emailVerified: true,
+    oauthIdentities: [{ ...identity, email: profile.email }]
+  });
+
+  await recordAuditEvent(req, 'oauth_signup', {
+    userId: user._id,
+    metadata: { provider: provider.id }
+  });
+  return { user };
+};
+
+// @route   GET /api/auth/oauth/providers
+// @desc    List the configured sign-in providers
+// @access  Public
+exports.getProviders = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    providers: listProviders()
+  });
+};
+
+// @route   GET /api/auth/oauth/:provider
+// @desc    Start the authorization code + PKCE flow (redirects to the provider)
+// @access  Public
+exports.startOAuth = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+
+    if (!provider) {
+      return redirectWithError(res, 'unknown_provider');
+    }
+
+    const { codeVerifier, codeChallenge } = createPkcePair();
+    const state = crypto.randomBytes(16).toString('hex');
+
+    // State and verifier travel in a signed, short-lived cookie
+    const stateToken = jwt.sign(
+      { purpose: 'oauth_state', provider: provider.id, state, codeVerifier },
+      process.env.JWT_SECRET,
+      { expiresIn: `${STATE_TTL_MINUTES}m` }
+    );
+
+    res.cookie(STATE_COOKIE_NAME, stateToken, {
+      ...stateCookieOptions(),
+      maxAge: STATE_TTL_MINUTES * 60 * 1000
+    });
+
+    res.redirect(await buildAuthorizationUrl(provider, { state, codeChallenge }));
+  } catch (error) {
+    console.error('OAuth start error:', error);
+    redirectWithError(res, 'provider_error');
+  }
+};
+
+// @route   GET /api/auth/oauth/:provider/callback
+// @desc    Finish the provider sign-in, then redirect to the client
+// @access  Public (requires the state cookie set by /oauth/:provider)
+exports.oauthCallback = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    const stateToken = req.cookies?.[STATE_COOKIE_NAME];
+    res.clearCookie(STATE_COOKIE_NAME, stateCookieOptions());
+
+    if (!provider) {
+      return redirectWithError(res, 'unknown_provider');
+    }
+
+    if (req.query.error) {
+      return redirectWithError(res, 'access_denied');
+    }
+
+    let stored;
+    try {
+      stored = jwt.verify(stateToken, process.env.JWT_SECRET);
+    } catch (error) {
+      stored = null;
+    }
+
+    if (
+      !stored ||
+      stored.purpose !== 'oauth_state' ||
+      stored.provider !== provider.id ||
+      !req.query.code ||
+      req.query.state !== stored.state
+    ) {
+      return redirectWithError(res, 'invalid_state');
+    }
+
+    const tokens = await exchangeCode(provider, req.query.code, stored.codeVerifier);
+    const profile = await fetchProfile(provider, tokens.access_token);
+
+    const { user, error } = await findOrCreateOAuthUser(req, provider, profile);
+    if (error) {
+      return redirectWithError(res, error);
+    }
+
+    if (user.isLocked()) {
+      return redirectWithError(res, 'account_locked');
+    }
+
+    // Second factor still required: hand the challenge to the login page
+    // (in the fragment, so it is not sent to servers or leaked via Referer)
+    if (user.twoFactorEnabled) {
+      const challengeToken = generateTwoFactorChallenge(user._id);
+      return res.redirect(`${clientUrl()}/login#challenge=${challengeToken}`);
+    }
+
+    if (user.failedLoginAttempts > 0 || user.lockUntil) {
+      user.resetLoginAttempts();
+      await user.save({ validateBeforeSave: false });
+    }
+
+    // The client exchanges the refresh cookie for an access token
+    await startLoginSession(req, res, user._id, `oauth:${provider.id}`);
+
+    await recordAuditEvent(req, 'oauth_login', {
+      userId: user._id,
+      metadata: { provider: provider.id }
+    });
+
+    res.redirect(`${clientUrl()}/oauth/callback`);
+  } catch (error) {
+    console.error('OAuth callback error:', error);
+    redirectWithError(res, 'provider_error');
+  }
+};
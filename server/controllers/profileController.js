@@ -0,0 +1,95 @@
+const User = require('../models/User');
+
+const PROFILE_LIST_FIELDS = ['stack', 'industries', 'weakAreas'];
+
+// Shape of the candidate profile returned to the client
+const formatProfile = (profile = {}) => ({
+  targetRole: profile.targetRole || '',
+  level: profile.level || '',
+  yearsOfExperience: profile.yearsOfExperience ?? null,
+  stack: profile.stack || [],
+  industries: profile.industries || [],
+  weakAreas: profile.weakAreas || [],
+});
+
+// Accept an array or a comma separated string; trim and drop empty/duplicate entries
+const normalizeList = (value) => {
+  const items = Array.isArray(value) ? value : String(value || '').split(',');
+  const seen = new Set();
+
+  return items
+    .map(item => String(item).trim())
+    .filter(item => {
+      const key = item.toLowerCase();
+      if (!item || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+// @route   GET /api/users/me/profile
+// @desc    Get the current user's candidate profile
+// @access  Private
+exports.getProfile = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      profile: formatProfile(req.user.profile),
+    });
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching profile',
+    });
+  }
+};
+
+// @route   PUT /api/users/me/profile
+// @desc    Update the current user's candidate profile (only the fields sent)
+// @access  Private
+exports.updateProfile = async (req, res) => {
+  try {
+    const { targetRole, level, yearsOfExperience } = req.body;
+    const user = await User.findById(req.user._id);
+
+    if (targetRole !== undefined) {
+      user.profile.targetRole = String(targetRole || '').trim() || undefined;
+    }
+    if (level !== undefined) {
+      user.profile.level = level || undefined;
+    }
+    if (yearsOfExperience !== undefined) {
+      const years = yearsOfExperience === null || yearsOfExperience === '' ? undefined : Number(yearsOfExperience);
+      if (years !== undefined && !Number.isFinite(years)) {
+        return res.status(400).json({ success: false, message: 'Years of experience must be a number' });
+      }
+      user.profile.yearsOfExperience = years;
+    }
+    PROFILE_LIST_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        user.profile[field] = normalizeList(req.body[field]);
+      }
+    });
+
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile updated',
+      profile: formatProfile(user.profile),
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join('. '),
+      });
+    }
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating profile',
+    });
+  }
+};
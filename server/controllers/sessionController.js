@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const LoginSession = require('../models/LoginSession');
+const { revokeLoginSessions } = require('../utils/authTokens');
+const { recordAuditEvent } = require('../utils/audit');
+
+// Shape of a signed-in device returned to the client
+const formatLoginSession = (session, currentSessionId) => ({
+  id: session._id,
+  device: session.device,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  method: session.method,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  current: !!currentSessionId && session._id.equals(currentSessionId)
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's signed-in devices
+// @access  Private
+exports.listLoginSessions = async (req, res) => {
+  try {
+    const sessions = await LoginSession.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      sessions: sessions.map(session => formatLoginSession(session, req.sessionId))
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching signed-in devices'
+    });
+  }
+};
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one device
+// @access  Private
+exports.revokeLoginSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid session ID' });
+    }
+
+    const revoked = await revokeLoginSessions({ _id: id, userId: req.user._id });
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await recordAuditEvent(req, 'session_revoked', {
+      userId: req.user._id,
+      metadata: { sessionId: id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Device signed out'
+    });
+  } catch (error) {
+    console.error(`Revoke session error for ID ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error signing out device'
+    });
+  }
+};
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out every device except the current one
+// @access  Private
+exports.revokeOtherLoginSessions = async (req, res) => {
+  try {
+    const filter = { userId: req.user._id };
+    if (req.sessionId) {
+      filter._id = { $ne: req.sessionId };
+    }
+
+    const revoked = await revokeLoginSessions(filter);
+
+    await recordAuditEvent(req, 'sessions_revoked', {
+      userId: req.user._id,
+      metadata: { count: revoked }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Signed out ${revoked} other device${revoked === 1 ? '' : 's'}`,
+      revoked
+    });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error signing out other devices'
+    });
+  }
+};
@@ -0,0 +1,204 @@
+const User = require('../models/User');
+const { generateSecret, buildEnrollment, verifyTotp, generateBackupCodes } = require('../utils/twoFactor');
+const { encrypt, decrypt } = require('../utils/encryption');
+const { verifyReauthentication, REAUTH_FIELDS } = require('../utils/reauth');
+const { recordAuditEvent } = require('../utils/audit');
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrollment: create a pending secret and return its otpauth URI/QR
+// @access  Private
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = encrypt(secret);
+    await user.save({ validateBeforeSave: false });
+
+    const { otpauthUrl, qrCode } = await buildEnrollment(user.email, secret);
+
+    res.status(200).json({
+      success: true,
+      otpauthUrl,
+      qrCode,
+      secret // For manual entry in authenticator apps
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting two-factor setup'
+    });
+  }
+};
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code from the authenticator app; returns backup codes once
+// @access  Private
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = verifyTotp(decrypt(user.twoFactorPendingSecret), code);
+
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+
+    user.twoFactorEnabled = true;
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorBackupCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+
+    await recordAuditEvent(req, '2fa_enabled', { userId: user._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      backupCodes: codes
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error enabling two-factor authentication'
+    });
+  }
+};
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn 2FA off (requires password and a current code)
+// @access  Private
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findById(req.user._id).select(REAUTH_FIELDS);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const verificationError = await verifyReauthentication(user, password, code, req.sessionId);
+    if (verificationError) {
+      return res.status(400).json({
+        success: false,
+        message: verificationError
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorLastUsedStep = undefined;
+    user.twoFactorBackupCodes = [];
+    await user.save({ validateBeforeSave: false });
+
+    await recordAuditEvent(req, '2fa_disabled', { userId: user._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling two-factor authentication'
+    });
+  }
+};
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Replace all backup codes (requires password and a current code)
+// @access  Private
+exports.regenerateBackupCodes = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findById(req.user._id).select(REAUTH_FIELDS);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const verificationError = await verifyReauthentication(user, password, code, req.sessionId);
+    if (verificationError) {
+      return res.status(400).json({
+        success: false,
+        message: verificationError
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactorBackupCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+
+    await recordAuditEvent(req, '2fa_backup_codes_regenerated', { userId: user._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'New backup codes generated',
+      backupCodes: codes
+    });
+  } catch (error) {
+    console.error('2FA backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating backup codes'
+    });
+  }
+};
+
+// @route   GET /api/auth/2fa/status
+// @desc    Whether 2FA is enabled and how many backup codes remain
+// @access  Private
+exports.getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorBackupCodes');
+
+    res.status(200).json({
+      success: true,
+      enabled: user.twoFactorEnabled,
+      backupCodesRemaining: user.twoFactorEnabled ? user.twoFactorBackupCodes.length : 0
+    });
+  } catch (error) {
+    console.error('2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching two-factor status'
+    });
+  }
+};
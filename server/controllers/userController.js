@@ -0,0 +1,179 @@
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+const mongoose = require('mongoose');
+const { getAssignedCandidateIds } = require('../utils/access');
+
+// Shape of a user as seen by admins and coaches
+const formatManagedUser = (user) => ({
+  id: user._id,
+  email: user.email,
+  role: user.role,
+  emailVerified: user.emailVerified,
+  coaches: user.coaches,
+  createdAt: user.createdAt,
+});
+
+// @route   GET /api/users
+// @desc    List all users
+// @access  Private (admin)
+exports.listUsers = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.role) {
+      if (!User.ROLES.includes(req.query.role)) {
+        return res.status(400).json({ success: false, message: `Role must be one of: ${User.ROLES.join(', ')}` });
+      }
+      filter.role = req.query.role;
+    }
+
+    const users = await User.find(filter).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      users: users.map(formatManagedUser),
+    });
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching users',
+    });
+  }
+};
+
+// @route   PATCH /api/users/:id/role
+// @desc    Change a user's role
+// @access  Private (admin)
+exports.updateUserRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid User ID' });
+    }
+    if (!User.ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `Role must be one of: ${User.ROLES.join(', ')}` });
+    }
+    if (req.user._id.equals(id) && role !== 'admin') {
+      return res.status(400).json({ success: false, message: 'You cannot remove your own admin role' });
+    }
+
+    const user = await User.findByIdAndUpdate(id, { role }, { new: true, runValidators: true });
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    // A user who is no longer a coach loses access to their candidates
+    if (role !== 'coach') {
+      await User.updateMany({ coaches: user._id }, { $pull: { coaches: user._id } });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Role updated to '${role}'`,
+      user: formatManagedUser(user),
+    });
+  } catch (error) {
+    console.error(`Update role error for user ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating user role',
+    });
+  }
+};
+
+// @route   PUT /api/users/:id/coaches
+// @desc    Replace the coaches assigned to a candidate
+// @access  Private (admin)
+exports.setCandidateCoaches = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { coachIds } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid User ID' });
+    }
+    if (!Array.isArray(coachIds) || !coachIds.every(coachId => mongoose.Types.ObjectId.isValid(coachId))) {
+      return res.status(400).json({ success: false, message: 'coachIds must be an array of user IDs' });
+    }
+
+    const uniqueCoachIds = [...new Set(coachIds.map(String))];
+    const coachCount = await User.countDocuments({ _id: { $in: uniqueCoachIds }, role: 'coach' });
+
+    if (coachCount !== uniqueCoachIds.length) {
+      return res.status(400).json({ success: false, message: 'Every assigned user must have the coach role' });
+    }
+
+    const candidate = await User.findOneAndUpdate(
+      { _id: id, role: 'candidate' },
+      { coaches: uniqueCoachIds },
+      { new: true }
+    );
+
+    if (!candidate) {
+      return res.status(404).json({ success: false, message: 'Candidate not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Coaches updated',
+      user: formatManagedUser(candidate),
+    });
+  } catch (error) {
+    console.error(`Set coaches error for user ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error assigning coaches',
+    });
+  }
+};
+
+// @route   GET /api/users/candidates
+// @desc    List candidates assigned to the requesting coach, with session stats
+// @access  Private (coach, admin)
+exports.listCandidates = async (req, res) => {
+  try {
+    const candidateFilter = req.user.role === 'admin'
+      ? { role: 'candidate' }
+      : { _id: { $in: await getAssignedCandidateIds(req.user._id) } };
+
+    const candidates = await User.find(candidateFilter).sort({ email: 1 });
+
+    // Session counts per candidate in a single aggregation
+    const stats = await Chat.aggregate([
+      { $match: { userId: { $in: candidates.map(c => c._id) } } },
+      {
+        $group: {
+          _id: '$userId',
+          totalSessions: { $sum: 1 },
+          completedSessions: { $sum: { $cond: ['$isCompleted', 1, 0] } },
+          averageScore: { $avg: '$finalScore' },
+        },
+      },
+    ]);
+    const statsByUser = new Map(stats.map(s => [String(s._id), s]));
+
+    res.status(200).json({
+      success: true,
+      candidates: candidates.map(candidate => {
+        const candidateStats = statsByUser.get(String(candidate._id));
+        return {
+          ...formatManagedUser(candidate),
+          totalSessions: candidateStats?.totalSessions || 0,
+          completedSessions: candidateStats?.completedSessions || 0,
+          averageScore: typeof candidateStats?.averageScore === 'number'
+            ? parseFloat(candidateStats.averageScore.toFixed(1))
+            : null,
+        };
+      }),
+    });
+  } catch (error) {
+    console.error('List candidates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching candidates',
+    });
+  }
+};
@@ -1,6 +1,64 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const ApiToken = require('../models/ApiToken');
+const LoginSession = require('../models/LoginSession');
+const { hashToken } = require('../utils/tokens');
 
+// Routers that accept personal API tokens; account and admin routes stay session-only
+const API_TOKEN_ROUTES = ['/api/chat', '/api/documents'];
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+// Only record last-used/last-seen times once per interval to avoid a write on every request
+const USAGE_UPDATE_INTERVAL_MS = 60 * 1000;
+
+// Authenticate with a personal API token ("iap_..."). Sends the error
+// response itself; calls next() on success.
+const authenticateApiToken = async (req, res, next, token) => {
+  if (!API_TOKEN_ROUTES.includes(req.baseUrl)) {
+    return res.status(403).json({
+      success: false,
+      message: 'API tokens cannot be used for this route'
+    });
+  }
+
+  const apiToken = await ApiToken.findOne({
+    tokenHash: hashToken(token),
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (!apiToken) {
+    return res.status(401).json({
+      success: false,
+      message: 'Token is invalid or expired'
+    });
+  }
+
+  const requiredScope = READ_METHODS.includes(req.method) ? 'read' : 'write';
+  if (!apiToken.scopes.includes(requiredScope)) {
+    return res.status(403).json({
+      success: false,
+      code: 'INSUFFICIENT_SCOPE',
+      message: `This API token does not have the '${requiredScope}' scope`
+    });
+  }
+
+  req.user = await User.findById(apiToken.userId);
+
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  if (!apiToken.lastUsedAt || Date.now() - apiToken.lastUsedAt.getTime() > USAGE_UPDATE_INTERVAL_MS) {
+    await ApiToken.updateOne({ _id: apiToken._id }, { lastUsedAt: new Date(), lastUsedIp: req.ip });
+  }
+
+  req.apiToken = apiToken;
+  next();
+};
+
+// Accepts either a JWT access token or a personal API token
 exports.protect = async (req, res, next) => {
   try {
     let token;
@@ -17,9 +75,40 @@ exports.protect = async (req, res, next) => {
       });
     }
 
+    if (token.startsWith(ApiToken.TOKEN_PREFIX)) {
+      return await authenticateApiToken(req, res, next, token);
+    }
+
     try {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Purpose-bound tokens (e.g. the 2FA login challenge) are not access tokens
+      if (decoded.purpose) {
+        return res.status(401).json({
+          success: false,
+          message: 'Token is invalid or expired'
+        });
+      }
+
+      // Access tokens are bound to a login session, which may have been signed out
+      if (decoded.sid) {
+        const session = await LoginSession.findById(decoded.sid);
+
+        if (!session || session.revokedAt) {
+          return res.status(401).json({
+            success: false,
+            code: 'SESSION_REVOKED',
+            message: 'This login has been signed out'
+          });
+        }
+
+        if (Date.now() - session.lastSeenAt.getTime() > USAGE_UPDATE_INTERVAL_MS) {
+          await LoginSession.updateOne({ _id: session._id }, { lastSeenAt: new Date(), ip: req.ip });
+        }
+
+        req.sessionId = session._id;
+      }
       
       // Get user from token
       req.user = await User.findById(decoded.id);
@@ -44,4 +133,34 @@ exports.protect = async (req, res, next) => {
       message: 'Server error in authentication'
     });
   }
-};
\ No newline at end of file
+};
+
+// Restrict a route to the given roles (use after protect)
+exports.authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: `Role '${req.user?.role}' is not authorized to access this route`
+    });
+  }
+
+  next();
+};
+
+// Require a verified email address (use after protect).
+// Gates routes that consume AI quota (question generation, evaluation, embeddings).
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === 'false') {
+    return next();
+  }
+
+  if (!req.user?.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      code: 'EMAIL_NOT_VERIFIED',
+      message: 'Please verify your email address to use this feature'
+    });
+  }
+
+  next();
+};
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Raw tokens look like "iap_<hex>" so protect can tell them apart from JWTs
+const TOKEN_PREFIX = 'iap_';
+const SCOPES = ['read', 'write'];
+
+const apiTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the raw token, to help users recognise it
+  tokenPreview: {
+    type: String,
+    required: true
+  },
+  // read: GET requests only; write: everything else
+  scopes: {
+    type: [{ type: String, enum: SCOPES }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+apiTokenSchema.index({ userId: 1, createdAt: -1 });
+// Let MongoDB purge expired tokens automatically
+apiTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+apiTokenSchema.statics.TOKEN_PREFIX = TOKEN_PREFIX;
+apiTokenSchema.statics.SCOPES = SCOPES;
+
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
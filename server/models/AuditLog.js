@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ userId: 1, createdAt: -1 });
+auditLogSchema.index({ event: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
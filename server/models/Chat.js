@@ -18,6 +18,27 @@ const chatSchema = new mongoose.Schema({
     min: 2,
     max: 10
   },
+  // Library documents (sessionId: null) this session uses instead of
+  // documents uploaded for it
+  resumeDocumentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    default: null
+  },
+  jdDocumentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    default: null
+  },
+  // The resume version the questions were generated from; answers are
+  // evaluated against it even after the resume gets a new version
+  resumeVersion: {
+    documentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Document'
+    },
+    version: Number
+  },
   messages: [{
     role: {
       type: String,
@@ -129,4 +150,8 @@ chatSchema.methods.calculateFinalScores = function() {
   console.log(`   - Based on ${scoredMessages.length} questions`);
 };
 
+// Looked up before deleting a library document
+chatSchema.index({ resumeDocumentId: 1 });
+chatSchema.index({ jdDocumentId: 1 });
+
 module.exports = mongoose.model('Chat', chatSchema);
\ No newline at end of file
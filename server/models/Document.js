@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const resumeProfileSchema = require('./resumeProfileSchema');
+const jdAnalysisSchema = require('./jdAnalysisSchema');
+const chunkSchema = require('./chunkSchema');
+const processingSchema = require('./processingSchema');
 
 const documentSchema = new mongoose.Schema({
   userId: {
@@ -16,31 +20,84 @@ const documentSchema = new mongoose.Schema({
     enum: ['resume', 'jd'],
     required: true
   },
+  // Public delivery URL; null for private storage backends and for pasted text
   fileUrl: {
     type: String,
-    required: true
+    default: null
+  },
+  // Where the original file is kept (see utils/storage); unset for pasted text
+  storageProvider: {
+    type: String,
+    enum: ['cloudinary', 'local', 's3']
+  },
+  storageKey: {
+    type: String
   },
   fileName: {
     type: String,
     required: true
   },
-  chunks: [{
-    text: {
-      type: String,
-      required: true
-    },
-    embedding: {
-      type: [Number],
-      required: true
-    }
-  }],
+  // Detected from the file content; documents uploaded before other formats were supported are PDFs
+  format: {
+    type: String,
+    enum: ['pdf', 'docx', 'txt', 'md', 'html'],
+    default: 'pdf'
+  },
+  // Set when the text came from OCR of a scanned PDF; confidence is Tesseract's mean (0-100)
+  ocr: {
+    used: { type: Boolean, default: false },
+    confidence: { type: Number, min: 0, max: 100 },
+    pages: Number
+  },
+  // SHA-256 of the uploaded file's bytes: an identical upload reuses this content
+  // (see utils/documentDedup). Unset for pasted text and older uploads.
+  contentHash: {
+    type: String
+  },
+  // Full extracted text, kept for version diffs (chunk text loses line breaks).
+  // Documents stored before versioning only have their chunks.
+  text: {
+    type: String
+  },
+  // Incremented each time the document is replaced; earlier versions are DocumentVersions
+  version: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Experience, education, skills and projects extracted from a resume; null for JDs
+  resumeProfile: {
+    type: resumeProfileSchema,
+    default: null
+  },
+  // Skills, seniority, responsibilities and domain parsed from a JD; null for resumes
+  jdAnalysis: {
+    type: jdAnalysisSchema,
+    default: null
+  },
+  chunks: [chunkSchema],
+  // Status of the latest upload, extracted and embedded by the document worker
+  processing: {
+    type: processingSchema,
+    default: () => ({})
+  },
   createdAt: {
     type: Date,
     default: Date.now
+  },
+  // When the current version was uploaded
+  updatedAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
 // Index for faster queries
 documentSchema.index({ userId: 1, type: 1, sessionId: 1 });
+// Looking up content and embeddings to reuse
+documentSchema.index({ userId: 1, contentHash: 1 });
+documentSchema.index({ userId: 1, 'chunks.textHash': 1 });
+// The document worker's queue
+documentSchema.index({ 'processing.status': 1, 'processing.runAt': 1 });
 
 module.exports = mongoose.model('Document', documentSchema);
\ No newline at end of file
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const resumeProfileSchema = require('./resumeProfileSchema');
+const jdAnalysisSchema = require('./jdAnalysisSchema');
+const chunkSchema = require('./chunkSchema');
+
+// A superseded version of a Document: a copy of its content as it was
+// before being replaced by a new upload or a restore
+const documentVersionSchema = new mongoose.Schema({
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  fileUrl: {
+    type: String,
+    default: null
+  },
+  // A restored version shares its stored file with the version it came from
+  storageProvider: {
+    type: String,
+    enum: ['cloudinary', 'local', 's3']
+  },
+  storageKey: {
+    type: String
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['pdf', 'docx', 'txt', 'md', 'html'],
+    default: 'pdf'
+  },
+  ocr: {
+    used: { type: Boolean, default: false },
+    confidence: { type: Number, min: 0, max: 100 },
+    pages: Number
+  },
+  contentHash: {
+    type: String
+  },
+  text: {
+    type: String
+  },
+  resumeProfile: {
+    type: resumeProfileSchema,
+    default: null
+  },
+  jdAnalysis: {
+    type: jdAnalysisSchema,
+    default: null
+  },
+  chunks: [chunkSchema],
+  // When this version was uploaded, and when it stopped being current
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  supersededAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+documentVersionSchema.index({ documentId: 1, version: -1 }, { unique: true });
+documentVersionSchema.index({ userId: 1, contentHash: 1 });
+documentVersionSchema.index({ userId: 1, 'chunks.textHash': 1 });
+
+module.exports = mongoose.model('DocumentVersion', documentVersionSchema);
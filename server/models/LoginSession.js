@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// One signed-in device/browser. Its _id is the family id of the refresh
+// tokens rotated from that login, and the `sid` claim of its access tokens.
+const loginSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // How the login was established: password, 2fa, signup, oauth:<provider>
+  method: {
+    type: String,
+    required: true
+  },
+  // Human-readable label derived from the user agent, e.g. "Chrome on macOS"
+  device: {
+    type: String,
+    default: 'Unknown device'
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Follows the latest refresh token's expiry
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+loginSessionSchema.index({ userId: 1, revokedAt: 1 });
+// Let MongoDB purge expired sessions automatically
+loginSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginSession', loginSessionSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Consecutive failed logins from one IP address for one email address,
+// counted whether or not an account has that email (see utils/loginThrottle)
+const loginThrottleSchema = new mongoose.Schema({
+  // Hash of the IP address and email, so addresses without accounts are not stored
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailedAt: {
+    type: Date,
+    required: true
+  },
+  // Failures are forgotten once none has followed for a while
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB purge forgotten failures automatically
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -1,5 +1,44 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+
+const PASSWORD_RESET_EXPIRE_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 60;
+const EMAIL_VERIFICATION_EXPIRE_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS, 10) || 24;
+const ROLES = ['candidate', 'coach', 'admin'];
+const PROFILE_LEVELS = ['intern', 'junior', 'mid', 'senior', 'lead', 'principal'];
+const PROFILE_LIST_MAX_ITEMS = 20;
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const LOGIN_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
+
+// Short free-text tags (stack, industries, weak areas)
+const tagList = {
+  type: [{ type: String, trim: true, maxlength: [50, 'Each entry cannot exceed 50 characters'] }],
+  validate: {
+    validator: (items) => items.length <= PROFILE_LIST_MAX_ITEMS,
+    message: `Cannot list more than ${PROFILE_LIST_MAX_ITEMS} entries`
+  }
+};
+
+// Candidate profile used to personalise question generation and evaluation
+const profileSchema = new mongoose.Schema({
+  targetRole: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Target role cannot exceed 100 characters']
+  },
+  level: {
+    type: String,
+    enum: PROFILE_LEVELS
+  },
+  yearsOfExperience: {
+    type: Number,
+    min: [0, 'Years of experience cannot be negative'],
+    max: [60, 'Years of experience cannot exceed 60']
+  },
+  stack: tagList,
+  industries: tagList,
+  weakAreas: tagList
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -16,12 +55,119 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters'],
     select: false
   },
+  // False for accounts created through OAuth (their password is random) until
+  // a password is set with "forgot password"
+  hasPassword: {
+    type: Boolean,
+    default: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'candidate'
+  },
+  // Coaches allowed to view this candidate's sessions
+  coaches: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  // Last time a verification email was sent (used to throttle resends)
+  verificationEmailSentAt: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // TOTP two-factor authentication
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  // Encrypted at rest (utils/encryption)
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret generated by /2fa/setup, promoted to twoFactorSecret once confirmed
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // Last accepted TOTP time step, so a code cannot be replayed
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  // Hashed single-use backup codes
+  twoFactorBackupCodes: {
+    type: [String],
+    select: false
+  },
+  // Brute-force protection: failures counted while each follows the previous
+  // one within LOGIN_LOCK_MINUTES
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    select: false
+  },
+  lockUntil: {
+    type: Date,
+    select: false
+  },
+  unlockToken: {
+    type: String,
+    select: false
+  },
+  unlockTokenExpires: {
+    type: Date,
+    select: false
+  },
+  profile: {
+    type: profileSchema,
+    default: () => ({})
+  },
+  // External sign-in identities (OAuth / OpenID Connect)
+  oauthIdentities: [{
+    _id: false,
+    provider: { type: String, required: true },
+    subject: { type: String, required: true },
+    email: String,
+    linkedAt: { type: Date, default: Date.now }
+  }],
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+userSchema.index({ coaches: 1 });
+userSchema.index(
+  { 'oauthIdentities.provider': 1, 'oauthIdentities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'oauthIdentities.subject': { $exists: true } } }
+);
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
@@ -42,4 +188,57 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Create a single-use password reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = generateRandomToken(32);
+
+  this.passwordResetToken = hashToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_EXPIRE_MINUTES * 60 * 1000);
+
+  return resetToken;
+};
+
+// Create an email verification token; only its hash is stored
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = generateRandomToken(32);
+
+  this.emailVerificationToken = hashToken(verificationToken);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_EXPIRE_HOURS * 60 * 60 * 1000);
+  this.verificationEmailSentAt = new Date();
+
+  return verificationToken;
+};
+
+// Whether the account is currently locked out
+userSchema.methods.isLocked = function() {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Lock the account and create a single-use unlock token; only its hash is stored
+userSchema.methods.lockAccount = function() {
+  const unlockToken = generateRandomToken(32);
+
+  this.lockUntil = new Date(Date.now() + LOGIN_LOCK_MINUTES * 60 * 1000);
+  this.unlockToken = hashToken(unlockToken);
+  this.unlockTokenExpires = this.lockUntil;
+
+  return unlockToken;
+};
+
+// Clear all brute-force state (successful login, expired lock or unlock link)
+userSchema.methods.resetLoginAttempts = function() {
+  this.failedLoginAttempts = 0;
+  this.lastFailedLoginAt = undefined;
+  this.lockUntil = undefined;
+  this.unlockToken = undefined;
+  this.unlockTokenExpires = undefined;
+};
+
+userSchema.statics.ROLES = ROLES;
+userSchema.statics.PROFILE_LEVELS = PROFILE_LEVELS;
+userSchema.statics.LOGIN_MAX_ATTEMPTS = LOGIN_MAX_ATTEMPTS;
+userSchema.statics.LOGIN_LOCK_MINUTES = LOGIN_LOCK_MINUTES;
+userSchema.statics.PASSWORD_RESET_EXPIRE_MINUTES = PASSWORD_RESET_EXPIRE_MINUTES;
+userSchema.statics.EMAIL_VERIFICATION_EXPIRE_HOURS = EMAIL_VERIFICATION_EXPIRE_HOURS;
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
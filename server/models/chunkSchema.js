@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// A piece of a document's text with its embedding (see utils/chunker).
+// Shared by Document and DocumentVersion. Chunks stored before structure-aware
+// chunking have no metadata; `npm run rechunk` fills it in.
+const chunkSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true
+  },
+  embedding: {
+    type: [Number],
+    required: true
+  },
+  // SHA-256 of the text; chunks with the same text reuse an embedding
+  textHash: String,
+  // Heading of the section the chunk belongs to; null before the first heading
+  sectionTitle: {
+    type: String,
+    default: null
+  },
+  // 1-based page the chunk starts on; null for formats without pages
+  pageNumber: {
+    type: Number,
+    default: null
+  },
+  // Character range of the chunk in the document's text
+  startOffset: Number,
+  endOffset: Number
+});
+
+module.exports = chunkSchema;
@@ -0,0 +1,20 @@
+const { RESUME_PROFILE_LIMITS } = require('../utils/resumeProfile');
+
+// Field definitions shared by the structured data extracted from documents
+// (resumeProfileSchema, jdAnalysisSchema), which their owners can correct
+
+// A trimmed string of at most `max` characters
+exports.text = (max = RESUME_PROFILE_LIMITS.textLength) => ({
+  type: String,
+  trim: true,
+  maxlength: [max, `Entries cannot exceed ${max} characters`]
+});
+
+// An array of `item` with at most `max` entries
+exports.list = (item, max) => ({
+  type: [item],
+  validate: {
+    validator: (items) => items.length <= max,
+    message: `Cannot list more than ${max} entries`
+  }
+});
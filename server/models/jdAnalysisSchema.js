@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { PROFILE_LEVELS } = require('./User');
+const { JD_ANALYSIS_LIMITS: LIMITS } = require('../utils/jdAnalysis');
+const { text, list } = require('./extractedFields');
+
+// Requirements parsed from a job description (and correctable by its owner).
+// Shared by Document and DocumentVersion.
+
+const skillSchema = new mongoose.Schema({
+  name: { ...text(100), required: [true, 'Every skill needs a name'] },
+  // What the JD asks of it ("5+ years", "building REST APIs")
+  detail: text(LIMITS.textLength),
+  // Of "name: detail", for the match report (see utils/matchReport)
+  embedding: {
+    type: [Number],
+    default: undefined
+  }
+}, { _id: false });
+
+// Embeddings are internal: leave them out of responses and exports
+skillSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.embedding;
+    return ret;
+  }
+});
+
+const jdAnalysisSchema = new mongoose.Schema({
+  title: text(LIMITS.textLength),
+  // Same scale as the candidate profile level; '' when the JD does not say
+  seniority: {
+    type: String,
+    enum: ['', ...PROFILE_LEVELS],
+    default: ''
+  },
+  domain: text(LIMITS.textLength),
+  summary: text(LIMITS.longTextLength),
+  mustHaveSkills: list(skillSchema, LIMITS.skills),
+  niceToHaveSkills: list(skillSchema, LIMITS.skills),
+  responsibilities: list(text(LIMITS.longTextLength), LIMITS.responsibilities),
+  // 'ai' when extracted at upload, 'user' once corrected by the owner
+  source: {
+    type: String,
+    enum: ['ai', 'user'],
+    default: 'ai'
+  },
+  extractedAt: Date,
+  editedAt: Date
+}, { _id: false });
+
+module.exports = jdAnalysisSchema;
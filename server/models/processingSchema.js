@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// queued -> extracting -> embedding -> ready, or failed once retries run out
+const PROCESSING_STATUSES = ['queued', 'extracting', 'embedding', 'ready', 'failed'];
+
+// Background processing of a document's latest upload (see utils/documentProcessing).
+// Documents stored before uploads were processed in the background are ready.
+const processingSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: PROCESSING_STATUSES,
+    default: 'ready'
+  },
+  // The uploaded file being processed; cleared once it is the document's content
+  upload: {
+    storageProvider: String,
+    storageKey: String,
+    fileUrl: String,
+    fileName: String,
+    format: String,
+    contentHash: String
+  },
+  // The upload becomes a new version; until then the current content stays in use
+  newVersion: {
+    type: Boolean,
+    default: false
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Why the last attempt failed (kept while a retry is queued)
+  error: {
+    type: String,
+    default: null
+  },
+  queuedAt: Date,
+  // Not picked up before this time (retries back off)
+  runAt: Date,
+  startedAt: Date,
+  // Refreshed on each stage and, while embedding, on progress; processing
+  // without one for a while is considered abandoned
+  heartbeatAt: Date,
+  finishedAt: Date
+}, { _id: false });
+
+module.exports = processingSchema;
+module.exports.PROCESSING_STATUSES = PROCESSING_STATUSES;
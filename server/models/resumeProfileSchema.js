@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { RESUME_PROFILE_LIMITS: LIMITS } = require('../utils/resumeProfile');
+const { text, list } = require('./extractedFields');
+
+// Structured profile extracted from a resume (and correctable by its owner).
+// Shared by Document and DocumentVersion. Dates are kept as written on the
+// resume ("Mar 2021", "Present"), not parsed.
+
+const experienceSchema = new mongoose.Schema({
+  title: text(),
+  company: text(),
+  location: text(),
+  startDate: text(50),
+  endDate: text(50),
+  highlights: list(text(LIMITS.longTextLength), LIMITS.highlights)
+}, { _id: false });
+
+const educationSchema = new mongoose.Schema({
+  institution: text(),
+  degree: text(),
+  field: text(),
+  startDate: text(50),
+  endDate: text(50)
+}, { _id: false });
+
+const skillSchema = new mongoose.Schema({
+  name: { ...text(100), required: [true, 'Every skill needs a name'] },
+  category: text(50),
+  // Resume phrases showing the skill in use
+  evidence: list(text(LIMITS.longTextLength), LIMITS.evidence)
+}, { _id: false });
+
+const projectSchema = new mongoose.Schema({
+  name: { ...text(), required: [true, 'Every project needs a name'] },
+  description: text(LIMITS.longTextLength),
+  technologies: list(text(100), LIMITS.technologies),
+  url: text()
+}, { _id: false });
+
+const resumeProfileSchema = new mongoose.Schema({
+  summary: text(LIMITS.longTextLength),
+  experience: list(experienceSchema, LIMITS.entries),
+  education: list(educationSchema, LIMITS.entries),
+  skills: list(skillSchema, LIMITS.skills),
+  projects: list(projectSchema, LIMITS.entries),
+  // 'ai' when extracted at upload, 'user' once corrected by the owner
+  source: {
+    type: String,
+    enum: ['ai', 'user'],
+    default: 'ai'
+  },
+  extractedAt: Date,
+  editedAt: Date
+}, { _id: false });
+
+module.exports = resumeProfileSchema;
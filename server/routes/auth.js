@@ -1,10 +1,69 @@
 const express = require('express');
 const router = express.Router();
-const { signup, login, getMe } = require('../controllers/authController');
+const {
+  signup,
+  login,
+  getMe,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  getPasswordRequirements,
+  verifyEmail,
+  resendVerification,
+  unlockAccount,
+  verifyTwoFactorLogin,
+} = require('../controllers/authController');
+const {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  getTwoFactorStatus,
+} = require('../controllers/twoFactorController');
+const { exportAccountData, deleteAccount } = require('../controllers/accountController');
+const { listLoginSessions, revokeLoginSession, revokeOtherLoginSessions } = require('../controllers/sessionController');
+const { listApiTokens, createApiToken, revokeApiToken } = require('../controllers/apiTokenController');
+const { getProviders, startOAuth, oauthCallback } = require('../controllers/oauthController');
 const { protect } = require('../middleware/auth');
 
 router.post('/signup', signup);
 router.post('/login', login);
+router.post('/refresh', refresh);
+router.post('/logout', logout);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/change-password', protect, changePassword);
+router.get('/password-policy', getPasswordRequirements);
+router.post('/verify-email', verifyEmail);
+router.post('/resend-verification', protect, resendVerification);
+router.post('/unlock-account', unlockAccount);
 router.get('/me', protect, getMe);
+router.delete('/me', protect, deleteAccount);
+router.get('/me/export', protect, exportAccountData);
+
+// Two-factor authentication
+router.post('/2fa/verify-login', verifyTwoFactorLogin);
+router.get('/2fa/status', protect, getTwoFactorStatus);
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, enableTwoFactor);
+router.post('/2fa/disable', protect, disableTwoFactor);
+router.post('/2fa/backup-codes', protect, regenerateBackupCodes);
+
+// Signed-in devices
+router.get('/sessions', protect, listLoginSessions);
+router.delete('/sessions', protect, revokeOtherLoginSessions);
+router.delete('/sessions/:id', protect, revokeLoginSession);
+
+// Personal API tokens (managed from a browser session; tokens cannot manage tokens)
+router.get('/tokens', protect, listApiTokens);
+router.post('/tokens', protect, createApiToken);
+router.delete('/tokens/:id', protect, revokeApiToken);
+
+// OAuth / OpenID Connect sign-in
+router.get('/oauth/providers', getProviders);
+router.get('/oauth/:provider', startOAuth);
+router.get('/oauth/:provider/callback', oauthCallback);
 
 module.exports = router;
\ No newline at end of file
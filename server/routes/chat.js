@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
+const { protect, requireVerifiedEmail } = require('../middleware/auth');
 const {
   createSession,
+  setSessionDocuments,
   generateQuestions,
   submitAnswers,
   getChatSessions,
@@ -11,8 +12,9 @@ const {
 } = require('../controllers/chatController');
 
 router.post('/create-session', protect, createSession);
-router.post('/generate-questions/:sessionId', protect, generateQuestions);
-router.post('/submit-answers', protect, submitAnswers);
+router.put('/session/:id/documents', protect, setSessionDocuments);
+router.post('/generate-questions/:sessionId', protect, requireVerifiedEmail, generateQuestions);
+router.post('/submit-answers', protect, requireVerifiedEmail, submitAnswers);
 router.get('/sessions', protect, getChatSessions);
 router.get('/session/:id', protect, getChatSession);
 router.delete('/session/:id', protect, deleteChatSession);
@@ -3,19 +3,49 @@ const router = express.Router();
 const {
   uploadMiddleware,
   uploadDocument,
+  createTextDocument,
+  getProcessingStatus,
+  streamProcessingStatus,
   uploadForSession,
   listDocuments,
   deleteDocument,
+  getDocumentFile,
+  listDocumentVersions,
+  diffDocumentVersions,
+  restoreDocumentVersion,
+  getResumeProfile,
+  updateResumeProfile,
+  extractResumeProfileAgain,
+  getJdAnalysis,
+  updateJdAnalysis,
+  extractJdAnalysisAgain,
+  serveLocalFile,
   checkDocuments,
   getSessionDocuments,
+  getSessionMatch,
 } = require('../controllers/documentController');
-const { protect } = require('../middleware/auth');
+const { protect, requireVerifiedEmail } = require('../middleware/auth');
 
-router.post('/upload', protect, uploadMiddleware, uploadDocument);
-router.post('/upload-for-session', protect, uploadMiddleware, uploadForSession);
+router.post('/upload', protect, requireVerifiedEmail, uploadMiddleware, uploadDocument);
+router.post('/text', protect, requireVerifiedEmail, createTextDocument);
+router.post('/upload-for-session', protect, requireVerifiedEmail, uploadMiddleware, uploadForSession);
 router.get('/list', protect, listDocuments);
 router.get('/check', protect, checkDocuments);
 router.get('/session/:sessionId', protect, getSessionDocuments);
+router.get('/session/:sessionId/match', protect, requireVerifiedEmail, getSessionMatch);
+router.get('/files/:key', serveLocalFile);
+router.get('/:id/status', protect, getProcessingStatus);
+router.get('/:id/events', protect, streamProcessingStatus);
+router.get('/:id/file', protect, getDocumentFile);
+router.get('/:id/versions', protect, listDocumentVersions);
+router.get('/:id/versions/diff', protect, diffDocumentVersions);
+router.post('/:id/versions/:version/restore', protect, restoreDocumentVersion);
+router.get('/:id/resume-profile', protect, getResumeProfile);
+router.put('/:id/resume-profile', protect, updateResumeProfile);
+router.post('/:id/resume-profile/extract', protect, requireVerifiedEmail, extractResumeProfileAgain);
+router.get('/:id/jd-analysis', protect, getJdAnalysis);
+router.put('/:id/jd-analysis', protect, updateJdAnalysis);
+router.post('/:id/jd-analysis/extract', protect, requireVerifiedEmail, extractJdAnalysisAgain);
 router.delete('/:id', protect, deleteDocument);
 
 module.exports = router;
\ No newline at end of file
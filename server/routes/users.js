@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listUsers,
+  updateUserRole,
+  setCandidateCoaches,
+  listCandidates,
+} = require('../controllers/userController');
+const { getProfile, updateProfile } = require('../controllers/profileController');
+const { protect, authorize } = require('../middleware/auth');
+
+// Own candidate profile (any role)
+router.get('/me/profile', protect, getProfile);
+router.put('/me/profile', protect, updateProfile);
+
+router.get('/', protect, authorize('admin'), listUsers);
+router.get('/candidates', protect, authorize('coach', 'admin'), listCandidates);
+router.patch('/:id/role', protect, authorize('admin'), updateUserRole);
+router.put('/:id/coaches', protect, authorize('admin'), setCandidateCoaches);
+
+module.exports = router;
@@ -0,0 +1,137 @@
+// Minimal OpenID Connect provider for trying out OAuth sign-in locally.
+// Supports discovery, authorization code + PKCE (S256), token and userinfo.
+// The authorize page asks for an email and signs in as that user.
+//
+// Usage: npm run mock-oidc
+// Then start the API with:
+//   OAUTH_PROVIDERS=mock
+//   OAUTH_MOCK_ISSUER=http://localhost:9400
+//   OAUTH_MOCK_CLIENT_ID=mock-client
+//   OAUTH_MOCK_CLIENT_SECRET=mock-secret
+const crypto = require('crypto');
+const express = require('express');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT, 10) || 9400;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'mock-client';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'mock-secret';
+
+// code -> grant, access token -> profile (in memory; codes are single use)
+const codes = new Map();
+const accessTokens = new Map();
+
+const randomToken = () => crypto.randomBytes(24).toString('hex');
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+// Stable subject per email so repeated logins map to the same identity
+const subjectFor = (email) => crypto.createHash('sha256').update(email).digest('hex').substring(0, 24);
+
+const app = express();
+app.use(express.urlencoded({ extended: true }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    response_types_supported: ['code'],
+    grant_types_supported: ['authorization_code'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'email', 'profile'],
+  });
+});
+
+// Show a one-field form (pre-filled with login_hint) carrying the OAuth params
+app.get('/authorize', (req, res) => {
+  const { client_id, response_type, code_challenge, code_challenge_method } = req.query;
+
+  if (client_id !== CLIENT_ID || response_type !== 'code') {
+    return res.status(400).send('invalid_request: unknown client_id or unsupported response_type');
+  }
+  if (!code_challenge || code_challenge_method !== 'S256') {
+    return res.status(400).send('invalid_request: PKCE with S256 is required');
+  }
+
+  const hidden = ['client_id', 'redirect_uri', 'state', 'code_challenge', 'scope']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name] || '')}">`)
+    .join('');
+
+  res.send(`<!doctype html>
+<title>Mock OIDC sign-in</title>
+<form method="post" action="/authorize" style="font-family:sans-serif;max-width:320px;margin:80px auto">
+  <h2>Mock OIDC provider</h2>
+  ${hidden}
+  <label>Email<br><input name="email" type="email" required value="${escapeHtml(req.query.login_hint || 'mock.user@example.com')}" style="width:100%"></label>
+  <p><label><input type="checkbox" name="email_verified" checked> Email verified</label></p>
+  <button name="decision" value="allow">Sign in</button>
+  <button name="decision" value="deny">Deny</button>
+</form>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { redirect_uri, state, code_challenge, email, email_verified, decision } = req.body;
+  const redirect = new URL(redirect_uri);
+
+  if (state) {
+    redirect.searchParams.set('state', state);
+  }
+
+  if (decision !== 'allow') {
+    redirect.searchParams.set('error', 'access_denied');
+    return res.redirect(redirect.toString());
+  }
+
+  const code = randomToken();
+  codes.set(code, {
+    redirectUri: redirect_uri,
+    codeChallenge: code_challenge,
+    profile: {
+      sub: subjectFor(email.toLowerCase()),
+      email,
+      email_verified: email_verified === 'on',
+    },
+  });
+
+  redirect.searchParams.set('code', code);
+  res.redirect(redirect.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type, code, redirect_uri, client_id, client_secret, code_verifier } = req.body;
+  const grant = codes.get(code);
+  codes.delete(code);
+
+  if (client_id !== CLIENT_ID || client_secret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+  if (grant_type !== 'authorization_code' || !grant || grant.redirectUri !== redirect_uri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(code_verifier || '').digest('base64url');
+  if (challenge !== grant.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const accessToken = randomToken();
+  accessTokens.set(accessToken, grant.profile);
+
+  res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 300 });
+});
+
+app.get('/userinfo', (req, res) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+  const profile = accessTokens.get(token);
+
+  if (!profile) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+
+  res.json(profile);
+});
+
+app.listen(PORT, () => {
+  console.log(`🔐 Mock OIDC provider running at ${ISSUER} (client ${CLIENT_ID} / ${CLIENT_SECRET})`);
+});
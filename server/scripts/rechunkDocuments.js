@@ -0,0 +1,70 @@
+// Re-chunk and re-embed stored documents with the structure-aware chunker
+// (section titles, page numbers and offsets on every chunk).
+// Usage: npm run rechunk -- [--apply] [--all] [--versions] [--type=<resume|jd>] [--user=<userId>]
+//   --apply     embed and save the new chunks (default: dry run reporting chunk counts)
+//   --all       re-chunk every document, not only those chunked before chunks had metadata
+//   --versions  include earlier versions of the documents
+//   --type      only resumes or only job descriptions
+//   --user      only this user's documents
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { rechunkDocuments } = require('../utils/documentChunks');
+
+const parseArgs = (args) => {
+  const options = { apply: false, all: false, versions: false, filter: {} };
+
+  for (const arg of args) {
+    const [flag, value] = arg.split('=');
+    if (flag === '--apply') {
+      options.apply = true;
+    } else if (flag === '--all') {
+      options.all = true;
+    } else if (flag === '--versions') {
+      options.versions = true;
+    } else if (flag === '--type' && ['resume', 'jd'].includes(value)) {
+      options.filter.type = value;
+    } else if (flag === '--user' && mongoose.Types.ObjectId.isValid(value || '')) {
+      options.filter.userId = new mongoose.Types.ObjectId(value);
+    } else {
+      return null;
+    }
+  }
+
+  return options;
+};
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options) {
+    console.error('Usage: npm run rechunk -- [--apply] [--all] [--versions] [--type=<resume|jd>] [--user=<userId>]');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const results = await rechunkDocuments(options);
+  results.forEach((result) => {
+    if (result.error) {
+      console.log(`❌ ${result.kind} ${result.id}: ${result.error}`);
+    } else {
+      console.log(`${options.apply ? '✅' : '-'} ${result.kind} ${result.id}: ${result.before} -> ${result.after} chunk(s) from ${result.source}`);
+    }
+  });
+
+  const failed = results.filter(result => result.error).length;
+  console.log(`\n${results.length} item(s), ${failed} failed.`);
+  if (!options.apply) {
+    console.log('Dry run: nothing was changed. Re-run with --apply to re-chunk and re-embed.');
+  }
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch((error) => {
+  console.error('❌ Re-chunking failed:', error.message);
+  process.exit(1);
+});
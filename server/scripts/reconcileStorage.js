@@ -0,0 +1,89 @@
+// Compare stored document files with the database and report (or fix) orphans.
+// Usage: npm run reconcile-storage -- [--apply] [--provider=<cloudinary|local|s3>] [--min-age=<minutes>] [--json]
+//   --apply     delete files no document references, detach documents whose file is gone
+//               and record storage keys for documents uploaded before they were stored
+//   --provider  only check this backend (repeatable); default: every backend in use
+//   --min-age   ignore files newer than this many minutes (default 60; uploads in progress)
+//   --json      print the full report as JSON
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { STORAGE_PROVIDERS } = require('../utils/storage');
+const { reconcileStorage } = require('../utils/storageReconciliation');
+
+const parseArgs = (args) => {
+  const options = { apply: false, providers: [], minAgeMinutes: 60, json: false };
+
+  for (const arg of args) {
+    const [flag, value] = arg.split('=');
+    if (flag === '--apply') {
+      options.apply = true;
+    } else if (flag === '--json') {
+      options.json = true;
+    } else if (flag === '--provider' && STORAGE_PROVIDERS.includes(value)) {
+      options.providers.push(value);
+    } else if (flag === '--min-age' && /^\d+$/.test(value || '')) {
+      options.minAgeMinutes = parseInt(value, 10);
+    } else {
+      return null;
+    }
+  }
+
+  return options;
+};
+
+const printReport = (report) => {
+  const { backfill } = report;
+  if (backfill.updated > 0 || backfill.unresolved > 0) {
+    console.log(`Legacy documents: ${backfill.updated} storage key(s) ${report.applied ? 'recorded' : 'to record'}, ${backfill.unresolved} unresolved`);
+  }
+
+  report.providers.forEach((result) => {
+    if (result.error) {
+      console.log(`\n[${result.provider}] ❌ ${result.error}`);
+      return;
+    }
+
+    console.log(`\n[${result.provider}] ${result.storedFiles} stored file(s), ${result.documents} document(s)`);
+    console.log(`  Orphaned files (no document): ${result.orphanedFiles.length}`);
+    result.orphanedFiles.forEach(file => console.log(`    - ${file.key} (${file.size ?? '?'} bytes)`));
+    console.log(`  Documents with missing files: ${result.missingFiles.length}`);
+    result.missingFiles.forEach(doc => console.log(`    - ${doc.documentId} "${doc.fileName}" -> ${doc.key}`));
+
+    if (report.applied) {
+      console.log(`  Deleted ${result.deletedFiles} file(s), detached ${result.detachedDocuments} document(s)`);
+    }
+  });
+
+  if (!report.applied) {
+    console.log('\nDry run: nothing was changed. Re-run with --apply to fix.');
+  }
+};
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options) {
+    console.error(`Usage: npm run reconcile-storage -- [--apply] [--provider=<${STORAGE_PROVIDERS.join('|')}>] [--min-age=<minutes>] [--json]`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const report = await reconcileStorage(options);
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+
+  if (report.providers.some(result => result.error)) {
+    process.exitCode = 1;
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch((error) => {
+  console.error('❌ Storage reconciliation failed:', error.message);
+  process.exit(1);
+});
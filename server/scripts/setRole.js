@@ -0,0 +1,36 @@
+// Assign a role to an existing user (e.g. to bootstrap the first admin).
+// Usage: npm run set-role -- <email> <candidate|coach|admin>
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+async function main() {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !User.ROLES.includes(role)) {
+    console.error(`Usage: npm run set-role -- <email> <${User.ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase().trim() },
+    { role },
+    { new: true }
+  );
+
+  if (!user) {
+    console.error(`❌ No user found with email ${email}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`✅ ${user.email} is now '${user.role}'`);
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch((error) => {
+  console.error('❌ Failed to set role:', error.message);
+  process.exit(1);
+});
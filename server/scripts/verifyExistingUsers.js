@@ -0,0 +1,36 @@
+// Mark users created before email verification was introduced as verified,
+// so upgrading does not lock them out of uploads and AI features.
+// Usage: npm run verify-existing-users -- [--apply]
+//   --apply  update the users; without it only count them
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+// Accounts that signed up since have the field (false until they verify)
+const PRE_EXISTING = { emailVerified: { $exists: false } };
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.some(arg => arg !== '--apply')) {
+    console.error('Usage: npm run verify-existing-users -- [--apply]');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  if (args.includes('--apply')) {
+    const { modifiedCount } = await User.updateMany(PRE_EXISTING, { $set: { emailVerified: true } });
+    console.log(`✅ Marked ${modifiedCount} existing user(s) as verified`);
+  } else {
+    const count = await User.countDocuments(PRE_EXISTING);
+    console.log(`${count} existing user(s) to mark as verified`);
+    console.log('Dry run: nothing was changed. Re-run with --apply to update them.');
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch((error) => {
+  console.error('❌ Failed to verify existing users:', error.message);
+  process.exit(1);
+});
@@ -3,18 +3,27 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const rateLimit = require('express-rate-limit');
+const cookieParser = require('cookie-parser');
 
 // Load env vars
 dotenv.config();
 
+// Reads its settings (and Gemini's) from the environment when loaded
+const { startDocumentWorker } = require('./utils/documentProcessing');
+const { pastedTextMiddleware } = require('./controllers/documentController');
+
 const app = express();
 
 // Middleware
+// Pasted documents need a larger body limit; parsed first, they skip the default one
+app.use('/api/documents/text', pastedTextMiddleware);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
 app.use(cors({
   origin: process.env.CLIENT_URL || 'http://localhost:5173',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['Content-Disposition'] // Lets the client name downloaded exports
 }));
 
 // Rate limiting
@@ -26,7 +35,11 @@ app.use('/api/', limiter);
 
 // MongoDB Connection
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('✅ MongoDB Connected'))
+  .then(() => {
+    console.log('✅ MongoDB Connected');
+    // Process queued document uploads in the background
+    startDocumentWorker();
+  })
   .catch((err) => {
     console.error('❌ MongoDB Connection Error:', err);
     process.exit(1);
@@ -36,6 +49,7 @@ mongoose.connect(process.env.MONGODB_URI)
 app.use('/api/auth', require('./routes/auth.js'));
 app.use('/api/documents', require('./routes/documents'));
 app.use('/api/chat', require('./routes/chat'));
+app.use('/api/users', require('./routes/users'));
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,59 @@
+const User = require('../models/User');
+
+/**
+ * Role-based access helpers for records owned by a user (Chat, Document).
+ *
+ * - candidate: only their own records
+ * - coach:     their own records, plus read access to assigned candidates
+ * - admin:     read and manage every record
+ */
+
+/**
+ * IDs of the candidates assigned to a coach.
+ */
+exports.getAssignedCandidateIds = async (coachId) => {
+  return User.find({ coaches: coachId }).distinct('_id');
+};
+
+/**
+ * Mongo filter matching the records the requester may VIEW.
+ */
+exports.readableFilter = async (user) => {
+  if (user.role === 'admin') {
+    return {};
+  }
+
+  if (user.role === 'coach') {
+    const candidateIds = await exports.getAssignedCandidateIds(user._id);
+    return { userId: { $in: [user._id, ...candidateIds] } };
+  }
+
+  return { userId: user._id };
+};
+
+/**
+ * Mongo filter matching the records the requester may MODIFY or DELETE.
+ */
+exports.writableFilter = (user) => {
+  if (user.role === 'admin') {
+    return {};
+  }
+
+  return { userId: user._id };
+};
+
+/**
+ * Whether the requester may view records belonging to `targetUserId`.
+ */
+exports.canViewUser = async (user, targetUserId) => {
+  if (user._id.equals(targetUserId) || user.role === 'admin') {
+    return true;
+  }
+
+  if (user.role === 'coach') {
+    const candidate = await User.exists({ _id: targetUserId, coaches: user._id });
+    return !!candidate;
+  }
+
+  return false;
+};
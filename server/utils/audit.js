@@ -0,0 +1,19 @@
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Record a security-relevant event. Never throws: a failed audit write is
+ * logged but must not break the request that triggered it.
+ */
+exports.recordAuditEvent = async (req, event, { userId = null, metadata = {} } = {}) => {
+  try {
+    await AuditLog.create({
+      userId,
+      event,
+      ip: req?.ip,
+      userAgent: req?.get?.('user-agent'),
+      metadata,
+    });
+  } catch (error) {
+    console.error(`Failed to record audit event '${event}':`, error);
+  }
+};
@@ -0,0 +1,117 @@
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const LoginSession = require('../models/LoginSession');
+const { generateRandomToken, hashToken } = require('./tokens');
+const { describeDevice } = require('./userAgent');
+
+const REFRESH_COOKIE_NAME = 'refreshToken';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 7;
+
+exports.REFRESH_COOKIE_NAME = REFRESH_COOKIE_NAME;
+
+/**
+ * Expiry date for a refresh token (and its login session) issued now.
+ */
+const refreshExpiryDate = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+exports.refreshExpiryDate = refreshExpiryDate;
+
+/**
+ * Generate a short-lived JWT access token bound to a login session (`sid`).
+ */
+exports.generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId ? String(sessionId) : undefined }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
+  });
+};
+
+/**
+ * Short-lived token proving the password (or OAuth) step succeeded while a
+ * second factor is still required.
+ */
+exports.generateTwoFactorChallenge = (id) => {
+  return jwt.sign({ id, purpose: '2fa' }, process.env.JWT_SECRET, {
+    expiresIn: '5m'
+  });
+};
+
+/**
+ * Cookie options for the refresh token (only sent to /api/auth/*).
+ */
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+  path: '/api/auth'
+});
+
+/**
+ * Create a refresh token in `family` (the login session id), store its hash
+ * and set the raw token as an httpOnly cookie. Returns the stored hash.
+ */
+const issueRefreshToken = async (res, userId, family) => {
+  const token = generateRandomToken();
+  const tokenHash = hashToken(token);
+  const expiresAt = refreshExpiryDate();
+
+  await RefreshToken.create({
+    userId,
+    tokenHash,
+    family,
+    expiresAt
+  });
+
+  res.cookie(REFRESH_COOKIE_NAME, token, {
+    ...refreshCookieOptions(),
+    expires: expiresAt
+  });
+
+  return tokenHash;
+};
+exports.issueRefreshToken = issueRefreshToken;
+
+/**
+ * Record a new signed-in device for the request and set its first refresh
+ * token cookie. Returns the LoginSession.
+ */
+exports.startLoginSession = async (req, res, userId, method) => {
+  const userAgent = (req.get('user-agent') || '').substring(0, 500);
+
+  const session = await LoginSession.create({
+    userId,
+    method,
+    device: describeDevice(userAgent),
+    userAgent,
+    ip: req.ip,
+    expiresAt: refreshExpiryDate()
+  });
+
+  await issueRefreshToken(res, userId, String(session._id));
+  return session;
+};
+
+/**
+ * Revoke the login sessions matching `filter` together with their refresh
+ * tokens. Returns the number of sessions revoked.
+ */
+exports.revokeLoginSessions = async (filter) => {
+  const sessions = await LoginSession.find({ ...filter, revokedAt: null }).select('_id');
+
+  if (sessions.length === 0) {
+    return 0;
+  }
+
+  const now = new Date();
+  const ids = sessions.map(session => session._id);
+
+  await LoginSession.updateMany({ _id: { $in: ids } }, { revokedAt: now });
+  await RefreshToken.updateMany(
+    { family: { $in: ids.map(String) }, revokedAt: null },
+    { revokedAt: now }
+  );
+
+  return sessions.length;
+};
+
+exports.clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE_NAME, refreshCookieOptions());
+};
@@ -0,0 +1,275 @@
+/**
+ * Structure-aware chunking of extracted document text. Text is split at
+ * section headings, then at bullets, paragraphs and sentences, into chunks
+ * of at most `maxTokens` (estimated) that overlap by up to `overlapTokens`
+ * within a section. Each chunk keeps its section title, page number and
+ * character offsets in the text it came from.
+ */
+
+// PDF text marks page breaks with form feeds (see pdfProcessor and ocr)
+const PAGE_BREAK = '\f';
+exports.PAGE_BREAK = PAGE_BREAK;
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const CHUNK_MAX_TOKENS = envInt('CHUNK_MAX_TOKENS', 300);
+const CHUNK_OVERLAP_TOKENS = envInt('CHUNK_OVERLAP_TOKENS', 40);
+
+// Chunks shorter than this (a stray page number, a one-line section) are
+// merged into a neighbouring chunk of the same section when there is one
+const CHUNK_MIN_CHARS = 50;
+
+// Gemini averages about four characters of English per token; close enough
+// for sizing chunks without shipping a tokenizer
+const estimateTokens = text => Math.ceil(text.trim().length / 4);
+exports.estimateTokens = estimateTokens;
+
+const BULLET = /^\s*(?:[-*•▪◦·‣–—]|\d{1,2}[.)])\s+/;
+const SECTION_NAMES = new RegExp('^(?:' + [
+  'summary', 'profile', 'objective', 'about(?: me| us| you| the role)?',
+  '(?:work |professional |relevant )?experience', 'employment(?: history)?',
+  'education', '(?:technical |core )?skills', 'projects', 'certifications?', 'awards',
+  'publications', 'languages', 'interests', 'volunteering',
+  'responsibilities', 'requirements', '(?:preferred |minimum |basic )?qualifications',
+  'nice to have', 'what you(?:\'ll| will) do', 'who you are', 'what we offer', 'benefits',
+].join('|') + ')$', 'i');
+
+/**
+ * Section headings: known section names ("Experience", "Skills:"), short
+ * all-caps lines ("WORK HISTORY") and short labels ending with a colon.
+ */
+const isHeading = (line) => {
+  const trimmed = line.trim();
+  const text = trimmed.replace(/:$/, '').trim();
+  if (!text || text.length > 60 || BULLET.test(line)) return false;
+  if (SECTION_NAMES.test(text)) return true;
+
+  const words = text.split(/\s+/).length;
+  const letters = text.replace(/[^A-Za-z]/g, '');
+  if (letters.length >= 3 && letters === letters.toUpperCase() && words <= 6 && !/[,.;|]/.test(text)) {
+    return true;
+  }
+  return trimmed.endsWith(':') && words <= 5;
+};
+
+/**
+ * Split text into blocks: headings, bullet items (with their wrapped
+ * lines) and paragraphs, each with { type, start, end, page, section }.
+ */
+const parseBlocks = (text) => {
+  const blocks = [];
+  let page = 1;
+  let section = null;
+  let current = null; // Bullet or paragraph still taking lines
+
+  let lineStart = 0;
+  while (lineStart <= text.length) {
+    let lineEnd = lineStart;
+    while (lineEnd < text.length && text[lineEnd] !== '\n' && text[lineEnd] !== PAGE_BREAK) lineEnd++;
+
+    const line = text.slice(lineStart, lineEnd);
+    const start = lineStart + (line.length - line.trimStart().length);
+    const end = lineStart + line.trimEnd().length;
+
+    if (start >= end) {
+      current = null;
+    } else if (isHeading(line)) {
+      section = line.trim().replace(/:$/, '').trim();
+      blocks.push({ type: 'heading', start, end, page, section });
+      current = null;
+    } else if (BULLET.test(line) || !current) {
+      current = { type: BULLET.test(line) ? 'bullet' : 'paragraph', start, end, page, section };
+      blocks.push(current);
+    } else {
+      current.end = end; // Wrapped line of the same bullet or paragraph
+    }
+
+    if (text[lineEnd] === PAGE_BREAK) {
+      page++;
+      current = null;
+    }
+    lineStart = lineEnd + 1;
+  }
+
+  return blocks;
+};
+
+// [start, end) ranges of the sentences in text.slice(start, end): runs
+// ending with . ! or ? followed by whitespace ("3.5" and "e.g.," do not end one)
+const sentenceRanges = (text, start, end) => {
+  const ranges = [];
+  const pattern = /\S[\s\S]*?(?:[.!?]+(?=\s|$)|$)/g;
+  const slice = text.slice(start, end);
+  let match;
+  while ((match = pattern.exec(slice)) !== null) {
+    ranges.push([start + match.index, start + match.index + match[0].trimEnd().length]);
+  }
+  return ranges;
+};
+
+// [start, end) ranges of consecutive words, about `tokens` tokens each
+const wordRanges = (text, start, end, tokens) => {
+  const ranges = [];
+  const pattern = /\S+/g;
+  const slice = text.slice(start, end);
+  let rangeStart = null;
+  let rangeEnd = null;
+  let match;
+  while ((match = pattern.exec(slice)) !== null) {
+    const wordStart = start + match.index;
+    const wordEnd = wordStart + match[0].length;
+    if (rangeStart !== null && estimateTokens(text.slice(rangeStart, wordEnd)) > tokens) {
+      ranges.push([rangeStart, rangeEnd]);
+      rangeStart = null;
+    }
+    if (rangeStart === null) rangeStart = wordStart;
+    rangeEnd = wordEnd;
+  }
+  if (rangeStart !== null) ranges.push([rangeStart, rangeEnd]);
+  return ranges;
+};
+
+/**
+ * The pieces chunks are assembled from: headings and bullets whole,
+ * paragraphs by sentence, and anything still too long by runs of words
+ * (sized to fit the overlap, so long runs can still overlap).
+ */
+const buildUnits = (text, blocks, maxTokens, overlapTokens) => {
+  const pieceTokens = Math.max(overlapTokens, 20);
+  const units = [];
+
+  blocks.forEach((block) => {
+    const unit = (start, end) => ({
+      start,
+      end,
+      tokens: estimateTokens(text.slice(start, end)),
+      heading: block.type === 'heading',
+      page: block.page,
+      section: block.section,
+    });
+    const whole = unit(block.start, block.end);
+
+    const ranges = block.type === 'paragraph' || whole.tokens > maxTokens
+      ? sentenceRanges(text, block.start, block.end)
+      : [[block.start, block.end]];
+
+    ranges.forEach(([start, end]) => {
+      if (estimateTokens(text.slice(start, end)) <= maxTokens) {
+        units.push(unit(start, end));
+      } else {
+        wordRanges(text, start, end, pieceTokens).forEach(([pieceStart, pieceEnd]) => units.push(unit(pieceStart, pieceEnd)));
+      }
+    });
+  });
+
+  return units;
+};
+
+// Chunk text as stored: page breaks and runs of spaces collapsed, newlines kept
+const tidy = text => text
+  .replace(/\f/g, '\n')
+  .replace(/[ \t]+/g, ' ')
+  .replace(/ *\n */g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// Merge chunks shorter than CHUNK_MIN_CHARS into the previous chunk of their
+// section, else the next one; short sections of their own stay as they are
+const mergeShortChunks = (text, chunks) => {
+  const merged = [];
+  let pending = null; // Short chunk waiting for the next chunk of its section
+
+  chunks.forEach((chunk) => {
+    if (pending) {
+      if (pending.sectionTitle === chunk.sectionTitle) {
+        chunk = { ...chunk, pageNumber: pending.pageNumber, startOffset: pending.startOffset };
+      } else {
+        merged.push(pending);
+      }
+      pending = null;
+    }
+
+    const previous = merged[merged.length - 1];
+    const short = tidy(text.slice(chunk.startOffset, chunk.endOffset)).length < CHUNK_MIN_CHARS;
+    if (short && previous?.sectionTitle === chunk.sectionTitle) {
+      previous.endOffset = chunk.endOffset;
+    } else if (short) {
+      pending = chunk;
+    } else {
+      merged.push(chunk);
+    }
+  });
+  if (pending) merged.push(pending);
+
+  return merged.map(chunk => ({ text: tidy(text.slice(chunk.startOffset, chunk.endOffset)), ...chunk }));
+};
+
+/**
+ * Split document text into chunks of about `maxTokens` tokens. A heading
+ * always starts a new chunk; a chunk split for size repeats the end of the
+ * previous one (up to `overlapTokens`) when both are in the same section.
+ * Headings with no text under them are dropped; text with no chunks left
+ * becomes a single chunk.
+ * Returns [{ text, sectionTitle, pageNumber, startOffset, endOffset }],
+ * where the offsets index `text` and pageNumber is null for text without
+ * page breaks.
+ */
+exports.chunkText = (text, { maxTokens = CHUNK_MAX_TOKENS, overlapTokens = CHUNK_OVERLAP_TOKENS } = {}) => {
+  if (!text || typeof text !== 'string') return [];
+
+  const overlap = Math.min(Math.max(overlapTokens, 0), Math.floor(maxTokens / 2));
+  const hasPages = text.includes(PAGE_BREAK);
+  const units = buildUnits(text, parseBlocks(text), maxTokens, overlap);
+
+  const groups = [];
+  let current = [];
+  let currentTokens = 0;
+  const onlyHeadings = () => current.every(unit => unit.heading);
+
+  units.forEach((unit) => {
+    if (unit.heading && current.length > 0 && !onlyHeadings()) {
+      groups.push(current);
+      current = [];
+      currentTokens = 0;
+    } else if (currentTokens + unit.tokens > maxTokens && !onlyHeadings()) {
+      groups.push(current);
+      // Carry the end of the previous chunk over, within the same section
+      const carried = [];
+      let carriedTokens = 0;
+      for (let i = current.length - 1; i >= 0; i--) {
+        const previous = current[i];
+        if (previous.heading || previous.section !== unit.section || carriedTokens + previous.tokens > overlap) break;
+        carried.unshift(previous);
+        carriedTokens += previous.tokens;
+      }
+      const fits = carriedTokens + unit.tokens <= maxTokens;
+      current = fits ? carried : [];
+      currentTokens = fits ? carriedTokens : 0;
+    }
+    current.push(unit);
+    currentTokens += unit.tokens;
+  });
+  if (current.length > 0) groups.push(current);
+
+  const chunks = mergeShortChunks(text, groups
+    .filter(group => group.some(unit => !unit.heading))
+    .map(group => ({
+      sectionTitle: group.find(unit => !unit.heading).section,
+      pageNumber: hasPages ? group[0].page : null,
+      startOffset: group[0].start,
+      endOffset: group[group.length - 1].end,
+    })));
+  if (chunks.length > 0 || !text.trim()) return chunks;
+
+  const startOffset = text.length - text.trimStart().length;
+  return [{
+    text: tidy(text),
+    sectionTitle: null,
+    pageNumber: hasPages ? 1 : null,
+    startOffset,
+    endOffset: text.trimEnd().length,
+  }];
+};
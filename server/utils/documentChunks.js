@@ -0,0 +1,149 @@
+const Document = require('../models/Document');
+const DocumentVersion = require('../models/DocumentVersion');
+const { chunkText } = require('./chunker');
+const { generateEmbeddings } = require('./gemini');
+const { fetchDocumentFile } = require('./documentFiles');
+const { extractDocumentText } = require('./textExtractor');
+const { hashContent, findKnownEmbeddings } = require('./documentDedup');
+
+/**
+ * Split extracted text into chunks and embed each one, reporting
+ * `onProgress(done, total)` as chunks are embedded. With `userId`, chunks
+ * whose text the user's documents already have reuse that embedding.
+ * Returns { chunks } ready to store, or { status, message } when processing failed.
+ */
+const chunkAndEmbed = async (text, { onProgress, userId } = {}) => {
+  const textChunks = chunkText(text);
+
+  if (!textChunks || textChunks.length === 0) {
+    console.error('Failed to create text chunks from extracted text.');
+    return { status: 400, message: 'Text extracted, but failed to divide into valid chunks.' };
+  }
+  console.log(`🧩 Created ${textChunks.length} text chunks.`);
+
+  const hashed = textChunks.map(chunk => ({ ...chunk, textHash: hashContent(chunk.text) }));
+  const known = await findKnownEmbeddings(userId, [...new Set(hashed.map(chunk => chunk.textHash))]);
+  const missing = hashed.filter(chunk => !known.has(chunk.textHash));
+  const reused = hashed.length - missing.length;
+  if (reused > 0) {
+    console.log(`♻️ Reusing ${reused} existing embeddings.`);
+  }
+
+  let embeddings = [];
+  if (missing.length > 0) {
+    console.log('🧠 Generating embeddings for chunks...');
+    embeddings = await generateEmbeddings(
+      missing.map(chunk => chunk.text),
+      onProgress && ((done) => onProgress(reused + done, hashed.length))
+    ); // Assumes generateEmbeddings handles errors internally
+    console.log(`✨ Generated ${embeddings.length} embeddings.`);
+  } else {
+    onProgress?.(hashed.length, hashed.length);
+  }
+
+  if (!embeddings || embeddings.length !== missing.length) {
+    console.error(`Embedding count mismatch: ${embeddings?.length || 0} embeddings for ${missing.length} chunks.`);
+    return { status: 500, message: 'Error generating embeddings for all text chunks.' };
+  }
+  if (embeddings.some(e => !Array.isArray(e) || e.length === 0)) {
+    console.error('Some generated embeddings are invalid.');
+    return { status: 500, message: 'Invalid embeddings generated.' };
+  }
+
+  const generated = new Map(missing.map((chunk, index) => [chunk, embeddings[index]]));
+  return {
+    chunks: hashed.map(chunk => ({ ...chunk, embedding: known.get(chunk.textHash) || generated.get(chunk) })),
+  };
+};
+exports.chunkAndEmbed = chunkAndEmbed;
+
+/**
+ * The text to re-chunk a document or version from: its stored text, else the
+ * text extracted again from its original file, else its old chunks joined
+ * (documents stored before their text was kept, whose file is gone).
+ * Returns { text, source } with source 'text', 'file' or 'chunks'.
+ */
+const textForRechunking = async (content) => {
+  if (content.text) {
+    return { text: content.text, source: 'text' };
+  }
+
+  if (content.format && (content.storageKey || content.fileUrl)) {
+    try {
+      const { text } = await extractDocumentText(await fetchDocumentFile(content), content.format);
+      if (text.trim()) {
+        return { text, source: 'file' };
+      }
+    } catch (error) {
+      console.warn(`Could not re-extract ${content._id} from its file: ${error.message}`);
+    }
+  }
+
+  return { text: (content.chunks || []).map(chunk => chunk.text).join('\n\n'), source: 'chunks' };
+};
+
+/**
+ * Chunk and embed a document or version again. Text it did not have yet is
+ * stored with it, so chunk offsets index its text. Returns a summary
+ * { id, kind, before, after, source } or, when it cannot be re-chunked,
+ * { id, kind, error }. With `apply` false nothing is embedded or saved.
+ */
+const contentKind = content => (content instanceof DocumentVersion ? 'version' : 'document');
+
+const rechunkContent = async (content, { apply }) => {
+  const kind = contentKind(content);
+  const { text, source } = await textForRechunking(content);
+  const summary = { id: content._id, kind, before: content.chunks.length, source };
+
+  if (!apply) {
+    return { ...summary, after: chunkText(text).length };
+  }
+
+  // No userId: re-chunking embeds everything afresh rather than reusing stored embeddings
+  const { chunks, message } = await chunkAndEmbed(text);
+  if (!chunks) {
+    return { id: content._id, kind, error: message };
+  }
+
+  content.chunks = chunks;
+  if (source !== 'text') {
+    content.text = text;
+  }
+  await content.save();
+  return { ...summary, after: chunks.length };
+};
+
+/**
+ * Re-chunk and re-embed stored documents (and, with `versions`, their earlier
+ * versions). By default only content chunked before chunks carried metadata
+ * is processed; `all` processes everything. `filter` narrows the documents
+ * (e.g. { userId } or { type }). Returns the per-item summaries.
+ */
+exports.rechunkDocuments = async ({ apply = false, all = false, versions = false, filter = {} } = {}) => {
+  const legacyOnly = all ? {} : { 'chunks.startOffset': { $exists: false } };
+  const results = [];
+  const rechunk = async (content) => {
+    try {
+      results.push(await rechunkContent(content, { apply }));
+    } catch (error) {
+      results.push({ id: content._id, kind: contentKind(content), error: error.message });
+    }
+  };
+
+  // Documents with an upload in progress (or failed) are left to the document worker
+  const processed = { 'processing.status': { $in: [null, 'ready'] } };
+  const documents = Document.find({ ...filter, ...legacyOnly, ...processed }).cursor();
+  for await (const document of documents) {
+    await rechunk(document);
+  }
+
+  if (versions) {
+    const documentIds = await Document.find(filter).distinct('_id');
+    const documentVersions = DocumentVersion.find({ documentId: { $in: documentIds }, ...legacyOnly }).cursor();
+    for await (const version of documentVersions) {
+      await rechunk(version);
+    }
+  }
+
+  return results;
+};
@@ -0,0 +1,92 @@
+/**
+ * Reuse of work already done for a user's earlier uploads. Uploaded files
+ * are identified by the SHA-256 of their bytes and chunks by the SHA-256 of
+ * their text: uploading the same file again reuses its extracted content,
+ * and chunk text seen before reuses its embedding. Lookups never cross users.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Document = require('../models/Document');
+const DocumentVersion = require('../models/DocumentVersion');
+
+/**
+ * SHA-256 (hex) of a file's bytes or a string.
+ */
+exports.hashContent = (content) => {
+  return crypto.createHash('sha256').update(content).digest('hex');
+};
+
+const CONTENT_SELECT = 'fileName format ocr text resumeProfile jdAnalysis chunks';
+
+/**
+ * The user's current document or earlier version of type `type` whose
+ * uploaded file had `contentHash` and whose text was extracted, or null.
+ */
+exports.findDuplicateContent = async (userId, type, contentHash) => {
+  if (!contentHash) {
+    return null;
+  }
+
+  const hasText = { text: { $exists: true, $ne: '' } };
+  const document = await Document.findOne({ userId, type, contentHash, ...hasText })
+    .select(CONTENT_SELECT)
+    .sort({ updatedAt: -1 });
+  if (document) {
+    return document;
+  }
+
+  // Versions have no type of their own: only look at the user's documents of this type
+  const documentIds = await Document.find({ userId, type }).distinct('_id');
+  return DocumentVersion.findOne({ userId, documentId: { $in: documentIds }, contentHash, ...hasText })
+    .select(CONTENT_SELECT)
+    .sort({ supersededAt: -1 });
+};
+
+/**
+ * Content copied from `duplicate` (a document or version) for a new upload
+ * of the same file. Chunks get new ids.
+ */
+exports.duplicateContent = (duplicate) => {
+  const { ocr, text, resumeProfile, jdAnalysis, chunks } = duplicate.toObject();
+  return {
+    ocr: ocr || { used: false },
+    text,
+    resumeProfile: resumeProfile || null,
+    jdAnalysis: jdAnalysis || null,
+    chunks: (chunks || []).map(({ _id, ...chunk }) => chunk),
+  };
+};
+
+const isPlaceholder = embedding => embedding.every(value => value === 0);
+
+/**
+ * Embeddings the user's documents and versions already have for chunks with
+ * the given text hashes, as a Map of textHash -> embedding. Placeholder
+ * (all-zero) embeddings of chunks that failed to embed are left out.
+ */
+exports.findKnownEmbeddings = async (userId, textHashes) => {
+  const known = new Map();
+  if (!userId || textHashes.length === 0) {
+    return known;
+  }
+
+  const match = { 'chunks.textHash': { $in: textHashes } };
+  const pipeline = [
+    { $match: { userId: new mongoose.Types.ObjectId(String(userId)), ...match } },
+    { $unwind: '$chunks' },
+    { $match: match },
+    { $group: { _id: '$chunks.textHash', embedding: { $first: '$chunks.embedding' } } },
+  ];
+
+  for (const model of [Document, DocumentVersion]) {
+    if (known.size === textHashes.length) break;
+    const results = await model.aggregate(pipeline);
+    results.forEach(({ _id, embedding }) => {
+      if (!known.has(_id) && Array.isArray(embedding) && embedding.length > 0 && !isPlaceholder(embedding)) {
+        known.set(_id, embedding);
+      }
+    });
+  }
+  return known;
+};
@@ -0,0 +1,161 @@
+const Document = require('../models/Document');
+const DocumentVersion = require('../models/DocumentVersion');
+const { getStorage, getActiveStorage } = require('./storage');
+
+// Every document file is stored under this folder/prefix
+const DOCUMENT_STORAGE_PREFIX = 'interview-prep';
+
+/**
+ * Derive the Cloudinary public_id from a delivery URL
+ * (.../raw/upload/v123/interview-prep/<folder>/<id>). For raw resources
+ * the public_id includes any file extension.
+ */
+const publicIdFromUrl = (fileUrl) => {
+  const match = /\/upload\/(?:v\d+\/)?(.+)$/.exec(fileUrl || '');
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+/**
+ * Backend and key holding a document's file, or null when it has none.
+ * Documents stored before storage keys were recorded live on Cloudinary;
+ * until `npm run reconcile-storage -- --apply` backfills their key it is
+ * derived from the URL.
+ */
+const resolveDocumentFile = (document) => {
+  if (document.storageKey) {
+    return { storage: getStorage(document.storageProvider || 'cloudinary'), key: document.storageKey };
+  }
+
+  const publicId = publicIdFromUrl(document.fileUrl);
+  return publicId ? { storage: getStorage('cloudinary'), key: publicId } : null;
+};
+
+/**
+ * The storage fields of a document's file, with the key of legacy Cloudinary
+ * documents resolved, for copying the file reference to another record.
+ */
+const storedFileFields = (document) => {
+  const file = resolveDocumentFile(document);
+  return file
+    ? { storageProvider: file.storage.name, storageKey: file.key, fileUrl: document.fileUrl || null }
+    : { storageProvider: undefined, storageKey: undefined, fileUrl: null };
+};
+
+/**
+ * Save an uploaded file with the active storage backend. Returns the fields
+ * to store on the Document: { storageProvider, storageKey, fileUrl }.
+ */
+const storeDocumentFile = async (buffer, { folder, fileName, contentType }) => {
+  const storage = getActiveStorage();
+
+  try {
+    const { key, url } = await storage.put(buffer, { folder, fileName, contentType });
+    return { storageProvider: storage.name, storageKey: key, fileUrl: url };
+  } catch (storageError) {
+    console.error(`${storage.name} storage upload error:`, storageError);
+    throw new Error(`File storage failed: ${storageError.message}`);
+  }
+};
+
+/**
+ * Download a document's original file. Throws when it has none or the
+ * backend cannot return it.
+ */
+const fetchDocumentFile = async (document) => {
+  const file = resolveDocumentFile(document);
+  if (!file) {
+    throw new Error('Document has no stored file');
+  }
+  return file.storage.get(file.key);
+};
+
+/**
+ * Time-limited download URL for a document's file, or null when it has none.
+ */
+const getDocumentFileUrl = async (document, expiresIn) => {
+  const file = resolveDocumentFile(document);
+  if (!file) {
+    return null;
+  }
+  return file.storage.getSignedUrl(file.key, { expiresIn, fileName: document.fileName });
+};
+
+/**
+ * Delete a document's stored file. Failures are logged, not thrown, so
+ * database cleanup can still complete. Returns true on success.
+ */
+const destroyDocumentFile = async (document) => {
+  // Documents created from pasted text have no file
+  if (!document.storageKey && !document.fileUrl) {
+    return true;
+  }
+
+  const file = resolveDocumentFile(document);
+  if (!file) {
+    console.warn(`Could not determine the stored file to delete: ${document.fileUrl}`);
+    return false;
+  }
+
+  try {
+    console.log(`Deleting file from ${file.storage.name} storage: ${file.key}`);
+    await file.storage.delete(file.key);
+    return true;
+  } catch (storageError) {
+    // The file is now orphaned; `npm run reconcile-storage` finds and removes it later
+    console.error(`Error deleting file from ${file.storage.name} storage (${file.key}): ${storageError.message}. Run the storage reconciliation to clean it up.`);
+    return false;
+  }
+};
+
+/**
+ * Delete a document, its earlier versions and all their stored files,
+ * including an upload still waiting to be processed (select `processing.upload`).
+ * Returns true when every file was deleted.
+ */
+const deleteDocumentWithVersions = async (document) => {
+  const versions = await DocumentVersion.find({ documentId: document._id }).select('fileUrl storageProvider storageKey');
+  const pendingUpload = document.processing?.upload?.storageKey ? [document.processing.upload] : [];
+
+  await DocumentVersion.deleteMany({ documentId: document._id });
+  await Document.deleteOne({ _id: document._id });
+
+  // A restored version shares its file with the version it was restored from
+  const seen = new Set();
+  let allDeleted = true;
+  for (const item of [document, ...pendingUpload, ...versions]) {
+    const fileId = `${item.storageProvider}:${item.storageKey || item.fileUrl}`;
+    if (seen.has(fileId)) {
+      continue;
+    }
+    seen.add(fileId);
+    allDeleted = (await destroyDocumentFile(item)) && allDeleted;
+  }
+
+  return allDeleted;
+};
+
+/**
+ * Delete all documents matching `filter` along with their versions and
+ * stored files. Returns the number of documents deleted.
+ */
+const deleteDocumentsWithFiles = async (filter) => {
+  const documents = await Document.find(filter).select('fileUrl storageProvider storageKey processing.upload');
+
+  for (const document of documents) {
+    await deleteDocumentWithVersions(document);
+  }
+
+  return documents.length;
+};
+
+module.exports = {
+  DOCUMENT_STORAGE_PREFIX,
+  publicIdFromUrl,
+  storedFileFields,
+  storeDocumentFile,
+  fetchDocumentFile,
+  getDocumentFileUrl,
+  destroyDocumentFile,
+  deleteDocumentWithVersions,
+  deleteDocumentsWithFiles,
+};
@@ -0,0 +1,376 @@
+/**
+ * Background processing of uploaded documents. An upload is stored and
+ * queued on its Document (`processing`); the worker in this process claims
+ * queued documents one at a time, extracts their text, profile or
+ * requirements, chunks and embeds it, and makes the result the document's
+ * content (a new version when it replaces existing content). Failed
+ * attempts are retried with a growing delay. Progress is published to
+ * subscribers (the SSE endpoint) as it happens.
+ */
+
+const { EventEmitter } = require('events');
+const Document = require('../models/Document');
+const { chunkAndEmbed } = require('./documentChunks');
+const { extractDocumentText } = require('./textExtractor');
+const { extractResumeProfile, extractJdAnalysis } = require('./gemini');
+const { normalizeResumeProfile } = require('./resumeProfile');
+const { normalizeJdAnalysis } = require('./jdAnalysis');
+const { embedRequirements } = require('./matchReport');
+const { fetchDocumentFile, destroyDocumentFile } = require('./documentFiles');
+const { saveNewVersion } = require('./documentVersions');
+
+const WORKER_ENABLED = process.env.DOCUMENT_WORKER_ENABLED !== 'false';
+const POLL_SECONDS = parseInt(process.env.DOCUMENT_WORKER_POLL_SECONDS, 10) || 5;
+const MAX_ATTEMPTS = parseInt(process.env.DOCUMENT_PROCESSING_MAX_ATTEMPTS, 10) || 3;
+// Delay before the first retry, doubling with each further attempt
+const RETRY_SECONDS = parseInt(process.env.DOCUMENT_PROCESSING_RETRY_SECONDS, 10) || 30;
+// Processing that showed no progress for this long (e.g. after a crash) is queued again
+const STALE_MINUTES = parseInt(process.env.DOCUMENT_PROCESSING_STALE_MINUTES, 10) || 10;
+
+// Extracted text shorter than this is treated as a failed extraction
+const MIN_TEXT_CHARS = 50;
+
+const ACTIVE_STATUSES = ['queued', 'extracting', 'embedding'];
+const FINAL_STATUSES = ['ready', 'failed'];
+exports.ACTIVE_STATUSES = ACTIVE_STATUSES;
+exports.FINAL_STATUSES = FINAL_STATUSES;
+
+const events = new EventEmitter();
+events.setMaxListeners(0); // One listener per open progress stream
+
+// Embedding progress ({ done, total }) of the documents being processed here
+const embeddingProgress = new Map();
+
+// Progress refreshes a document's heartbeat at most this often
+const HEARTBEAT_SECONDS = 30;
+// When the heartbeat of each document being processed here was last written
+const lastHeartbeat = new Map();
+
+/**
+ * Whether a document has content to work with: it was processed, or it is
+ * processing an upload that will replace content it already has.
+ */
+exports.hasProcessedContent = (document) =>
+  !document.processing || document.processing.status === 'ready' || !!document.processing.newVersion;
+
+/**
+ * A document's processing status as sent to clients:
+ * { documentId, status, progress, attempts, maxAttempts, error, newVersion }
+ * with progress { done, total } while chunks are being embedded.
+ */
+const processingStatus = (document) => {
+  const processing = document.processing || {};
+  const status = processing.status || 'ready';
+  return {
+    documentId: document._id,
+    status,
+    progress: status === 'embedding' ? embeddingProgress.get(document._id.toString()) || null : null,
+    attempts: processing.attempts || 0,
+    maxAttempts: MAX_ATTEMPTS,
+    error: processing.error || null,
+    newVersion: !!processing.newVersion,
+  };
+};
+exports.processingStatus = processingStatus;
+
+const publish = (document) => {
+  events.emit(document._id.toString(), processingStatus(document));
+};
+
+/**
+ * Call `listener(status)` whenever the processing status of `documentId`
+ * changes in this process. Returns a function that unsubscribes.
+ */
+exports.subscribeToProcessing = (documentId, listener) => {
+  const key = documentId.toString();
+  events.on(key, listener);
+  return () => events.off(key, listener);
+};
+
+// Structured profile of a resume's text, or null for JDs and when extraction
+// fails (the document works without one; it can be extracted again later)
+const buildResumeProfile = async (type, text) => {
+  if (type !== 'resume') {
+    return null;
+  }
+
+  try {
+    console.log('🧾 Extracting structured resume profile...');
+    const resumeProfile = normalizeResumeProfile(await extractResumeProfile(text));
+    console.log(`🧾 Resume profile: ${resumeProfile.experience.length} roles, ${resumeProfile.skills.length} skills, ${resumeProfile.projects.length} projects`);
+    return { ...resumeProfile, source: 'ai', extractedAt: new Date() };
+  } catch (error) {
+    console.error('Resume profile extraction failed:', error.message);
+    return null;
+  }
+};
+exports.buildResumeProfile = buildResumeProfile;
+
+// Requirements parsed from a JD's text, or null for resumes and when
+// extraction fails (questions then fall back to the raw JD text)
+const buildJdAnalysis = async (type, text) => {
+  if (type !== 'jd') {
+    return null;
+  }
+
+  try {
+    console.log('🧾 Analyzing job description requirements...');
+    const jdAnalysis = normalizeJdAnalysis(await extractJdAnalysis(text));
+    console.log(`🧾 JD analysis: ${jdAnalysis.mustHaveSkills.length} must-have, ${jdAnalysis.niceToHaveSkills.length} nice-to-have skills`);
+    await embedRequirements(jdAnalysis);
+    return { ...jdAnalysis, source: 'ai', extractedAt: new Date() };
+  } catch (error) {
+    console.error('JD analysis failed:', error.message);
+    return null;
+  }
+};
+exports.buildJdAnalysis = buildJdAnalysis;
+
+// Record that a document's processing is still alive (see recoverStalled)
+const heartbeat = (document, update = {}) => {
+  lastHeartbeat.set(document._id.toString(), Date.now());
+  return Document.updateOne({ _id: document._id }, { ...update, 'processing.heartbeatAt': new Date() });
+};
+
+// Move a document to the next processing stage and tell subscribers
+const setStage = async (document, status) => {
+  document.processing.status = status;
+  await heartbeat(document, { 'processing.status': status });
+  publish(document);
+};
+
+/**
+ * Extract, analyze, chunk and embed a claimed document's upload and save it
+ * as the document's content. Returns { error, retry } when the upload cannot
+ * be processed (retry false when trying again would not help), { deleted }
+ * when the document was deleted meanwhile; throws on errors worth retrying.
+ */
+const processUpload = async (document) => {
+  const { upload } = document.processing;
+  const key = document._id.toString();
+
+  console.log(`📄 Extracting text from ${upload.format.toUpperCase()} (document ${document._id}, attempt ${document.processing.attempts})...`);
+  const { text, ocr } = await extractDocumentText(await fetchDocumentFile(upload), upload.format);
+
+  if (!text || text.trim().length < MIN_TEXT_CHARS) {
+    console.warn(`Extracted text too short or empty (${text?.trim().length || 0} chars)`);
+    return {
+      error: upload.format === 'pdf'
+        ? 'Could not extract sufficient text from PDF, even with text recognition. Please upload a clearer scan or a PDF with selectable text.'
+        : 'Could not extract sufficient text from the document. Please check that it is not empty.',
+      retry: false,
+    };
+  }
+  console.log(`✍️ Extracted text length: ${text.length}`);
+
+  const resumeProfile = await buildResumeProfile(document.type, text);
+  const jdAnalysis = await buildJdAnalysis(document.type, text);
+
+  await setStage(document, 'embedding');
+  const { chunks, status, message } = await chunkAndEmbed(text, {
+    userId: document.userId,
+    onProgress: (done, total) => {
+      embeddingProgress.set(key, { done, total });
+      publish(document);
+      if (Date.now() - (lastHeartbeat.get(key) || 0) >= HEARTBEAT_SECONDS * 1000) {
+        heartbeat(document).catch(error => console.error(`Heartbeat of document ${key} failed:`, error.message));
+      }
+    },
+  });
+  if (!chunks) {
+    return { error: message, retry: status >= 500 };
+  }
+
+  const content = {
+    storageProvider: upload.storageProvider,
+    storageKey: upload.storageKey,
+    fileUrl: upload.fileUrl || null,
+    fileName: upload.fileName,
+    format: upload.format,
+    contentHash: upload.contentHash,
+    ocr: ocr ? { used: true, ...ocr } : { used: false },
+    text,
+    resumeProfile,
+    jdAnalysis,
+    chunks,
+  };
+
+  // Deleted while it was being processed (deleting it also removed the upload):
+  // saving now would leave a version behind with no document. Should it be
+  // deleted after this check, the save fails and leaves no version either.
+  if (!(await Document.exists({ _id: document._id }))) {
+    return { deleted: true };
+  }
+
+  const { newVersion, attempts } = document.processing;
+  document.processing = { status: 'ready', attempts, finishedAt: new Date() };
+  if (newVersion) {
+    await saveNewVersion(document, content);
+  } else {
+    document.set({ ...content, updatedAt: new Date() });
+    await document.save();
+  }
+  return {};
+};
+
+// Message shown for an attempt that threw
+const describeError = (error) => {
+  if (error.message.includes('extract text')) {
+    return 'Failed to read text from the uploaded file. Please ensure it is not corrupted (and, for PDFs, contains selectable text).';
+  }
+  if (error.message.includes('embedding')) {
+    return 'Failed to process document content with AI.';
+  }
+  return 'Error processing the document.';
+};
+
+// Queue a retry of the claimed `processing`, or give up once attempts run out.
+// The file of a failed new version is deleted; a new document keeps its file
+// until it is deleted.
+const failAttempt = async (document, claimed, error, retry) => {
+  const { attempts, newVersion, upload } = claimed;
+  let processing;
+
+  if (retry && attempts < MAX_ATTEMPTS) {
+    const delaySeconds = RETRY_SECONDS * 2 ** (attempts - 1);
+    console.warn(`Processing document ${document._id} failed (attempt ${attempts}/${MAX_ATTEMPTS}), retrying in ${delaySeconds}s: ${error}`);
+    processing = { ...claimed, status: 'queued', error, runAt: new Date(Date.now() + delaySeconds * 1000) };
+  } else {
+    console.error(`❌ Processing document ${document._id} failed after ${attempts} attempt(s): ${error}`);
+    processing = { ...claimed, status: 'failed', error, finishedAt: new Date() };
+    if (newVersion && upload?.storageKey) {
+      await destroyDocumentFile(upload);
+      delete processing.upload;
+    }
+  }
+
+  await Document.updateOne({ _id: document._id }, { processing });
+  document.processing = processing;
+  publish(document);
+};
+
+// Process one claimed document, recording the outcome
+const runClaimed = async (document) => {
+  const key = document._id.toString();
+  const claimed = document.processing.toObject();
+  publish(document);
+
+  try {
+    const { error, retry, deleted } = await processUpload(document);
+    if (deleted) {
+      console.log(`Document ${document._id} was deleted while being processed`);
+    } else if (error) {
+      await failAttempt(document, claimed, error, retry);
+    } else {
+      console.log(`✅ Document ${document._id} processed (${document.chunks.length} chunks, version ${document.version})`);
+      publish(document);
+    }
+  } catch (error) {
+    console.error(`Processing document ${document._id} threw:`, error);
+    // Deleted while it was being processed: nothing left to record
+    if (await Document.exists({ _id: document._id })) {
+      await failAttempt(document, claimed, describeError(error), true);
+    }
+  } finally {
+    embeddingProgress.delete(key);
+    lastHeartbeat.delete(key);
+  }
+};
+
+// Atomically take the next due document off the queue
+const claimNext = () => Document.findOneAndUpdate(
+  { 'processing.status': 'queued', 'processing.runAt': { $lte: new Date() } },
+  {
+    $set: { 'processing.status': 'extracting', 'processing.startedAt': new Date(), 'processing.heartbeatAt': new Date() },
+    $inc: { 'processing.attempts': 1 },
+  },
+  { sort: { 'processing.runAt': 1 }, new: true }
+);
+
+// Queue processing abandoned mid-way again, or fail it when out of attempts.
+// Long uploads stay alive as long as their heartbeat is refreshed.
+const recoverStalled = async () => {
+  const staleBefore = new Date(Date.now() - STALE_MINUTES * 60 * 1000);
+  const stalled = {
+    'processing.status': { $in: ['extracting', 'embedding'] },
+    $or: [
+      { 'processing.heartbeatAt': { $lt: staleBefore } },
+      // Claimed before heartbeats were recorded
+      { 'processing.heartbeatAt': null, 'processing.startedAt': { $lt: staleBefore } },
+    ],
+  };
+
+  await Document.updateMany(
+    { ...stalled, 'processing.attempts': { $gte: MAX_ATTEMPTS } },
+    { 'processing.status': 'failed', 'processing.error': 'Processing did not finish. Please upload the file again.', 'processing.finishedAt': new Date() }
+  );
+  const { modifiedCount } = await Document.updateMany(stalled, { 'processing.status': 'queued', 'processing.runAt': new Date() });
+  if (modifiedCount > 0) {
+    console.warn(`Re-queued ${modifiedCount} document(s) whose processing stalled`);
+  }
+};
+
+let started = false;
+let running = false;
+let timer = null;
+
+const schedule = (delayMs) => {
+  clearTimeout(timer);
+  timer = setTimeout(runQueue, delayMs);
+  timer.unref();
+};
+
+// Work through every due document, then wait for the next poll
+async function runQueue() {
+  if (running) return;
+  running = true;
+
+  try {
+    await recoverStalled();
+    let document;
+    while ((document = await claimNext())) {
+      await runClaimed(document);
+    }
+  } catch (error) {
+    console.error('Document worker error:', error);
+  } finally {
+    running = false;
+    schedule(POLL_SECONDS * 1000);
+  }
+}
+
+/**
+ * Start polling for queued documents. Set DOCUMENT_WORKER_ENABLED=false on
+ * servers that should only take uploads and leave processing to others.
+ */
+exports.startDocumentWorker = () => {
+  if (started || !WORKER_ENABLED) return;
+  started = true;
+  console.log(`⚙️ Document worker started (max ${MAX_ATTEMPTS} attempts per upload)`);
+  schedule(0);
+};
+
+/**
+ * Queue `upload` (the stored file fields plus fileName, format and contentHash) for
+ * processing on `document` and save it. With `newVersion` the document's
+ * current content stays in use until the upload replaces it.
+ */
+exports.queueUpload = async (document, upload, { newVersion }) => {
+  const now = new Date();
+  document.processing = {
+    status: 'queued',
+    upload,
+    newVersion,
+    attempts: 0,
+    error: null,
+    queuedAt: now,
+    runAt: now,
+  };
+  await document.save();
+
+  // Pick it up now rather than at the next poll
+  if (started && !running) {
+    schedule(0);
+  }
+  return document;
+};
@@ -0,0 +1,100 @@
+const DocumentVersion = require('../models/DocumentVersion');
+const { diffLines } = require('diff');
+const { storedFileFields } = require('./documentFiles');
+
+// What changes from one version of a document to the next
+const CONTENT_FIELDS = ['fileName', 'format', 'contentHash', 'ocr', 'text', 'resumeProfile', 'jdAnalysis', 'chunks'];
+
+/**
+ * The text of a document or version. Documents stored before versioning
+ * only kept their chunks, which is the best approximation available.
+ */
+const documentText = (content) =>
+  content.text || (content.chunks || []).map(chunk => chunk.text).join('\n\n');
+exports.documentText = documentText;
+
+/**
+ * Whether saving a version failed because another upload or restore of the
+ * same document saved that version number first.
+ */
+exports.isVersionConflict = error => error?.code === 11000;
+
+/**
+ * Replace a document's content (file, text and chunks) with `content`,
+ * keeping the current content as a DocumentVersion. Fields missing from
+ * `content` are cleared. `document` must be loaded with all its fields.
+ * Throws a duplicate key error (see isVersionConflict) when another save of
+ * the document got there first; a failed save leaves no version behind.
+ */
+exports.saveNewVersion = async (document, content) => {
+  const currentVersion = document.version || 1;
+
+  const previous = await DocumentVersion.create({
+    documentId: document._id,
+    userId: document.userId,
+    version: currentVersion,
+    ...storedFileFields(document),
+    ...Object.fromEntries(CONTENT_FIELDS.map(field => [field, document[field]])),
+    createdAt: document.updatedAt || document.createdAt,
+  });
+
+  document.set({
+    storageProvider: content.storageProvider,
+    storageKey: content.storageKey,
+    fileUrl: content.fileUrl || null,
+    ...Object.fromEntries(CONTENT_FIELDS.map(field => [field, content[field]])),
+    ocr: content.ocr || { used: false },
+    version: currentVersion + 1,
+    updatedAt: new Date(),
+  });
+
+  try {
+    return await document.save();
+  } catch (error) {
+    // Without this the version number stays taken and every later save conflicts
+    await DocumentVersion.deleteOne({ _id: previous._id });
+    throw error;
+  }
+};
+
+/**
+ * A document's content as of `version`: the document itself for the current
+ * version, otherwise its DocumentVersion. Null when there is no such version.
+ */
+exports.findDocumentVersion = async (document, version, select) => {
+  if (version === (document.version || 1)) {
+    return document;
+  }
+
+  let query = DocumentVersion.findOne({ documentId: document._id, version });
+  if (select) {
+    query = query.select(select);
+  }
+  return query;
+};
+
+/**
+ * Make an earlier version current again. The restore is itself a new version,
+ * so the version it replaces stays in the history.
+ */
+exports.restoreVersion = async (document, version) => {
+  const content = await exports.findDocumentVersion(document, version);
+  if (!content) {
+    return null;
+  }
+  return exports.saveNewVersion(document, content.toObject());
+};
+
+/**
+ * Line diff between two versions' text: a list of { value, added, removed }
+ * parts covering both texts, plus the number of lines added and removed.
+ */
+exports.diffDocumentText = (fromContent, toContent) => {
+  const changes = diffLines(documentText(fromContent), documentText(toContent));
+
+  return {
+    changes: changes.map(({ value, added, removed }) => ({ value, added: !!added, removed: !!removed })),
+    linesAdded: changes.filter(change => change.added).reduce((sum, change) => sum + change.count, 0),
+    linesRemoved: changes.filter(change => change.removed).reduce((sum, change) => sum + change.count, 0),
+  };
+};
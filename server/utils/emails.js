@@ -0,0 +1,66 @@
+const { sendMail } = require('./mailer');
+
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:5173';
+
+/**
+ * Send the password reset link to a user.
+ */
+exports.sendPasswordResetEmail = async (user, resetToken, expiresInMinutes) => {
+  const resetUrl = `${clientUrl()}/reset-password?token=${resetToken}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your InterviewAI password',
+    text: `We received a request to reset the password for your InterviewAI account.
+
+Open the link below to choose a new password (valid for ${expiresInMinutes} minutes):
+${resetUrl}
+
+If you did not request this, you can ignore this email; your password will not change.`,
+    html: `<p>We received a request to reset the password for your InterviewAI account.</p>
+<p><a href="${resetUrl}">Choose a new password</a> (valid for ${expiresInMinutes} minutes).</p>
+<p>If you did not request this, you can ignore this email; your password will not change.</p>`,
+  });
+};
+
+/**
+ * Send the email address verification link to a newly registered user.
+ */
+exports.sendVerificationEmail = async (user, verificationToken, expiresInHours) => {
+  const verifyUrl = `${clientUrl()}/verify-email?token=${verificationToken}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your InterviewAI email address',
+    text: `Welcome to InterviewAI!
+
+Please confirm your email address by opening the link below (valid for ${expiresInHours} hours):
+${verifyUrl}
+
+If you did not create an account, you can ignore this email.`,
+    html: `<p>Welcome to InterviewAI!</p>
+<p><a href="${verifyUrl}">Confirm your email address</a> (valid for ${expiresInHours} hours).</p>
+<p>If you did not create an account, you can ignore this email.</p>`,
+  });
+};
+
+/**
+ * Notify a user that their account was locked after repeated failed logins.
+ */
+exports.sendAccountLockedEmail = async (user, unlockToken, lockMinutes) => {
+  const unlockUrl = `${clientUrl()}/unlock-account?token=${unlockToken}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Your InterviewAI account has been locked',
+    text: `Your InterviewAI account was locked after several failed login attempts.
+
+It will unlock automatically in ${lockMinutes} minutes, or you can unlock it now:
+${unlockUrl}
+
+If these attempts were not you, consider resetting your password after unlocking.`,
+    html: `<p>Your InterviewAI account was locked after several failed login attempts.</p>
+<p>It will unlock automatically in ${lockMinutes} minutes, or you can <a href="${unlockUrl}">unlock it now</a>.</p>
+<p>If these attempts were not you, consider resetting your password after unlocking.</p>`,
+  });
+};
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * 32-byte key derived from ENCRYPTION_KEY (falls back to JWT_SECRET so local
+ * setups work without extra config; set a dedicated key in production).
+ */
+const getKey = () => {
+  const secret = process.env.ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('ENCRYPTION_KEY (or JWT_SECRET) must be set to encrypt secrets');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Encrypt a string for storage. Output format: iv:authTag:ciphertext (hex).
+ */
+exports.encrypt = (plainText) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(String(plainText), 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return [iv.toString('hex'), authTag.toString('hex'), encrypted.toString('hex')].join(':');
+};
+
+/**
+ * Decrypt a value produced by encrypt().
+ */
+exports.decrypt = (payload) => {
+  const [ivHex, authTagHex, encryptedHex] = String(payload).split(':');
+  if (!ivHex || !authTagHex || !encryptedHex) {
+    throw new Error('Invalid encrypted payload');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(ivHex, 'hex'));
+  decipher.setAuthTag(Buffer.from(authTagHex, 'hex'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(encryptedHex, 'hex')),
+    decipher.final(),
+  ]).toString('utf8');
+};
@@ -1,4 +1,6 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { formatResumeProfile } = require('./resumeProfile');
+const { formatJdAnalysis, planQuestionTargets } = require('./jdAnalysis');
 
 // Initialize Gemini
 if (!process.env.GEMINI_API_KEY) {
@@ -96,8 +98,9 @@ exports.generateEmbedding = async (text) => {
 
 /**
  * Generate embeddings for multiple text chunks sequentially to avoid rate limits.
+ * `onProgress(done, total)` is called after each chunk.
  */
-exports.generateEmbeddings = async (texts) => {
+exports.generateEmbeddings = async (texts, onProgress) => {
   try {
     if (!Array.isArray(texts) || texts.length === 0) {
       throw new Error('Input must be a non-empty array of texts for embeddings');
@@ -132,6 +135,7 @@ exports.generateEmbeddings = async (texts) => {
            console.error(`Failed to generate embedding for chunk "${text.substring(0,50)}..." after retries:`, chunkError);
            embeddings.push(new Array(embeddingDimension).fill(0)); // Placeholder
        }
+       onProgress?.(embeddings.length, texts.length);
     }
 
     // Now all elements in embeddings should be arrays of numbers
@@ -188,9 +192,142 @@ exports.generateChatResponse = async (prompt) => {
 };
 
 /**
- * Generate interview questions from job description text.
+ * Describe the candidate profile (User.profile) as prompt text.
+ * Returns an empty string when no profile details are set.
  */
-exports.generateInterviewQuestions = async (jdText, numQuestions = 3) => {
+function formatCandidateProfile(profile) {
+  if (!profile) return '';
+
+  const lines = [];
+  if (profile.targetRole) lines.push(`- Target role: ${profile.targetRole}`);
+  if (profile.level) lines.push(`- Seniority level: ${profile.level}`);
+  if (typeof profile.yearsOfExperience === 'number') lines.push(`- Years of experience: ${profile.yearsOfExperience}`);
+  if (profile.stack?.length) lines.push(`- Preferred stack: ${profile.stack.join(', ')}`);
+  if (profile.industries?.length) lines.push(`- Industries: ${profile.industries.join(', ')}`);
+  if (profile.weakAreas?.length) lines.push(`- Areas the candidate wants to improve: ${profile.weakAreas.join(', ')}`);
+
+  return lines.join('\n');
+}
+
+// Longest document text sent for structured extraction (resumes and JDs rarely come close)
+const EXTRACTION_MAX_CHARS = 20000;
+
+/**
+ * Run an extraction prompt in JSON mode and parse the result.
+ * `subject` names what is extracted, for logs and error messages.
+ */
+const generateJson = async (prompt, subject) => {
+  try {
+    return await retryWithBackoff(async () => {
+      const model = getTextGenerationModel({
+        temperature: 0.1, // Extraction, not creativity
+        maxOutputTokens: 8192, // Long documents produce long JSON
+        responseMimeType: 'application/json',
+      });
+
+      const result = await model.generateContent(prompt);
+      const response = await result.response;
+      const text = response.text();
+
+      if (!text || text.trim().length === 0) {
+        const finishReason = response?.candidates?.[0]?.finishReason;
+        console.error(`❌ AI returned an empty response when extracting the ${subject}. Finish Reason:`, finishReason);
+        throw new Error(finishReason === 'MAX_TOKENS'
+          ? `The ${subject} exceeded maximum length.`
+          : `Empty response received from AI model when extracting the ${subject}`);
+      }
+
+      // JSON mode should return bare JSON; tolerate a Markdown code fence anyway
+      const json = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+      try {
+        return JSON.parse(json);
+      } catch (parseError) {
+        console.error(`Could not parse ${subject} JSON:`, json.substring(0, 300));
+        throw new Error(`AI returned an invalid ${subject}`);
+      }
+    });
+  } catch (error) {
+    console.error(`Error extracting ${subject}:`, error);
+    throw new Error(`Unable to extract ${subject}: ${error.message}`);
+  }
+};
+
+/**
+ * Extract a structured profile (summary, experience, education, skills with
+ * evidence, projects) from resume text. Returns the parsed JSON object as the
+ * model produced it; clean it with normalizeResumeProfile before storing.
+ */
+exports.extractResumeProfile = async (resumeText) => {
+  if (!resumeText || typeof resumeText !== 'string' || resumeText.trim().length === 0) {
+    throw new Error('Resume text must be a non-empty string');
+  }
+
+  const prompt = `You are a precise resume parser. Extract the candidate's information from the resume below into JSON.
+
+Return ONLY a JSON object with exactly these fields:
+{
+  "summary": "one or two sentences describing the candidate, in the third person",
+  "experience": [{ "title": "", "company": "", "location": "", "startDate": "", "endDate": "", "highlights": ["achievement or responsibility, as written"] }],
+  "education": [{ "institution": "", "degree": "", "field": "", "startDate": "", "endDate": "" }],
+  "skills": [{ "name": "", "category": "language | framework | database | cloud | tool | practice | soft skill", "evidence": ["short phrase from the resume showing the skill in use"] }],
+  "projects": [{ "name": "", "description": "", "technologies": [""], "url": "" }]
+}
+
+Rules:
+- Use only information stated in the resume; never invent employers, dates, degrees or skills.
+- Keep dates as written (e.g. "Mar 2021", "2019", "Present"); use "" when unknown.
+- List experience and education most recent first.
+- Give each skill once. Its evidence must quote or closely paraphrase where the resume shows it used (a job highlight or project); use [] when the skill is only listed.
+- Use "" or [] for anything the resume does not contain.
+
+Resume:
+${resumeText.substring(0, EXTRACTION_MAX_CHARS)}`;
+
+  return generateJson(prompt, 'resume profile');
+};
+
+/**
+ * Extract the requirements of a job description (must-have and nice-to-have
+ * skills, seniority, responsibilities, domain). Returns the parsed JSON object
+ * as the model produced it; clean it with normalizeJdAnalysis before storing.
+ */
+exports.extractJdAnalysis = async (jdText) => {
+  if (!jdText || typeof jdText !== 'string' || jdText.trim().length === 0) {
+    throw new Error('Job description text must be a non-empty string');
+  }
+
+  const prompt = `You are a precise job description analyst. Extract the requirements of the job description below into JSON.
+
+Return ONLY a JSON object with exactly these fields:
+{
+  "title": "job title",
+  "seniority": "one of: intern, junior, mid, senior, lead, principal, or \"\" when the description does not indicate it",
+  "domain": "industry or product domain, e.g. fintech, e-commerce, developer tools",
+  "summary": "one or two sentences describing the role",
+  "mustHaveSkills": [{ "name": "skill or technology", "detail": "what is asked of it, e.g. \"3+ years\" or \"building REST APIs\"" }],
+  "niceToHaveSkills": [{ "name": "", "detail": "" }],
+  "responsibilities": ["main responsibility of the role"]
+}
+
+Rules:
+- Use only information stated in the job description; never invent requirements.
+- Must-have skills are those stated as required, expected or essential; skills described as a plus, preferred, bonus or nice to have are nice-to-have. When unclear, treat a skill as must-have.
+- List skills most important first, each once, with a short name ("React", not "Experience with React").
+- Infer seniority from the title and the years of experience asked for.
+- Use "" or [] for anything the description does not contain.
+
+Job description:
+${jdText.substring(0, EXTRACTION_MAX_CHARS)}`;
+
+  return generateJson(prompt, 'job description analysis');
+};
+
+/**
+ * Generate interview questions from job description text,
+ * tailored to the candidate profile and structured resume when provided.
+ * With a JD analysis, each technical question is assigned a requirement.
+ */
+exports.generateInterviewQuestions = async (jdText, numQuestions = 3, profile = null, resumeProfile = null, jdAnalysis = null) => {
   try {
     // Input validation
     if (!jdText || typeof jdText !== 'string' || jdText.trim().length === 0) {
@@ -201,17 +338,61 @@ exports.generateInterviewQuestions = async (jdText, numQuestions = 3) => {
     }
 
     const technicalCount = numQuestions - 1;
-
-    const prompt = `You are a professional technical interviewer. Based on the following job description, generate exactly ${numQuestions} relevant interview questions.
+    const candidateProfile = formatCandidateProfile(profile);
+    const profileSection = candidateProfile
+      ? `
+Candidate Profile:
+${candidateProfile}
+`
+      : '';
+    const profileRequirements = candidateProfile
+      ? `
+- Match the difficulty of the questions to the candidate's seniority level and years of experience.
+- Where the job description allows, frame technical questions around the candidate's preferred stack and industries.
+- If the candidate listed areas to improve that are relevant to the job description, make at least one technical question exercise one of them.`
+      : '';
+    const resumeSummary = formatResumeProfile(resumeProfile);
+    const resumeSection = resumeSummary
+      ? `
+Candidate's Resume (structured):
+${resumeSummary}
+`
+      : '';
+    const resumeRequirements = resumeSummary
+      ? `
+- Where it fits the job description, anchor questions in the candidate's actual experience and projects (e.g. "In your role at ..., how did you ...").
+- Probe at least one skill the job requires for which the resume shows little or no evidence.`
+      : '';
+    const requirementsSummary = formatJdAnalysis(jdAnalysis);
+    const requirementsSection = requirementsSummary
+      ? `
+Job Requirements (structured):
+${requirementsSummary}
+`
+      : '';
+    // One requirement per technical question, must-haves first
+    const targets = planQuestionTargets(jdAnalysis, technicalCount);
+    const targetRequirements = targets.length
+      ? `
+- Each technical question must assess its assigned requirement:
+${targets.map((target, index) => `  Question ${index + 1}: ${target.name} (${target.priority}${target.detail ? `; ${target.detail}` : ''})`).join('\n')}${targets.length < technicalCount ? `
+  Remaining technical questions: the role's responsibilities or any other listed requirement.` : ''}`
+      : '';
+    const seniorityRequirement = jdAnalysis?.seniority
+      ? `
+- Pitch the technical questions at the role's seniority (${jdAnalysis.seniority}).`
+      : '';
+
+    const prompt = `You are a professional technical interviewer. Based on the following job description${candidateProfile ? ', candidate profile' : ''}${resumeSummary ? ' and resume' : ''}, generate exactly ${numQuestions} relevant interview questions.
 
 Job Description:
 ${jdText}
-
+${requirementsSection}${profileSection}${resumeSection}
 Requirements:
 - Generate exactly ${numQuestions} questions total.
 - The first ${technicalCount} question(s) MUST be TECHNICAL and/or ROLE-SPECIFIC, directly related to the skills and responsibilities mentioned in the job description. Focus on technologies like MERN stack, React, Node.js, Express, MongoDB, Tailwind CSS if mentioned.
 - The LAST question (question ${numQuestions}) MUST be a BEHAVIORAL question assessing teamwork, problem-solving, handling challenges, or communication skills.
-- Ensure technical questions are specific and probe understanding (e.g., "Explain how you would..." or "Describe a time when you...").
+- Ensure technical questions are specific and probe understanding (e.g., "Explain how you would..." or "Describe a time when you...").${targetRequirements}${seniorityRequirement}${profileRequirements}${resumeRequirements}
 - Keep all questions clear, concise, and suitable for a real interview.
 - Format the output STRICTLY as a numbered list, with each question on a new line, like this:
 1. [Question 1 text]
@@ -288,9 +469,10 @@ Generate the questions now:`;
 };
 
 /**
- * Evaluate ALL answers provided by the candidate against the questions and resume context.
+ * Evaluate ALL answers provided by the candidate against the questions and resume context,
+ * calibrated to the candidate profile and structured resume when provided.
  */
-exports.evaluateAllAnswers = async (questionsAndAnswers, resumeContext) => {
+exports.evaluateAllAnswers = async (questionsAndAnswers, resumeContext, profile = null, resumeProfile = null) => {
   try {
     // Input validation
     if (!Array.isArray(questionsAndAnswers) || questionsAndAnswers.length === 0) {
@@ -312,6 +494,21 @@ exports.evaluateAllAnswers = async (questionsAndAnswers, resumeContext) => {
       `Question ${idx + 1}: ${qa.question}\nCandidate's Answer: ${qa.answer}`
     ).join('\n\n');
 
+    const candidateProfile = formatCandidateProfile(profile);
+    const profileSection = candidateProfile
+      ? `
+Candidate Profile (calibrate expectations to this seniority and target role; where relevant, point out progress or remaining gaps in the listed areas to improve):
+${candidateProfile}
+`
+      : '';
+    const resumeSummary = formatResumeProfile(resumeProfile);
+    const resumeSection = resumeSummary
+      ? `
+Candidate's Resume (structured; check claims in the answers against the stated experience, dates and skill evidence):
+${resumeSummary}
+`
+      : '';
+
     // Construct the evaluation prompt
     const prompt = `You are an expert interview evaluator specializing in software engineering roles (MERN stack). Evaluate the candidate's responses to ALL interview questions below with DETAILED SCORING based on relevance, correctness, and overall quality, considering the provided resume context.
 
@@ -320,7 +517,7 @@ ${qaText}
 
 Relevant Context from Candidate's Resume (use this to gauge experience claims):
 ${resumeContext}
-
+${resumeSection}${profileSection}
 Evaluation Task:
 For EACH question, provide the following on separate lines:
 1.  **Relevance Score** (1-10): How directly and completely does the answer address the specific question asked? (1=Off-topic, 10=Perfectly relevant)
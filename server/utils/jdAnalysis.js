@@ -0,0 +1,108 @@
+/**
+ * Structured job description analyses (Document.jdAnalysis): cleaning AI
+ * output and user edits into the stored shape, describing an analysis in
+ * prompts, and choosing which requirement each interview question targets.
+ */
+
+const { PROFILE_LEVELS } = require('../models/User');
+const { cleanText, cleanList, cleanEntries } = require('./resumeProfile');
+
+const JD_ANALYSIS_LIMITS = {
+  skills: 40, // must-have and nice-to-have skills, each
+  responsibilities: 20,
+  textLength: 200,
+  longTextLength: 1000,
+};
+exports.JD_ANALYSIS_LIMITS = JD_ANALYSIS_LIMITS;
+
+// "Senior", "Mid-level", "Senior/Lead" -> the most specific profile level
+// mentioned, as a whole word ("internal" is not intern)
+const SENIORITY_PATTERNS = [...PROFILE_LEVELS].reverse()
+  .map(level => ({ level, pattern: new RegExp(`\\b${level}\\b`) }));
+
+const cleanSeniority = (value) => {
+  const text = cleanText(value).toLowerCase();
+  return SENIORITY_PATTERNS.find(({ pattern }) => pattern.test(text))?.level || '';
+};
+
+const cleanSkills = (value) => cleanEntries(value, JD_ANALYSIS_LIMITS.skills, (entry) => ({
+  name: cleanText(entry.name, 100),
+  detail: cleanText(entry.detail),
+}), entry => !entry.name);
+
+/**
+ * Coerce an analysis (model output or a user's edit) into the stored shape.
+ * A skill listed as both must-have and nice-to-have is kept as a must-have.
+ */
+exports.normalizeJdAnalysis = (raw) => {
+  const analysis = raw && typeof raw === 'object' ? raw : {};
+  const { responsibilities, longTextLength } = JD_ANALYSIS_LIMITS;
+
+  const seen = new Set();
+  const unique = skills => skills.filter((skill) => {
+    const key = skill.name.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  return {
+    title: cleanText(analysis.title),
+    seniority: cleanSeniority(analysis.seniority),
+    domain: cleanText(analysis.domain),
+    summary: cleanText(analysis.summary, longTextLength),
+    mustHaveSkills: unique(cleanSkills(analysis.mustHaveSkills)),
+    niceToHaveSkills: unique(cleanSkills(analysis.niceToHaveSkills)),
+    responsibilities: cleanList(analysis.responsibilities, responsibilities),
+  };
+};
+
+const formatSkill = skill => `- ${skill.name}${skill.detail ? `: ${skill.detail}` : ''}`;
+
+/**
+ * Describe a JD analysis as prompt text, at most `maxChars` long.
+ * Returns an empty string when there is no analysis.
+ */
+exports.formatJdAnalysis = (analysis, maxChars = 4000) => {
+  if (!analysis) return '';
+
+  const lines = [];
+  if (analysis.title) lines.push(`Role: ${analysis.title}`);
+  if (analysis.seniority) lines.push(`Seniority: ${analysis.seniority}`);
+  if (analysis.domain) lines.push(`Domain: ${analysis.domain}`);
+  if (analysis.summary) lines.push(`Summary: ${analysis.summary}`);
+
+  if (analysis.mustHaveSkills?.length) {
+    lines.push('Must-have skills:');
+    analysis.mustHaveSkills.forEach(skill => lines.push(formatSkill(skill)));
+  }
+  if (analysis.niceToHaveSkills?.length) {
+    lines.push('Nice-to-have skills:');
+    analysis.niceToHaveSkills.forEach(skill => lines.push(formatSkill(skill)));
+  }
+  if (analysis.responsibilities?.length) {
+    lines.push('Responsibilities:');
+    analysis.responsibilities.forEach(responsibility => lines.push(`- ${responsibility}`));
+  }
+
+  const text = lines.join('\n');
+  return text.length > maxChars ? `${text.substring(0, maxChars)}\n[...]` : text;
+};
+
+/**
+ * All skill requirements of an analysis, must-haves first, each as
+ * { name, detail, priority } with priority 'must-have' or 'nice-to-have'.
+ */
+const listRequirements = (analysis) => [
+  ...(analysis?.mustHaveSkills || []).map(skill => ({ name: skill.name, detail: skill.detail, priority: 'must-have' })),
+  ...(analysis?.niceToHaveSkills || []).map(skill => ({ name: skill.name, detail: skill.detail, priority: 'nice-to-have' })),
+];
+exports.listRequirements = listRequirements;
+
+/**
+ * Pick the requirement each of `count` technical questions should assess:
+ * must-have skills in the order the JD lists them, then nice-to-have skills.
+ * Returns fewer targets than `count` when the JD lists fewer skills; the
+ * remaining questions are left to the model.
+ */
+exports.planQuestionTargets = (analysis, count) => listRequirements(analysis).slice(0, count);
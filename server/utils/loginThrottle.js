@@ -0,0 +1,54 @@
+/**
+ * Progressive delay between failed logins, per client IP and email address.
+ * It applies the same way whether or not an account has the email, so its
+ * responses do not reveal which addresses are registered.
+ */
+
+const LoginThrottle = require('../models/LoginThrottle');
+const { hashToken } = require('./tokens');
+
+const LOGIN_DELAY_BASE_SECONDS = parseInt(process.env.LOGIN_DELAY_BASE_SECONDS, 10) || 1;
+const LOGIN_DELAY_MAX_SECONDS = parseInt(process.env.LOGIN_DELAY_MAX_SECONDS, 10) || 30;
+// Failures older than this no longer count towards the delay
+const LOGIN_DELAY_WINDOW_MINUTES = 15;
+
+const throttleKey = (req, email) => hashToken(`${req.ip}|${String(email).toLowerCase().trim()}`);
+
+/**
+ * Seconds the client must still wait before its next login attempt for
+ * `email` is accepted. The wait doubles with every consecutive failure
+ * (1s, 2s, 4s, ... capped).
+ */
+exports.loginRetryAfterSeconds = async (req, email) => {
+  const throttle = await LoginThrottle.findOne({ key: throttleKey(req, email), expiresAt: { $gt: new Date() } });
+  if (!throttle || !throttle.failures) {
+    return 0;
+  }
+
+  const delaySeconds = Math.min(
+    LOGIN_DELAY_BASE_SECONDS * Math.pow(2, throttle.failures - 1),
+    LOGIN_DELAY_MAX_SECONDS
+  );
+  const remainingMs = throttle.lastFailedAt.getTime() + delaySeconds * 1000 - Date.now();
+
+  return remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0;
+};
+
+// Count a failed login (wrong email, password or 2FA code)
+exports.recordFailedLogin = async (req, email) => {
+  const now = new Date();
+  await LoginThrottle.updateOne(
+    { key: throttleKey(req, email) },
+    {
+      $inc: { failures: 1 },
+      lastFailedAt: now,
+      expiresAt: new Date(now.getTime() + LOGIN_DELAY_WINDOW_MINUTES * 60 * 1000)
+    },
+    { upsert: true }
+  );
+};
+
+// Forget the failures once the client has logged in
+exports.clearFailedLogins = async (req, email) => {
+  await LoginThrottle.deleteOne({ key: throttleKey(req, email) });
+};
@@ -0,0 +1,110 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Pluggable mailer.
+ *
+ * MAIL_TRANSPORT selects the transport:
+ *   - 'smtp'    : send through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+ *   - 'file'    : write each message as JSON into MAIL_FILE_DIR (local dev)
+ *   - 'console' : log each message to stdout (local dev)
+ * Defaults to 'smtp' when SMTP_HOST is set, otherwise 'console'.
+ */
+
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    },
+  };
+};
+
+const createFileTransport = () => {
+  const dir = path.resolve(process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'mail-outbox'));
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.mkdir(dir, { recursive: true });
+      const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      const filePath = path.join(dir, `${id}.json`);
+      await fs.writeFile(filePath, JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2));
+      console.log(`📧 Mail written to ${filePath}`);
+      return { id };
+    },
+  };
+};
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log('📧 ----- Outgoing mail -----');
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log(message.text);
+    console.log('📧 -------------------------');
+    return { id: `console-${Date.now()}` };
+  },
+});
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+let activeTransport = null;
+
+/**
+ * Get (and lazily create) the configured transport.
+ */
+const getTransport = () => {
+  if (activeTransport) return activeTransport;
+
+  const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+  const factory = transports[name];
+
+  if (!factory) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(transports).join(', ')}`);
+  }
+
+  activeTransport = factory();
+  return activeTransport;
+};
+
+/**
+ * Send an email through the configured transport.
+ */
+exports.sendMail = async ({ to, subject, text, html }) => {
+  if (!to || !subject || !text) {
+    throw new Error('sendMail requires to, subject and text');
+  }
+
+  const transport = getTransport();
+  const message = {
+    from: process.env.MAIL_FROM || 'InterviewAI <no-reply@interviewai.local>',
+    to,
+    subject,
+    text,
+    ...(html && { html }),
+  };
+
+  try {
+    return await transport.send(message);
+  } catch (error) {
+    console.error(`Error sending mail via ${transport.name} transport:`, error);
+    throw new Error(`Failed to send email: ${error.message}`);
+  }
+};
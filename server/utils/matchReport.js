@@ -0,0 +1,161 @@
+/**
+ * Resume vs. job description match: how well a resume covers the
+ * requirements in a JD analysis, requirement by requirement, with evidence
+ * from the resume profile and from resume chunks.
+ */
+
+const { generateEmbeddings, findSimilarChunks } = require('./gemini');
+const { listRequirements } = require('./jdAnalysis');
+
+// Cosine similarity between a requirement and a resume chunk above which the
+// chunk counts as evidence (strong) or as a hint (weak). Tuned by eye on
+// text-embedding-004, where unrelated text typically scores below 0.5.
+const SIMILARITY_STRONG = 0.65;
+const SIMILARITY_WEAK = 0.55;
+
+// Evidence snippets returned per requirement, and their length
+const EVIDENCE_PER_REQUIREMENT = 2;
+const EVIDENCE_SNIPPET_CHARS = 300;
+
+// Must-haves count double towards the score; a partial match counts half
+const PRIORITY_WEIGHTS = { 'must-have': 2, 'nice-to-have': 1 };
+const STATUS_CREDIT = { matched: 1, partial: 0.5, missing: 0 };
+
+// "Node.js", "NodeJS" and "node" compare equal; "C++" and "C#" keep their symbols
+const skillKey = name => name.toLowerCase().replace(/\.?js$/, '').replace(/[^a-z0-9+#]/g, '');
+
+const snippet = text => (text.length > EVIDENCE_SNIPPET_CHARS
+  ? `${text.substring(0, EVIDENCE_SNIPPET_CHARS).trim()}...`
+  : text);
+
+// The text a requirement is embedded from
+const requirementText = ({ name, detail }) => (detail ? `${name}: ${detail}` : name);
+
+// Skills of an analysis in listRequirements order
+const analysisSkills = analysis => [
+  ...(analysis?.mustHaveSkills || []),
+  ...(analysis?.niceToHaveSkills || []),
+];
+
+const hasEmbedding = skill => skill.embedding?.length > 0;
+
+/**
+ * Number of requirements of a JD analysis that have no embedding yet
+ * (analyses stored before requirements were embedded, failed embeddings).
+ */
+exports.countUnembeddedRequirements = (jdAnalysis) => analysisSkills(jdAnalysis).filter(skill => !hasEmbedding(skill)).length;
+
+/**
+ * Embed the skills of a JD analysis that have no embedding yet, so match
+ * reports do not embed them on every view. Skills whose text is unchanged
+ * from `previous` (the analysis being replaced) reuse its embeddings.
+ * Updates `jdAnalysis` in place and returns how many skills were embedded;
+ * when embedding fails the skills are left for a later call.
+ */
+exports.embedRequirements = async (jdAnalysis, previous) => {
+  const known = new Map(analysisSkills(previous).filter(hasEmbedding).map(skill => [requirementText(skill), [...skill.embedding]]));
+  const skills = analysisSkills(jdAnalysis);
+  skills.forEach((skill) => {
+    if (!hasEmbedding(skill) && known.has(requirementText(skill))) {
+      skill.embedding = known.get(requirementText(skill));
+    }
+  });
+
+  const missing = skills.filter(skill => !hasEmbedding(skill));
+  if (missing.length === 0) {
+    return 0;
+  }
+
+  try {
+    const embeddings = await generateEmbeddings(missing.map(requirementText));
+    let embedded = 0;
+    missing.forEach((skill, index) => {
+      // All zeros: that requirement failed to embed
+      if (embeddings[index]?.some(value => value !== 0)) {
+        skill.embedding = embeddings[index];
+        embedded++;
+      }
+    });
+    console.log(`🧠 Embedded ${embedded} of ${missing.length} JD requirements`);
+    return embedded;
+  } catch (error) {
+    console.error('Embedding JD requirements failed:', error.message);
+    return 0;
+  }
+};
+
+/**
+ * matched: the profile lists the skill with evidence, or a resume chunk is
+ * strongly similar to the requirement. partial: the skill is listed without
+ * evidence, or a chunk is weakly similar. missing: neither.
+ */
+const requirementStatus = (resumeSkill, bestSimilarity) => {
+  if (resumeSkill?.evidence?.length || bestSimilarity >= SIMILARITY_STRONG) return 'matched';
+  if (resumeSkill || bestSimilarity >= SIMILARITY_WEAK) return 'partial';
+  return 'missing';
+};
+
+/**
+ * Compare a resume (its profile and embedded chunks) with a JD analysis
+ * whose requirements are embedded (requirements without an embedding are
+ * matched on the resume profile only).
+ * Returns the requirements with their status and evidence, the skill
+ * overlap, the missing requirements and a 0-100 match score.
+ */
+exports.buildMatchReport = (resume, jdAnalysis) => {
+  const requirements = listRequirements(jdAnalysis);
+
+  const resumeSkills = new Map(
+    (resume.resumeProfile?.skills || []).map(skill => [skillKey(skill.name), skill])
+  );
+  const chunks = (resume.chunks || []).filter(chunk => chunk.embedding?.length);
+
+  // Each requirement's stored embedding (see embedRequirements), searched against the resume chunks
+  const embeddings = analysisSkills(jdAnalysis).map(skill => (hasEmbedding(skill) ? skill.embedding : null));
+
+  const results = requirements.map((requirement, index) => {
+    const resumeSkill = resumeSkills.get(skillKey(requirement.name)) || null;
+    const similar = embeddings[index] && chunks.length
+      ? findSimilarChunks(embeddings[index], chunks, EVIDENCE_PER_REQUIREMENT)
+      : [];
+    const bestSimilarity = similar[0]?.similarity || 0;
+
+    return {
+      ...requirement,
+      status: requirementStatus(resumeSkill, bestSimilarity),
+      resumeSkill: resumeSkill?.name || null,
+      profileEvidence: resumeSkill ? [...resumeSkill.evidence] : [],
+      evidence: similar
+        .filter(item => item.similarity >= SIMILARITY_WEAK)
+        .map(item => ({
+          text: snippet(item.chunk.text),
+          sectionTitle: item.chunk.sectionTitle || null,
+          pageNumber: item.chunk.pageNumber || null,
+          similarity: Number(item.similarity.toFixed(3)),
+        })),
+    };
+  });
+
+  const totalWeight = results.reduce((sum, result) => sum + PRIORITY_WEIGHTS[result.priority], 0);
+  const earned = results.reduce(
+    (sum, result) => sum + PRIORITY_WEIGHTS[result.priority] * STATUS_CREDIT[result.status], 0
+  );
+  const requiredKeys = new Set(requirements.map(requirement => skillKey(requirement.name)));
+
+  return {
+    score: totalWeight ? Math.round((earned / totalWeight) * 100) : null,
+    requirements: results,
+    // Required skills the resume profile lists, by the JD's name for them
+    skillOverlap: results.filter(result => result.resumeSkill).map(result => result.name),
+    missingMustHaves: results
+      .filter(result => result.priority === 'must-have' && result.status === 'missing')
+      .map(result => result.name),
+    missingNiceToHaves: results
+      .filter(result => result.priority === 'nice-to-have' && result.status === 'missing')
+      .map(result => result.name),
+    // Resume skills the JD does not ask for
+    additionalSkills: [...resumeSkills.entries()]
+      .filter(([key]) => !requiredKeys.has(key))
+      .map(([, skill]) => skill.name),
+  };
+};
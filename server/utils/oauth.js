@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+
+// Discovery documents, cached per issuer
+const discoveryCache = new Map();
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Create a PKCE code verifier and its S256 challenge.
+ */
+exports.createPkcePair = () => {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  return { codeVerifier, codeChallenge };
+};
+
+/**
+ * Fetch JSON, throwing a descriptive error on non-2xx responses.
+ */
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...options.headers },
+  });
+
+  if (!response.ok) {
+    const body = await response.text().catch(() => '');
+    throw new Error(`OAuth request to ${url} failed (${response.status}): ${body.substring(0, 200)}`);
+  }
+
+  return response.json();
+};
+
+/**
+ * Resolve authorization/token/userinfo endpoints, using OIDC discovery for
+ * whatever the provider config does not set explicitly.
+ */
+const resolveEndpoints = async (provider) => {
+  if (provider.authorizationUrl && provider.tokenUrl && provider.userinfoUrl) {
+    return provider;
+  }
+
+  const issuer = provider.issuer.replace(/\/$/, '');
+  if (!discoveryCache.has(issuer)) {
+    const discovery = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+    discoveryCache.set(issuer, discovery);
+  }
+  const discovery = discoveryCache.get(issuer);
+
+  return {
+    ...provider,
+    authorizationUrl: provider.authorizationUrl || discovery.authorization_endpoint,
+    tokenUrl: provider.tokenUrl || discovery.token_endpoint,
+    userinfoUrl: provider.userinfoUrl || discovery.userinfo_endpoint,
+  };
+};
+
+/**
+ * Build the URL that starts the authorization code + PKCE flow.
+ */
+exports.buildAuthorizationUrl = async (provider, { state, codeChallenge }) => {
+  const { authorizationUrl } = await resolveEndpoints(provider);
+  const url = new URL(authorizationUrl);
+
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', provider.clientId);
+  url.searchParams.set('redirect_uri', provider.redirectUri);
+  url.searchParams.set('scope', provider.scopes);
+  url.searchParams.set('state', state);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+
+  return url.toString();
+};
+
+/**
+ * Exchange an authorization code for tokens.
+ */
+exports.exchangeCode = async (provider, code, codeVerifier) => {
+  const { tokenUrl } = await resolveEndpoints(provider);
+
+  const tokens = await fetchJson(tokenUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: provider.redirectUri,
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret,
+      code_verifier: codeVerifier,
+    }),
+  });
+
+  if (!tokens.access_token) {
+    throw new Error(`OAuth token response did not include an access token${tokens.error ? ` (${tokens.error})` : ''}`);
+  }
+
+  return tokens;
+};
+
+/**
+ * Fetch the external identity: stable subject id plus email and whether the
+ * provider has verified it. Identity comes from the userinfo endpoint, which
+ * is fetched server-to-server with the freshly issued access token.
+ */
+exports.fetchProfile = async (provider, accessToken) => {
+  const endpoints = await resolveEndpoints(provider);
+  const headers = { Authorization: `Bearer ${accessToken}` };
+  const userinfo = await fetchJson(endpoints.userinfoUrl, { headers });
+
+  const subject = userinfo.sub ?? userinfo.id;
+  let email = userinfo.email;
+  let emailVerified = userinfo.email_verified === true || userinfo.email_verified === 'true';
+
+  // GitHub-style providers list emails (with verification status) separately
+  if (provider.emailsUrl) {
+    const emails = await fetchJson(provider.emailsUrl, { headers });
+    const primary = Array.isArray(emails) ? emails.find(entry => entry.primary && entry.verified) : null;
+    if (primary) {
+      email = primary.email;
+      emailVerified = true;
+    }
+  }
+
+  if (subject === undefined || subject === null) {
+    throw new Error('OAuth profile did not include a subject identifier');
+  }
+
+  return {
+    subject: String(subject),
+    email: email ? String(email).toLowerCase().trim() : null,
+    emailVerified,
+  };
+};
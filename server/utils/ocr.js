@@ -0,0 +1,104 @@
+const { createCanvas } = require('@napi-rs/canvas');
+const { createWorker, OEM } = require('tesseract.js');
+const englishData = require('@tesseract.js-data/eng');
+const { PAGE_BREAK } = require('./chunker');
+
+const OCR_ENABLED = process.env.OCR_ENABLED !== 'false';
+// Scanned CVs rarely run long; this caps the CPU time one upload can take
+const OCR_MAX_PAGES = parseInt(process.env.OCR_MAX_PAGES, 10) || 5;
+// Render scale relative to 72 DPI; 2.5 (~180 DPI) keeps small print legible
+const OCR_RENDER_SCALE = parseFloat(process.env.OCR_RENDER_SCALE) || 2.5;
+
+exports.OCR_ENABLED = OCR_ENABLED;
+
+// pdfjs-dist only ships as an ES module
+let pdfjsPromise = null;
+const loadPdfjs = () => {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+  }
+  return pdfjsPromise;
+};
+
+/**
+ * Render the first `maxPages` pages of a PDF to PNG buffers.
+ */
+const renderPdfPages = async (buffer, maxPages) => {
+  const pdfjs = await loadPdfjs();
+  const pdf = await pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: 0,
+  }).promise;
+
+  try {
+    const pageCount = Math.min(pdf.numPages, maxPages);
+    const images = [];
+
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+      const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+      const context = canvas.getContext('2d');
+
+      // Scans are often transparent outside the image; OCR wants a white page
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+
+      await page.render({ canvas, canvasContext: context, viewport }).promise;
+      images.push(await canvas.encode('png'));
+      page.cleanup();
+    }
+
+    return { images, totalPages: pdf.numPages };
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+/**
+ * Recognize the text of a scanned (image-only) PDF on the CPU using the
+ * bundled Tesseract WASM build and English language data.
+ * Returns { text, confidence (0-100, mean over pages with text), pages }.
+ */
+exports.recognizePdfText = async (buffer) => {
+  const { images, totalPages } = await renderPdfPages(buffer, OCR_MAX_PAGES);
+
+  if (totalPages > images.length) {
+    console.warn(`OCR limited to the first ${images.length} of ${totalPages} pages`);
+  }
+
+  const worker = await createWorker(englishData.code, OEM.LSTM_ONLY, {
+    langPath: englishData.langPath,
+    gzip: englishData.gzip,
+    // Read the bundled data directly instead of caching a copy on disk
+    cacheMethod: 'none',
+  });
+
+  try {
+    const pageTexts = [];
+    const confidences = [];
+
+    for (const image of images) {
+      const { data } = await worker.recognize(image);
+      const text = data.text.trim();
+      pageTexts.push(text);
+      if (text) {
+        confidences.push(data.confidence);
+      }
+    }
+
+    const confidence = confidences.length > 0
+      ? Math.round(confidences.reduce((sum, value) => sum + value, 0) / confidences.length)
+      : 0;
+
+    return {
+      text: pageTexts.join(PAGE_BREAK),
+      confidence,
+      pages: images.length,
+    };
+  } finally {
+    await worker.terminate();
+  }
+};
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8;
+// bcrypt ignores everything after 72 bytes
+const PASSWORD_MAX_LENGTH = 72;
+// How many of lowercase / uppercase / digit / symbol must appear
+const PASSWORD_MIN_CHARACTER_CLASSES = Math.min(4, parseInt(process.env.PASSWORD_MIN_CHARACTER_CLASSES, 10) || 3);
+const PASSWORD_CHECK_COMMON = process.env.PASSWORD_CHECK_COMMON !== 'false';
+
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/];
+
+// Bundled list of the most common (breached) passwords, loaded on first use
+let commonPasswords = null;
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    const file = fs.readFileSync(path.join(__dirname, '..', 'data', 'common-passwords.txt'), 'utf8');
+    commonPasswords = new Set(
+      file.split('\n').map(line => line.trim()).filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return commonPasswords;
+};
+
+/**
+ * The active policy, safe to send to the client.
+ */
+exports.getPasswordPolicy = () => ({
+  minLength: PASSWORD_MIN_LENGTH,
+  maxLength: PASSWORD_MAX_LENGTH,
+  minCharacterClasses: PASSWORD_MIN_CHARACTER_CLASSES,
+  checksCommonPasswords: PASSWORD_CHECK_COMMON,
+});
+
+/**
+ * Check a candidate password against the policy. `email` lets the check
+ * reject passwords built from the address. Returns a list of problems
+ * (empty when the password is acceptable).
+ */
+exports.validatePassword = (password, { email } = {}) => {
+  if (typeof password !== 'string' || password.length === 0) {
+    return ['Password is required.'];
+  }
+
+  const problems = [];
+
+  if (password.length < PASSWORD_MIN_LENGTH) {
+    problems.push(`Password must be at least ${PASSWORD_MIN_LENGTH} characters.`);
+  }
+  if (Buffer.byteLength(password, 'utf8') > PASSWORD_MAX_LENGTH) {
+    problems.push(`Password cannot be longer than ${PASSWORD_MAX_LENGTH} characters.`);
+  }
+
+  const classCount = CHARACTER_CLASSES.filter(pattern => pattern.test(password)).length;
+  if (classCount < PASSWORD_MIN_CHARACTER_CLASSES) {
+    problems.push(`Password must mix at least ${PASSWORD_MIN_CHARACTER_CLASSES} of: lowercase letters, uppercase letters, numbers and symbols.`);
+  }
+
+  const lowered = password.toLowerCase();
+  if (PASSWORD_CHECK_COMMON && getCommonPasswords().has(lowered)) {
+    problems.push('This password is too common. Please choose a less predictable one.');
+  }
+
+  const emailName = email ? String(email).toLowerCase().split('@')[0] : '';
+  if (emailName.length >= 3 && lowered.includes(emailName)) {
+    problems.push('Password cannot contain your email address.');
+  }
+
+  return problems;
+};
@@ -1,38 +1,45 @@
 const pdfParse = require('pdf-parse');
+const { PAGE_BREAK } = require('./chunker');
+
+// pdf-parse's default page renderer: text items in order, a new line
+// whenever the baseline changes
+const renderPage = async (pageData) => {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false
+  });
+
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+    lastY = item.transform[5];
+  }
+  return text;
+};
 
 /**
- * Extract text from PDF buffer
+ * Extract text from PDF buffer, with pages separated by PAGE_BREAK
  */
 exports.extractTextFromPDF = async (buffer) => {
   try {
-    const data = await pdfParse(buffer);
-    return data.text;
+    const pages = [];
+    await pdfParse(buffer, {
+      // Collect pages separately; an unreadable page stays as an empty one
+      pagerender: async (pageData) => {
+        let text = '';
+        try {
+          text = await renderPage(pageData);
+        } catch (pageError) {
+          console.warn('Could not read PDF page:', pageError.message);
+        }
+        pages.push(text);
+        return text;
+      }
+    });
+    return pages.join(PAGE_BREAK);
   } catch (error) {
     console.error('Error parsing PDF:', error);
     throw new Error('Failed to extract text from PDF');
   }
 };
-
-/**
- * Chunk text into smaller pieces (~500 words each)
- */
-exports.chunkText = (text, wordsPerChunk = 500) => {
-  // Clean text: remove excessive whitespace and newlines
-  const cleanedText = text
-    .replace(/\s+/g, ' ')
-    .replace(/\n+/g, '\n')
-    .trim();
-  
-  // Split by words
-  const words = cleanedText.split(' ');
-  const chunks = [];
-  
-  for (let i = 0; i < words.length; i += wordsPerChunk) {
-    const chunk = words.slice(i, i + wordsPerChunk).join(' ');
-    if (chunk.trim().length > 50) { // Only add chunks with meaningful content
-      chunks.push(chunk.trim());
-    }
-  }
-  
-  return chunks;
-};
\ No newline at end of file
@@ -0,0 +1,49 @@
+const LoginSession = require('../models/LoginSession');
+const { consumeTwoFactorCode } = require('./twoFactor');
+
+// Accounts without a password re-authenticate by having signed in this recently
+const REAUTH_RECENT_LOGIN_MINUTES = parseInt(process.env.REAUTH_RECENT_LOGIN_MINUTES, 10) || 10;
+
+// The current password or, for accounts created through OAuth that have
+// none, a login (necessarily through their provider) started in the last
+// few minutes. Returns an error message, or null.
+const verifyIdentity = async (user, password, sessionId) => {
+  if (user.hasPassword !== false) {
+    return password && (await user.comparePassword(password)) ? null : 'Current password is incorrect';
+  }
+
+  const session = sessionId && await LoginSession.findById(sessionId).select('createdAt');
+  if (session && Date.now() - session.createdAt.getTime() <= REAUTH_RECENT_LOGIN_MINUTES * 60 * 1000) {
+    return null;
+  }
+  return `Your account has no password. Sign out, sign in again with your provider and try again within ${REAUTH_RECENT_LOGIN_MINUTES} minutes, or set a password with "Forgot password".`;
+};
+
+/**
+ * Re-authenticate a logged-in user before a sensitive change: the current
+ * password (or a recent login for accounts without one), plus a TOTP or
+ * backup code when 2FA is enabled. `sessionId` is the request's login
+ * session (req.sessionId).
+ *
+ * The user must be loaded with REAUTH_FIELDS. A code that passes is used up
+ * in the database right away. Returns an error message, or null when
+ * verification passed.
+ */
+exports.verifyReauthentication = async (user, password, code, sessionId) => {
+  const identityError = await verifyIdentity(user, password, sessionId);
+  if (identityError) {
+    return identityError;
+  }
+
+  if (!user.twoFactorEnabled) {
+    return null;
+  }
+
+  if (!code) {
+    return 'Please provide an authenticator or backup code';
+  }
+
+  return (await consumeTwoFactorCode(user, code)) ? null : 'Invalid verification code';
+};
+
+exports.REAUTH_FIELDS = '+password +twoFactorSecret +twoFactorLastUsedStep';
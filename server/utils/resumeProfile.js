@@ -0,0 +1,139 @@
+/**
+ * Structured resume profiles (Document.resumeProfile): cleaning AI output and
+ * user edits into the stored shape, and describing a profile in prompts.
+ */
+
+const RESUME_PROFILE_LIMITS = {
+  entries: 30, // experience, education and project entries
+  skills: 100,
+  highlights: 12, // bullet points per experience entry
+  evidence: 5, // evidence snippets per skill
+  technologies: 30, // per project
+  textLength: 200,
+  longTextLength: 1000,
+};
+exports.RESUME_PROFILE_LIMITS = RESUME_PROFILE_LIMITS;
+
+const cleanText = (value, max = RESUME_PROFILE_LIMITS.textLength) =>
+  (typeof value === 'string' || typeof value === 'number' ? String(value) : '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, max);
+exports.cleanText = cleanText;
+
+// Accept an array or a newline/comma separated string; trim, drop empty and duplicate entries
+const cleanList = (value, maxItems, maxLength = RESUME_PROFILE_LIMITS.longTextLength, separator = /\n/) => {
+  const items = Array.isArray(value) ? value : String(value || '').split(separator);
+  const seen = new Set();
+
+  return items
+    .map(item => cleanText(item, maxLength))
+    .filter(item => {
+      const key = item.toLowerCase();
+      if (!item || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, maxItems);
+};
+exports.cleanList = cleanList;
+
+const cleanEntries = (value, maxItems, cleanEntry, isEmpty) =>
+  (Array.isArray(value) ? value : [])
+    .filter(entry => entry && typeof entry === 'object')
+    .map(cleanEntry)
+    .filter(entry => !isEmpty(entry))
+    .slice(0, maxItems);
+exports.cleanEntries = cleanEntries;
+
+/**
+ * Coerce a profile (model output or a user's edit) into the stored shape:
+ * unknown fields dropped, text trimmed and truncated, lists capped, and
+ * entries without their identifying field removed.
+ */
+exports.normalizeResumeProfile = (raw) => {
+  const profile = raw && typeof raw === 'object' ? raw : {};
+  const { entries, skills, highlights, evidence, technologies, longTextLength } = RESUME_PROFILE_LIMITS;
+
+  return {
+    summary: cleanText(profile.summary, longTextLength),
+    experience: cleanEntries(profile.experience, entries, (entry) => ({
+      title: cleanText(entry.title),
+      company: cleanText(entry.company),
+      location: cleanText(entry.location),
+      startDate: cleanText(entry.startDate, 50),
+      endDate: cleanText(entry.endDate, 50),
+      highlights: cleanList(entry.highlights, highlights),
+    }), entry => !entry.title && !entry.company),
+    education: cleanEntries(profile.education, entries, (entry) => ({
+      institution: cleanText(entry.institution),
+      degree: cleanText(entry.degree),
+      field: cleanText(entry.field),
+      startDate: cleanText(entry.startDate, 50),
+      endDate: cleanText(entry.endDate, 50),
+    }), entry => !entry.institution && !entry.degree),
+    skills: cleanEntries(profile.skills, skills, (entry) => ({
+      name: cleanText(entry.name, 100),
+      category: cleanText(entry.category, 50),
+      evidence: cleanList(entry.evidence, evidence),
+    }), entry => !entry.name),
+    projects: cleanEntries(profile.projects, entries, (entry) => ({
+      name: cleanText(entry.name),
+      description: cleanText(entry.description, longTextLength),
+      technologies: cleanList(entry.technologies, technologies, 100, /[\n,]/),
+      url: cleanText(entry.url),
+    }), entry => !entry.name),
+  };
+};
+
+const dateRange = (entry) =>
+  [entry.startDate, entry.endDate].filter(Boolean).join(' - ');
+
+/**
+ * Describe a resume profile as prompt text, at most `maxChars` long.
+ * Returns an empty string when there is no profile.
+ */
+exports.formatResumeProfile = (profile, maxChars = 4000) => {
+  if (!profile) return '';
+
+  const lines = [];
+  if (profile.summary) lines.push(`Summary: ${profile.summary}`);
+
+  if (profile.experience?.length) {
+    lines.push('Experience:');
+    profile.experience.forEach((entry) => {
+      const role = [entry.title, entry.company].filter(Boolean).join(' at ');
+      const dates = dateRange(entry);
+      lines.push(`- ${role}${dates ? ` (${dates})` : ''}`);
+      (entry.highlights || []).forEach(highlight => lines.push(`  * ${highlight}`));
+    });
+  }
+
+  if (profile.education?.length) {
+    lines.push('Education:');
+    profile.education.forEach((entry) => {
+      const degree = [entry.degree, entry.field].filter(Boolean).join(', ');
+      const dates = dateRange(entry);
+      lines.push(`- ${[degree, entry.institution].filter(Boolean).join(' - ')}${dates ? ` (${dates})` : ''}`);
+    });
+  }
+
+  if (profile.skills?.length) {
+    lines.push('Skills (with evidence from the resume):');
+    profile.skills.forEach((skill) => {
+      const evidence = skill.evidence?.length ? `: ${skill.evidence.join('; ')}` : ' (no evidence given)';
+      lines.push(`- ${skill.name}${evidence}`);
+    });
+  }
+
+  if (profile.projects?.length) {
+    lines.push('Projects:');
+    profile.projects.forEach((project) => {
+      const technologies = project.technologies?.length ? ` [${project.technologies.join(', ')}]` : '';
+      lines.push(`- ${project.name}${technologies}${project.description ? `: ${project.description}` : ''}`);
+    });
+  }
+
+  const text = lines.join('\n');
+  return text.length > maxChars ? `${text.substring(0, maxChars)}\n[...]` : text;
+};
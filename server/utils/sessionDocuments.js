@@ -0,0 +1,54 @@
+const Chat = require('../models/Chat');
+const Document = require('../models/Document');
+
+/**
+ * A session's resume and job description come either from its own uploads
+ * (Document.sessionId) or from the owner's library (sessionId: null),
+ * referenced by Chat.resumeDocumentId / Chat.jdDocumentId.
+ */
+
+// Chat field holding the library reference for each document type
+const REFERENCE_FIELDS = {
+  resume: 'resumeDocumentId',
+  jd: 'jdDocumentId',
+};
+exports.REFERENCE_FIELDS = REFERENCE_FIELDS;
+
+/**
+ * The documents a session uses. Returns { resume, jd, documents }, where
+ * `documents` lists those of the two that exist; a library reference takes precedence
+ * over a session upload of the same type. `select` is a Mongoose projection
+ * and must keep `type` and `sessionId`.
+ */
+exports.findSessionDocuments = async (chat, select) => {
+  const referencedIds = Object.values(REFERENCE_FIELDS)
+    .map(field => chat[field])
+    .filter(Boolean);
+
+  let query = Document.find({
+    userId: chat.userId,
+    $or: [{ sessionId: chat._id }, { _id: { $in: referencedIds } }],
+  });
+  if (select) {
+    query = query.select(select);
+  }
+  const documents = await query;
+
+  const pick = (type) => {
+    const referencedId = chat[REFERENCE_FIELDS[type]];
+    return (referencedId && documents.find(doc => doc._id.equals(referencedId)))
+      || documents.find(doc => doc.type === type && doc.sessionId && doc.sessionId.equals(chat._id))
+      || null;
+  };
+
+  const resume = pick('resume');
+  const jd = pick('jd');
+  return { resume, jd, documents: [resume, jd].filter(Boolean) };
+};
+
+/**
+ * Sessions referencing any of `documentIds` from the library.
+ */
+exports.findSessionsUsingDocuments = (documentIds) => Chat.find({
+  $or: Object.values(REFERENCE_FIELDS).map(field => ({ [field]: { $in: documentIds } })),
+}).select(`sessionName ${Object.values(REFERENCE_FIELDS).join(' ')}`);
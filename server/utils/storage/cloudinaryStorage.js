@@ -0,0 +1,69 @@
+const cloudinary = require('../../config/cloudinary');
+
+/**
+ * Cloudinary raw uploads. Keys are Cloudinary public IDs.
+ */
+exports.createStorage = () => ({
+  name: 'cloudinary',
+
+  put: (buffer, { folder }) => new Promise((resolve, reject) => {
+    const uploadStream = cloudinary.uploader.upload_stream(
+      {
+        folder,
+        resource_type: 'raw', // Documents are not image/video
+      },
+      (error, result) => {
+        if (error) {
+          return reject(new Error(`Cloudinary upload failed: ${error.message}`));
+        }
+        if (!result || !result.secure_url) {
+          return reject(new Error('Cloudinary upload failed: No secure_url returned.'));
+        }
+        resolve({ key: result.public_id, url: result.secure_url });
+      }
+    );
+    uploadStream.end(buffer);
+  }),
+
+  get: async (key) => {
+    const response = await fetch(cloudinary.url(key, { resource_type: 'raw', secure: true }));
+    if (!response.ok) {
+      throw new Error(`Cloudinary download failed: HTTP ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  },
+
+  delete: async (key) => {
+    const result = await cloudinary.uploader.destroy(key, { resource_type: 'raw', invalidate: true });
+    if (result.result !== 'ok' && result.result !== 'not found') {
+      throw new Error(`Cloudinary delete failed: ${result.result}`);
+    }
+  },
+
+  list: async (prefix) => {
+    const files = [];
+    let cursor;
+
+    do {
+      const page = await cloudinary.api.resources({
+        resource_type: 'raw',
+        type: 'upload',
+        prefix,
+        max_results: 500,
+        next_cursor: cursor,
+      });
+      page.resources.forEach((resource) => {
+        files.push({ key: resource.public_id, size: resource.bytes, lastModified: new Date(resource.created_at) });
+      });
+      cursor = page.next_cursor;
+    } while (cursor);
+
+    return files;
+  },
+
+  getSignedUrl: async (key, { expiresIn }) => cloudinary.utils.private_download_url(key, '', {
+    resource_type: 'raw',
+    type: 'upload',
+    expires_at: Math.floor(Date.now() / 1000) + expiresIn,
+  }),
+});
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { buildStorageKey } = require('./keys');
+
+const serverUrl = () => process.env.SERVER_URL || `http://localhost:${process.env.PORT || 5000}`;
+const signingSecret = () => process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+const storageRoot = () => path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', '..', 'uploads'));
+
+// Absolute path for a key, refusing anything that escapes the storage directory
+const resolveKey = (key) => {
+  const root = storageRoot();
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error('Invalid storage key');
+  }
+  return filePath;
+};
+
+const sign = (key, expires) =>
+  crypto.createHmac('sha256', signingSecret()).update(`${key}:${expires}`).digest('hex');
+
+/**
+ * Check a signed local download URL (see getSignedUrl). Returns the file
+ * path when the signature is valid and unexpired, otherwise null.
+ */
+exports.verifySignedRequest = (key, expires, signature) => {
+  const expiresAt = parseInt(expires, 10);
+  if (!key || !signature || !Number.isFinite(expiresAt) || expiresAt * 1000 < Date.now()) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(key, expiresAt));
+  const provided = Buffer.from(String(signature));
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return null;
+  }
+
+  try {
+    return resolveKey(key);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Files on the server's own disk (STORAGE_LOCAL_DIR, default server/uploads).
+ * Keys are paths relative to that directory; downloads go through signed
+ * /api/documents/files/:key URLs served by this server.
+ */
+exports.createStorage = () => ({
+  name: 'local',
+
+  put: async (buffer, { folder, fileName }) => {
+    const key = buildStorageKey(folder, fileName);
+    const filePath = resolveKey(key);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer, { flag: 'wx' });
+
+    return { key, url: null };
+  },
+
+  get: (key) => fs.readFile(resolveKey(key)),
+
+  delete: async (key) => {
+    try {
+      await fs.unlink(resolveKey(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  },
+
+  list: async (prefix) => {
+    const root = storageRoot();
+    const files = [];
+
+    const walk = async (directory) => {
+      let entries;
+      try {
+        entries = await fs.readdir(directory, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return;
+        }
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+        } else if (entry.isFile()) {
+          const stats = await fs.stat(entryPath);
+          files.push({
+            key: path.relative(root, entryPath).split(path.sep).join('/'),
+            size: stats.size,
+            lastModified: stats.mtime,
+          });
+        }
+      }
+    };
+
+    await walk(prefix ? path.join(root, prefix) : root);
+    return files;
+  },
+
+  getSignedUrl: async (key, { expiresIn }) => {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const query = new URLSearchParams({ expires: String(expires), signature: sign(key, expires) });
+    return `${serverUrl()}/api/documents/files/${encodeURIComponent(key)}?${query}`;
+  },
+});
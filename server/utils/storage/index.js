@@ -0,0 +1,49 @@
+/**
+ * File storage backends for uploaded documents.
+ *
+ * Every backend exposes the same interface:
+ *   name                                  - provider id stored on the Document
+ *   put(buffer, { folder, fileName, contentType }) -> { key, url }
+ *                                           url is a public delivery URL, or null for private backends
+ *   get(key)                              -> Buffer
+ *   delete(key)                           -> resolves once the file is gone (missing files are not an error)
+ *   getSignedUrl(key, { expiresIn, fileName }) -> time-limited download URL (expiresIn in seconds)
+ *   list(prefix)                          -> [{ key, size, lastModified }] for every file under prefix
+ *
+ * STORAGE_PROVIDER selects the backend for new uploads: cloudinary, local or s3.
+ * It defaults to cloudinary when CLOUDINARY_CLOUD_NAME is set, otherwise local.
+ * Existing documents keep using the backend they were stored with.
+ */
+
+// Required lazily so only the SDKs of backends in use are loaded
+const PROVIDERS = {
+  cloudinary: () => require('./cloudinaryStorage'),
+  local: () => require('./diskStorage'),
+  s3: () => require('./s3Storage'),
+};
+
+exports.STORAGE_PROVIDERS = Object.keys(PROVIDERS);
+
+const instances = {};
+
+/**
+ * The storage backend with the given provider id.
+ */
+const getStorage = (name) => {
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown storage provider "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  if (!instances[name]) {
+    instances[name] = PROVIDERS[name]().createStorage();
+  }
+  return instances[name];
+};
+exports.getStorage = getStorage;
+
+const activeProviderName = () =>
+  (process.env.STORAGE_PROVIDER || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local')).toLowerCase();
+
+/**
+ * The backend new uploads go to.
+ */
+exports.getActiveStorage = () => getStorage(activeProviderName());
@@ -0,0 +1,11 @@
+const crypto = require('crypto');
+const path = require('path');
+
+/**
+ * Unique object key under `folder`, keeping a sanitized extension of the
+ * original file name so downloads open in the right application.
+ */
+exports.buildStorageKey = (folder, fileName) => {
+  const extension = path.extname(fileName || '').toLowerCase().replace(/[^a-z0-9.]/g, '').substring(0, 10);
+  return `${folder}/${crypto.randomBytes(16).toString('hex')}${extension}`;
+};
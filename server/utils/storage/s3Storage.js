@@ -0,0 +1,93 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { buildStorageKey } = require('./keys');
+
+/**
+ * Amazon S3 or any S3-compatible service (MinIO, R2, ...). Keys are object
+ * keys in STORAGE_S3_BUCKET. Objects stay private; downloads use presigned URLs.
+ */
+exports.createStorage = () => {
+  const bucket = process.env.STORAGE_S3_BUCKET;
+  if (!bucket) {
+    throw new Error('STORAGE_S3_BUCKET must be set to use the s3 storage provider');
+  }
+
+  const endpoint = process.env.STORAGE_S3_ENDPOINT;
+  const client = new S3Client({
+    region: process.env.STORAGE_S3_REGION || 'us-east-1',
+    endpoint: endpoint || undefined,
+    // Custom endpoints (MinIO) usually don't support virtual-hosted bucket names
+    forcePathStyle: process.env.STORAGE_S3_FORCE_PATH_STYLE
+      ? process.env.STORAGE_S3_FORCE_PATH_STYLE === 'true'
+      : !!endpoint,
+    // Falls back to the default AWS credential chain when unset
+    credentials: process.env.STORAGE_S3_ACCESS_KEY_ID
+      ? {
+        accessKeyId: process.env.STORAGE_S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.STORAGE_S3_SECRET_ACCESS_KEY,
+      }
+      : undefined,
+  });
+
+  return {
+    name: 's3',
+
+    put: async (buffer, { folder, fileName, contentType }) => {
+      const key = buildStorageKey(folder, fileName);
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType || 'application/octet-stream',
+      }));
+      return { key, url: null };
+    },
+
+    get: async (key) => {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    },
+
+    // S3 deletes are idempotent: a missing key is not an error
+    delete: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    list: async (prefix) => {
+      const files = [];
+      let continuationToken;
+
+      do {
+        const page = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix,
+          ContinuationToken: continuationToken,
+        }));
+        (page.Contents || []).forEach((object) => {
+          files.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+        });
+        continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (continuationToken);
+
+      return files;
+    },
+
+    getSignedUrl: (key, { expiresIn, fileName }) => getSignedUrl(
+      client,
+      new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ResponseContentDisposition: fileName
+          ? `attachment; filename="${fileName.replace(/[^\x20-\x7e]|["\\]/g, '_')}"`
+          : undefined,
+      }),
+      { expiresIn }
+    ),
+  };
+};
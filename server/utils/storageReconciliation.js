@@ -0,0 +1,160 @@
+const Document = require('../models/Document');
+const DocumentVersion = require('../models/DocumentVersion');
+const { getStorage, getActiveStorage } = require('./storage');
+const { DOCUMENT_STORAGE_PREFIX, publicIdFromUrl } = require('./documentFiles');
+
+/**
+ * Record storage provider and key on documents uploaded before they were
+ * stored (all on Cloudinary), derived from their delivery URL.
+ * Returns { updated, unresolved, pending }; `pending` lists the documents a
+ * dry run would have updated, with their derived key.
+ */
+const backfillStorageKeys = async ({ apply }) => {
+  const legacyDocuments = await Document.find({
+    storageKey: { $in: [null, ''] },
+    fileUrl: { $nin: [null, ''] },
+  }).select('fileUrl fileName userId');
+
+  let updated = 0;
+  let unresolved = 0;
+  const pending = [];
+
+  for (const document of legacyDocuments) {
+    const publicId = publicIdFromUrl(document.fileUrl);
+    if (!publicId) {
+      console.warn(`Document ${document._id}: cannot derive a storage key from ${document.fileUrl}`);
+      unresolved++;
+      continue;
+    }
+
+    if (apply) {
+      await Document.updateOne(
+        { _id: document._id },
+        { storageProvider: 'cloudinary', storageKey: publicId }
+      );
+    } else {
+      pending.push({ _id: document._id, storageKey: publicId, fileName: document.fileName, userId: document.userId });
+    }
+    updated++;
+  }
+
+  return { updated, unresolved, pending };
+};
+
+/**
+ * Compare the files in one storage backend with the documents referencing it.
+ *
+ * - orphanedFiles: stored files no document points to (leaked by failed
+ *   deletes or aborted uploads). Files younger than `minAgeMinutes` are
+ *   skipped because an upload in progress stores its file before the document.
+ * - missingFiles: documents whose file no longer exists in storage.
+ *
+ * With `apply`, orphaned files are deleted and documents with missing files
+ * are detached from them (their extracted text is kept). `extraDocuments`
+ * are counted as referencing this backend without being stored as such yet.
+ * Files of earlier document versions and of uploads still being processed
+ * count as referenced; they are not checked for missing files.
+ */
+const reconcileProvider = async (providerName, { apply, minAgeMinutes, extraDocuments = [] }) => {
+  const storage = getStorage(providerName);
+  const storedFiles = await storage.list(`${DOCUMENT_STORAGE_PREFIX}/`);
+  const documents = (await Document.find({ storageProvider: providerName, storageKey: { $nin: [null, ''] } })
+    .select('storageKey fileName userId'))
+    .concat(extraDocuments);
+
+  const versionKeys = await DocumentVersion.distinct('storageKey', {
+    storageProvider: providerName,
+    storageKey: { $nin: [null, ''] },
+  });
+
+  // Uploads waiting to be processed (see utils/documentProcessing)
+  const uploadKeys = await Document.distinct('processing.upload.storageKey', {
+    'processing.upload.storageProvider': providerName,
+    'processing.upload.storageKey': { $nin: [null, ''] },
+  });
+
+  const referencedKeys = new Set([...documents.map(document => document.storageKey), ...versionKeys, ...uploadKeys]);
+  const storedKeys = new Set(storedFiles.map(file => file.key));
+  const cutoff = Date.now() - minAgeMinutes * 60 * 1000;
+
+  const orphanedFiles = storedFiles.filter(file =>
+    !referencedKeys.has(file.key) && (!file.lastModified || file.lastModified.getTime() < cutoff)
+  );
+  const missingFiles = documents.filter(document => !storedKeys.has(document.storageKey));
+
+  let deletedFiles = 0;
+  let detachedDocuments = 0;
+
+  if (apply) {
+    for (const file of orphanedFiles) {
+      try {
+        await storage.delete(file.key);
+        deletedFiles++;
+      } catch (error) {
+        console.error(`Could not delete orphaned file ${file.key} from ${providerName}: ${error.message}`);
+      }
+    }
+
+    // An empty listing for a backend that should hold files more likely means a
+    // misconfigured bucket/folder than lost files, so leave documents alone
+    if (storedFiles.length === 0 && documents.length > 0) {
+      console.warn(`${providerName}: no stored files found; not detaching ${missingFiles.length} document(s)`);
+    } else if (missingFiles.length > 0) {
+      const result = await Document.updateMany(
+        { _id: { $in: missingFiles.map(document => document._id) } },
+        { $unset: { storageProvider: 1, storageKey: 1 }, fileUrl: null }
+      );
+      detachedDocuments = result.modifiedCount;
+    }
+  }
+
+  return {
+    provider: providerName,
+    storedFiles: storedFiles.length,
+    documents: documents.length,
+    orphanedFiles: orphanedFiles.map(({ key, size, lastModified }) => ({ key, size, lastModified })),
+    missingFiles: missingFiles.map(document => ({
+      documentId: document._id,
+      userId: document.userId,
+      fileName: document.fileName,
+      key: document.storageKey,
+    })),
+    deletedFiles,
+    detachedDocuments,
+  };
+};
+
+/**
+ * Reconcile stored files with the database for every backend in use
+ * (the active one plus any referenced by documents), or only `providers`.
+ * Without `apply` nothing is changed and the result is a report.
+ */
+exports.reconcileStorage = async ({ providers, apply = false, minAgeMinutes = 60 } = {}) => {
+  const { pending, ...backfill } = await backfillStorageKeys({ apply });
+
+  let providerNames = providers;
+  if (!providerNames || providerNames.length === 0) {
+    const referenced = await Document.distinct('storageProvider', { storageProvider: { $ne: null } });
+    // Legacy documents only pending backfill (dry run) still live on Cloudinary
+    if (pending.length > 0) {
+      referenced.push('cloudinary');
+    }
+    providerNames = [...new Set([getActiveStorage().name, ...referenced])];
+  }
+
+  const results = [];
+  for (const providerName of providerNames) {
+    try {
+      results.push(await reconcileProvider(providerName, {
+        apply,
+        minAgeMinutes,
+        extraDocuments: providerName === 'cloudinary' ? pending : [],
+      }));
+    } catch (error) {
+      console.error(`Storage reconciliation failed for ${providerName}:`, error.message);
+      results.push({ provider: providerName, error: error.message });
+    }
+  }
+
+  return { applied: apply, backfill, providers: results };
+};
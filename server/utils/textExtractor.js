@@ -0,0 +1,221 @@
+const path = require('path');
+const mammoth = require('mammoth');
+const { extractTextFromPDF } = require('./pdfProcessor');
+const { OCR_ENABLED, recognizePdfText } = require('./ocr');
+
+// PDFs yielding less text than this are treated as scans and OCR'd
+const OCR_MIN_TEXT_CHARS = parseInt(process.env.OCR_MIN_TEXT_CHARS, 10) || 100;
+
+/**
+ * Document formats accepted for upload, with the extensions and MIME types
+ * browsers commonly report for them.
+ */
+const DOCUMENT_FORMATS = {
+  pdf: {
+    label: 'PDF',
+    extensions: ['.pdf'],
+    mimeTypes: ['application/pdf']
+  },
+  docx: {
+    label: 'Word (DOCX)',
+    extensions: ['.docx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document']
+  },
+  txt: {
+    label: 'Plain text',
+    extensions: ['.txt'],
+    mimeTypes: ['text/plain']
+  },
+  md: {
+    label: 'Markdown',
+    extensions: ['.md', '.markdown'],
+    mimeTypes: ['text/markdown', 'text/x-markdown']
+  },
+  html: {
+    label: 'HTML',
+    extensions: ['.html', '.htm'],
+    mimeTypes: ['text/html']
+  }
+};
+exports.DOCUMENT_FORMATS = DOCUMENT_FORMATS;
+
+const startsWithBytes = (buffer, bytes) =>
+  buffer.length >= bytes.length && bytes.every((byte, index) => buffer[index] === byte);
+
+const PDF_MAGIC = [0x25, 0x50, 0x44, 0x46, 0x2d]; // %PDF-
+const ZIP_MAGIC = [0x50, 0x4b, 0x03, 0x04]; // PK\3\4 (DOCX is a ZIP package)
+const OLE_MAGIC = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]; // Legacy .doc
+const UTF8_BOM = [0xef, 0xbb, 0xbf];
+
+// Text formats must decode as UTF-8 without control bytes a text file would not contain
+const looksLikeText = (buffer) => {
+  const sample = buffer.subarray(0, 8192);
+  if (sample.includes(0)) {
+    return false;
+  }
+  try {
+    // stream: a multi-byte character cut off at the end of the sample is fine
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: sample.length < buffer.length });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * True when the file name or reported MIME type is one of the accepted
+ * formats. Used as a cheap upload filter; the content is sniffed later.
+ */
+exports.isSupportedUpload = ({ originalname, mimetype } = {}) => {
+  const extension = path.extname(originalname || '').toLowerCase();
+  return Object.values(DOCUMENT_FORMATS).some(format =>
+    format.extensions.includes(extension) || format.mimeTypes.includes(mimetype)
+  );
+};
+
+/**
+ * Work out the real format of an uploaded file from its leading bytes,
+ * using the name/MIME type only to tell the text formats apart.
+ * Returns a DOCUMENT_FORMATS key, or null when the content is not supported.
+ */
+const detectDocumentFormat = (buffer, { originalname, mimetype } = {}) => {
+  if (!buffer || buffer.length === 0) {
+    return null;
+  }
+
+  if (startsWithBytes(buffer, PDF_MAGIC)) {
+    return 'pdf';
+  }
+  if (startsWithBytes(buffer, ZIP_MAGIC)) {
+    // Any other ZIP (xlsx, odt, plain archives) is rejected
+    return buffer.includes('word/') ? 'docx' : null;
+  }
+  if (startsWithBytes(buffer, OLE_MAGIC) || !looksLikeText(buffer)) {
+    return null;
+  }
+
+  const extension = path.extname(originalname || '').toLowerCase();
+  const head = buffer.subarray(0, 1024).toString('utf8').trimStart().toLowerCase();
+
+  if (
+    DOCUMENT_FORMATS.html.extensions.includes(extension) ||
+    DOCUMENT_FORMATS.html.mimeTypes.includes(mimetype) ||
+    head.startsWith('<!doctype html') ||
+    head.startsWith('<html')
+  ) {
+    return 'html';
+  }
+  if (DOCUMENT_FORMATS.md.extensions.includes(extension) || DOCUMENT_FORMATS.md.mimeTypes.includes(mimetype)) {
+    return 'md';
+  }
+  return 'txt';
+};
+exports.detectDocumentFormat = detectDocumentFormat;
+
+const decodeText = (buffer) => {
+  const body = startsWithBytes(buffer, UTF8_BOM) ? buffer.subarray(UTF8_BOM.length) : buffer;
+  return body.toString('utf8').replace(/\r\n?/g, '\n');
+};
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeHtmlEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+  }
+  return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+/**
+ * Readable text from HTML: drops scripts, styles and tags, keeping block
+ * elements on their own lines.
+ */
+const htmlToText = (html) => decodeHtmlEntities(
+  html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|head)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<\/?(p|div|section|article|header|footer|h[1-6]|ul|ol|tr|table|blockquote|pre)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+)
+  .replace(/[ \t]+/g, ' ')
+  .replace(/\n\s*\n\s*/g, '\n\n')
+  .trim();
+
+/**
+ * Plain text from Markdown: keeps the words, drops the markup.
+ */
+const markdownToText = (markdown) => markdown
+  .replace(/```[^\n]*\n([\s\S]*?)```/g, '$1') // fenced code: keep the code
+  .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1') // images: alt text
+  .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') // links: link text
+  .replace(/^\s{0,3}#{1,6}\s+/gm, '') // headings
+  .replace(/^\s{0,3}>\s?/gm, '') // blockquotes
+  .replace(/^\s*([-*_])(\s*\1){2,}\s*$/gm, '') // horizontal rules
+  .replace(/(\*\*|__)(.+?)\1/g, '$2') // bold
+  .replace(/(^|[^\w*])[*_]([^*_\n]+)[*_](?=[^\w*]|$)/g, '$1$2') // italics
+  .replace(/`([^`]+)`/g, '$1') // inline code
+  .replace(/<[^>]+>/g, '') // inline HTML
+  .trim();
+
+const extractTextFromDOCX = async (buffer) => {
+  try {
+    const result = await mammoth.extractRawText({ buffer });
+    return result.value;
+  } catch (error) {
+    console.error('Error parsing DOCX:', error);
+    throw new Error('Failed to extract text from DOCX');
+  }
+};
+
+// Text layer first; scanned PDFs (little or no text layer) fall back to OCR.
+// OCR failures are logged and the text layer result is kept.
+const extractPdfWithOcrFallback = async (buffer) => {
+  const text = await extractTextFromPDF(buffer);
+
+  if (!OCR_ENABLED || text.trim().length >= OCR_MIN_TEXT_CHARS) {
+    return { text, ocr: null };
+  }
+
+  try {
+    console.log(`🔎 PDF text layer too short (${text.trim().length} chars), running OCR...`);
+    const result = await recognizePdfText(buffer);
+    console.log(`🔎 OCR recognized ${result.text.length} chars over ${result.pages} page(s), confidence ${result.confidence}%`);
+
+    if (result.text.trim().length <= text.trim().length) {
+      return { text, ocr: null };
+    }
+    return {
+      text: result.text,
+      ocr: { confidence: result.confidence, pages: result.pages },
+    };
+  } catch (error) {
+    console.error('OCR fallback failed:', error);
+    return { text, ocr: null };
+  }
+};
+
+const withoutOcr = (extract) => async (buffer) => ({ text: await extract(buffer), ocr: null });
+
+const EXTRACTORS = {
+  pdf: extractPdfWithOcrFallback,
+  docx: withoutOcr(extractTextFromDOCX),
+  txt: withoutOcr(async (buffer) => decodeText(buffer)),
+  md: withoutOcr(async (buffer) => markdownToText(decodeText(buffer))),
+  html: withoutOcr(async (buffer) => htmlToText(decodeText(buffer)))
+};
+
+/**
+ * Extract the text of an uploaded document in any supported format.
+ * `format` is the result of detectDocumentFormat. Returns { text, ocr },
+ * where `ocr` is { confidence, pages } when the text came from OCR.
+ */
+exports.extractDocumentText = async (buffer, format) => {
+  const extractor = EXTRACTORS[format];
+  if (!extractor) {
+    throw new Error(`Unsupported document format: ${format}`);
+  }
+  return extractor(buffer);
+};
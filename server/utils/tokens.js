@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+
+/**
+ * Generate a random opaque token (hex encoded).
+ */
+exports.generateRandomToken = (bytes = 48) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * Hash a token before it is stored or looked up, so a database leak
+ * does not expose usable credentials.
+ */
+exports.hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const { hashToken } = require('./tokens');
+const { decrypt } = require('./encryption');
+const User = require('../models/User');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'InterviewAI';
+const STEP_SECONDS = 30;
+const BACKUP_CODE_COUNT = 10;
+
+// Accept the previous/next 30s window to tolerate clock drift
+authenticator.options = { step: STEP_SECONDS, window: 1 };
+
+/**
+ * Generate a new base32 TOTP secret.
+ */
+exports.generateSecret = () => authenticator.generateSecret();
+
+/**
+ * Build the otpauth:// URI and a QR code (data URL) for authenticator apps.
+ */
+exports.buildEnrollment = async (email, secret) => {
+  const otpauthUrl = authenticator.keyuri(email, ISSUER, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  return { otpauthUrl, qrCode };
+};
+
+/**
+ * Verify a TOTP code. Returns the matched time step, or null when the code is
+ * wrong or belongs to a step that was already used (replay protection).
+ */
+exports.verifyTotp = (secret, code, lastUsedStep) => {
+  const token = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(token)) {
+    return null;
+  }
+
+  const delta = authenticator.checkDelta(token, secret);
+  if (delta === null) {
+    return null;
+  }
+
+  const step = Math.floor(Date.now() / 1000 / STEP_SECONDS) + delta;
+  if (typeof lastUsedStep === 'number' && step <= lastUsedStep) {
+    return null;
+  }
+
+  return step;
+};
+
+/**
+ * Generate single-use backup codes. Returns the plain codes (shown to the
+ * user once) and their hashes (stored on the user).
+ */
+exports.generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex'); // 10 hex chars
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(code => exports.hashBackupCode(code)),
+  };
+};
+
+/**
+ * Normalize and hash a backup code for storage or lookup.
+ */
+exports.hashBackupCode = (code) => {
+  return hashToken(String(code).toLowerCase().replace(/[^a-f0-9]/g, ''));
+};
+
+/**
+ * Use up a TOTP or backup code of `user` (loaded with '+twoFactorSecret
+ * +twoFactorLastUsedStep'). The update only applies while the step is unused
+ * or the backup code still stored, so two requests racing with the same code
+ * cannot both succeed. Returns { method: 'totp' }, { method: 'backup',
+ * remaining } or null when the code is wrong or was already used.
+ */
+exports.consumeTwoFactorCode = async (user, code) => {
+  const step = exports.verifyTotp(decrypt(user.twoFactorSecret), code, user.twoFactorLastUsedStep);
+  if (step !== null) {
+    const updated = await User.findOneAndUpdate(
+      {
+        _id: user._id,
+        $or: [{ twoFactorLastUsedStep: { $lt: step } }, { twoFactorLastUsedStep: null }],
+      },
+      { $set: { twoFactorLastUsedStep: step } }
+    );
+    return updated ? { method: 'totp' } : null;
+  }
+
+  const codeHash = exports.hashBackupCode(code);
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, twoFactorBackupCodes: codeHash },
+    { $pull: { twoFactorBackupCodes: codeHash } },
+    { new: true }
+  ).select('+twoFactorBackupCodes');
+  return updated ? { method: 'backup', remaining: updated.twoFactorBackupCodes.length } : null;
+};
@@ -0,0 +1,34 @@
+// Order matters: Edge and Opera also announce Chrome, Chrome announces Safari
+const BROWSERS = [
+  [/Edg\//, 'Edge'],
+  [/OPR\/|Opera/, 'Opera'],
+  [/Firefox\//, 'Firefox'],
+  [/Chrome\/|CriOS\//, 'Chrome'],
+  [/Safari\//, 'Safari'],
+  [/curl\//i, 'curl'],
+  [/PostmanRuntime/, 'Postman'],
+  [/axios|node-fetch|undici|python-requests/i, 'Script'],
+];
+
+const PLATFORMS = [
+  [/iPhone|iPad|iPod/, 'iOS'],
+  [/Android/, 'Android'],
+  [/Windows/, 'Windows'],
+  [/Mac OS X|Macintosh/, 'macOS'],
+  [/CrOS/, 'ChromeOS'],
+  [/Linux/, 'Linux'],
+];
+
+const match = (list, userAgent) => list.find(([pattern]) => pattern.test(userAgent))?.[1];
+
+/**
+ * Short, human-readable description of a User-Agent string,
+ * e.g. "Chrome on macOS". Falls back to "Unknown device".
+ */
+exports.describeDevice = (userAgent = '') => {
+  const browser = match(BROWSERS, userAgent);
+  const platform = match(PLATFORMS, userAgent);
+
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || 'Unknown device';
+};